@@ -1,14 +1,61 @@
 var mediatorSubscribers = require('./mediator-subscribers');
 var WorkflowClient = require('./workflow-client');
+var validator = require('../validator');
+var resultStatus = require('../status');
 
 /**
  * Initialisation of the workflow module.
+ *
+ * Every call returns an independent instance of the module, with its own mediator, config, client and subscribers.
+ *
  * @param {Mediator} mediator
  * @param {object}  config
+ * @returns {{mediator: Mediator, config: object, workflowClient: WorkflowMediatorService, workflowSubscribers: MediatorTopicUtility, workflowStepSubscribers: MediatorTopicUtility, tearDown: function}}
  */
 module.exports = function(mediator, config) {
 
   //Initialising the subscribers to topics that the module is interested in.
   var workflowClient = WorkflowClient(mediator, config);
-  return mediatorSubscribers.init(mediator, workflowClient);
-};
\ No newline at end of file
+  var subscribers = mediatorSubscribers.init(mediator, workflowClient);
+
+  return {
+    mediator: mediator,
+    config: workflowClient.config,
+    workflowClient: workflowClient,
+    workflowSubscribers: subscribers.workflowSubscribers,
+    workflowStepSubscribers: subscribers.workflowStepSubscribers,
+    /**
+     * Removing all the subscribers of this instance and tearing down its client.
+     */
+    tearDown: function() {
+      subscribers.tearDown();
+      workflowClient.tearDown();
+    }
+  };
+};
+
+/**
+ * Validating a workflow definition before it is created or updated.
+ *
+ * @see validator.validateWorkflow
+ */
+module.exports.validateWorkflow = validator.validateWorkflow;
+
+/**
+ * The status codes stored in results.
+ */
+module.exports.RESULT_STATUS = resultStatus.RESULT_STATUS;
+
+/**
+ * Converting results stored with a display label as their status to the status codes.
+ *
+ * @see status.migrateResults
+ */
+module.exports.migrateResults = resultStatus.migrateResults;
+
+/**
+ * Resolving the display labels of result statuses per locale.
+ *
+ * @see status.StatusLabelResolver
+ */
+module.exports.StatusLabelResolver = resultStatus.StatusLabelResolver;
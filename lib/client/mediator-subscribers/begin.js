@@ -28,30 +28,36 @@ module.exports = function workflowBeginSubscriber(workflowStepSubscribers, workf
   return function handleWorkflowBegin(parameters) {
     var self = this;
 
-    workflowClient.getWorkorderSummary(parameters.workorderId).then(function(workorderSummary) {
+    //A result is created if none is stored, so the stored result is read rather than a cached one.
+    workflowClient.getWorkorderSummary(parameters.workorderId, {skipCache: true}).then(function(workorderSummary) {
       var workorder = workorderSummary[0];
       var workflow = workorderSummary[1];
-      var result = workorderSummary[2] || workflowClient.createNewResult(parameters.workorderId, workorder.assignee);
+      var isNewResult = !workorderSummary[2];
+      var userId;
 
-      //When the result has been read/created, then we can move on.
-      q.when(result).then(function(result) {
-        //Now we check the current status of the workflow to see where the next step should be.
-        var stepReview = workflowClient.stepReview(workflow.steps, result);
+      //The logged in user beginning a new result is not always the assignee of the workorder.
+      var result = workorderSummary[2] || workflowClient.readUserProfile().then(function(profileData) {
+        userId = profileData.id;
 
-        result.nextStepIndex = stepReview.nextStepIndex;
-        result.status = workflowClient.checkStatus(workorder, workflow, result);
+        return workflowClient.createNewResult(parameters.workorderId, workorder.assignee, workflow);
+      });
+
+      //When the result has been read/created, then we can move on. Any error creating it is published on the error topic.
+      return q.when(result).then(function(result) {
+        //Now we check the current status of the workflow to see where the next step should be.
+        workflowClient.beginResult(workorder, workflow, result);
 
         //The result has been created if needed
         var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.BEGIN, CONSTANTS.DONE_PREFIX, parameters.topicUid);
 
         //We now have the current status of the workflow for this workorder, the begin step is now complete.
-        self.mediator.publish(doneTopic, {
-          workorder: workorder,
-          workflow: workflow,
-          result: result,
-          nextStepIndex: result.nextStepIndex,
-          step: result.nextStepIndex > -1 ? workflow.steps[result.nextStepIndex] : workflow.steps[0]
-        });
+        //Any draft saved for the step is included so that it can be restored.
+        self.mediator.publish(doneTopic, workflowClient.getStepProgress(workorder, workflow, result));
+
+        //Resuming a workflow that has already begun is not an event.
+        if (isNewResult) {
+          workflowClient.publishEvent(CONSTANTS.EVENTS.WORKFLOW_BEGUN, workorder, workflow, {userId: userId});
+        }
       });
 
     }).catch(function(err) {
@@ -1,5 +1,4 @@
 var CONSTANTS = require('../../constants');
-var _ = require('lodash');
 
 /**
  *
@@ -29,59 +28,42 @@ module.exports = function workflowStepDoneSubscriber(workflowStepSubscribers, wo
     var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.COMPLETE, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
     var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.COMPLETE, CONSTANTS.DONE_PREFIX, parameters.topicUid);
 
+    var userId;
+    var completesStep;
+    var completesWorkflow;
+
     //Getting the currently logged in user data.
     workflowClient.readUserProfile().then(function(profileData) {
-      return workflowClient.getWorkorderSummary(parameters.workorderId).then(function(workorderSummary) {
-        var workorder = workorderSummary[0];
-        var workflow = workorderSummary[1];
-        var result = workorderSummary[2];
-
-        if (!result) {
-          //No result exists, The workflow should have been started
-          return self.mediator.publish(errorTopic, new Error("No result exists for workorder " + parameters.workorderId + ". The workflow done topic can only be used for a workflow that has begun"));
-        }
+      userId = profileData.id;
 
-        var step = _.find(workflow.steps, function(step) {
-          return step.code === parameters.stepCode;
-        });
+      //The step result is merged into the latest result. If the result is changed on another device in the meantime, it is merged again.
+      return workflowClient.mergeResult(parameters.workorderId, function(workorder, workflow, result) {
+        var wasComplete = Boolean(result) && result.status === CONSTANTS.RESULT_STATUS.COMPLETE;
 
-        //If there is no step, then this step submission is invalid.
-        if (!step) {
-          //No result exists, The workflow should have been started
-          return self.mediator.publish(errorTopic, new Error("Invalid step to assign completed data for workorder " + parameters.workorderId + " and step code " + parameters.stepCode));
-        }
-
-        //Got the workflow, now we can create the step result.
-        var stepResult = {
-          step: step,
+        var stepResult = workflowClient.completeStep(workorder, workflow, result, {
+          stepCode: parameters.stepCode,
           submission: parameters.submission,
-          type: CONSTANTS.STEP_TYPES.STATIC,
-          status: CONSTANTS.STATUS.COMPLETE,
-          timestamp: new Date().getTime(),
-          submitter: profileData.id
-        };
-
-        //The result needs to be updated with the latest step results
-        result.stepResults = result.stepResults || {};
-        result.stepResults[step.code] = stepResult;
-        result.status = workflowClient.checkStatus(workorder, workflow, result);
-        result.nextStepIndex = workflowClient.stepReview(workflow.steps, result).nextStepIndex;
+          userId: userId
+        });
 
+        //A submission that does not complete the step (e.g. a rejected approval) is not a completed step.
+        completesStep = stepResult.status === CONSTANTS.STATUS.COMPLETE;
+        completesWorkflow = !wasComplete && result.status === CONSTANTS.RESULT_STATUS.COMPLETE;
+      });
+    }).then(function(workorderSummary) {
+      var workorder = workorderSummary[0];
+      var workflow = workorderSummary[1];
 
+      //Result update complete, we can now publish the done topic for the step complete with the details of the next step for the user.
+      self.mediator.publish(doneTopic, workflowClient.getStepProgress(workorder, workflow, workorderSummary[2]));
 
-        //Updating the result
-        return workflowClient.updateResult(result).then(function() {
+      if (completesStep) {
+        workflowClient.publishEvent(CONSTANTS.EVENTS.STEP_COMPLETED, workorder, workflow, {stepCode: parameters.stepCode, userId: userId});
+      }
 
-          //Result update complete, we can now publish the done topic for the step complete with the details of the next step for the user.
-          self.mediator.publish(doneTopic, {
-            workorder: workorder,
-            workflow: workflow,
-            result: result,
-            nextStepIndex: result.nextStepIndex,
-            step: result.nextStepIndex > -1 ? workflow.steps[result.nextStepIndex] : workflow.steps[0]
-          });
-        });
-      });
+      if (completesWorkflow) {
+        workflowClient.publishEvent(CONSTANTS.EVENTS.WORKFLOW_COMPLETED, workorder, workflow, {stepCode: parameters.stepCode, userId: userId});
+      }
     }).catch(function(err) {
       self.mediator.publish(errorTopic, err);
     });
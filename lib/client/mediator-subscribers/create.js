@@ -1,5 +1,6 @@
-var _ = require('lodash');
 var CONSTANTS = require('../../constants');
+var ValidationError = require('../../errors').ValidationError;
+var validator = require('../../validator');
 
 
 /**
@@ -26,9 +27,11 @@ module.exports = function createWorkflowSubscriber(workflowEntityTopics, workflo
 
     var workflowToCreate = parameters.workflowToCreate;
 
-    //If no workflow is passed, can't create one
-    if (!_.isPlainObject(workflowToCreate)) {
-      return self.mediator.publish(workflowCreateErrorTopic, new Error("Invalid Data To Create A Workflow."));
+    //If no valid workflow is passed, can't create one
+    var violations = validator.validateWorkflow(workflowToCreate, {stepTypes: workflowClient.stepTypes});
+
+    if (violations.length > 0) {
+      return self.mediator.publish(workflowCreateErrorTopic, new ValidationError("Invalid Data To Create A Workflow.", violations));
     }
 
     workflowClient.create(workflowToCreate)
@@ -0,0 +1,57 @@
+var CONSTANTS = require('../../constants');
+var errors = require('../../errors');
+var _ = require('lodash');
+
+/**
+ *
+ * Creating a handler for the current step workflow topic.
+ *
+ * @param {object} workflowStepSubscribers
+ * @param {WorkflowMediatorService}    workflowClient
+ *
+ */
+module.exports = function workflowCurrentSubscriber(workflowStepSubscribers, workflowClient) {
+
+
+  /**
+   *
+   * Handing a workflow current step topic.
+   *
+   * This returns the step the user is currently on for a workorder. The result is not changed.
+   *
+   * @param parameters
+   * @param parameters.workorderId - The workorder ID to get the current step for.
+   * @param parameters.topicUid
+   */
+  return function handleWorkflowCurrent(parameters) {
+    var self = this;
+
+    var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.CURRENT, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+    var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.CURRENT, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+
+    workflowClient.getWorkorderSummary(parameters.workorderId).then(function(workorderSummary) {
+
+      var workorder = workorderSummary[0];
+      var workflow = workorderSummary[1];
+      var result = workorderSummary[2];
+
+      if (!result) {
+        //No result exists, The workflow should have been started
+        return self.mediator.publish(errorTopic, new errors.ResultNotStartedError("No result exists for workflow " + parameters.workorderId + ". The workflow current topic can only be used for a workflow that has begun"));
+      }
+
+      //The stored index is where the user is, it may be behind the next incomplete step if the user has stepped back.
+      var nextStepIndex = _.isNumber(result.nextStepIndex) ? result.nextStepIndex : workflowClient.stepReview(workflow.steps, result).nextStepIndex;
+
+      self.mediator.publish(doneTopic, {
+        workorder: workorder,
+        workflow: workflow,
+        result: result,
+        nextStepIndex: nextStepIndex,
+        step: nextStepIndex > -1 ? workflow.steps[nextStepIndex] : null
+      });
+    }).catch(function(err) {
+      self.mediator.publish(errorTopic, err);
+    });
+  };
+};
\ No newline at end of file
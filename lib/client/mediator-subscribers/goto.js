@@ -0,0 +1,119 @@
+var CONSTANTS = require('../../constants');
+var errors = require('../../errors');
+var _ = require('lodash');
+
+/**
+ *
+ * Creating a handler for the goto step workflow topic.
+ *
+ * @param {object} workflowStepSubscribers
+ * @param {WorkflowMediatorService}    workflowClient
+ *
+ */
+module.exports = function workflowGotoSubscriber(workflowStepSubscribers, workflowClient) {
+
+
+  /**
+   *
+   * Handing a workflow goto topic.
+   *
+   * This moves the nextStepIndex of a result to any step that has been reached, without stepping back one step at a time.
+   *
+   * If the step is reopened, it is set back to pending so that it has to be completed again. The steps whose condition depends
+   * on the reopened step are reopened too, as the branch taken may change.
+   *
+   * @param parameters
+   * @param parameters.workorderId - The workorder ID to move to a step for.
+   * @param parameters.stepCode    - The code of the step to move to.
+   * @param parameters.reopen      - (Optional) Reopen the step and the steps that depend on it.
+   * @param parameters.topicUid
+   */
+  return function handleWorkflowGoto(parameters) {
+    var self = this;
+
+    var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.GOTO, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+    var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.GOTO, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+
+    var userId;
+    var reopenedStepCodes;
+
+    //Getting the currently logged in user data for the audit trail.
+    workflowClient.readUserProfile().then(function(profileData) {
+      userId = profileData.id;
+
+      return workflowClient.mergeResult(parameters.workorderId, function(workorder, workflow, result) {
+        reopenedStepCodes = [];
+
+        if (!result) {
+          //No result exists, The workflow should have been started
+          throw new errors.ResultNotStartedError("No result exists for workflow " + parameters.workorderId + ". The workflow goto topic can only be used for a workflow that has begun");
+        }
+
+        var stepIndex = _.findIndex(workflow.steps, function(step) {
+          return step.code === parameters.stepCode;
+        });
+        var step = workflow.steps[stepIndex];
+
+        if (!step || !workflowClient.isStepActive(step, result)) {
+          throw new errors.InvalidStepError("Invalid step to go to for workorder " + parameters.workorderId + " and step code " + parameters.stepCode);
+        }
+
+        //Steps after the next incomplete step have not been reached yet.
+        if (stepIndex > workflowClient.stepReview(workflow.steps, result).nextStepIndex) {
+          throw new errors.InvalidStepError("Step " + parameters.stepCode + " has not been reached for workorder " + parameters.workorderId + ". The workflow goto topic can only move to a step that has been reached");
+        }
+
+        if (parameters.reopen) {
+          var stepsToReopen = [step].concat(workflowClient.getDependentSteps(workflow.steps, step.code));
+
+          _.each(stepsToReopen, function(stepToReopen) {
+            var stepResult = result.stepResults && result.stepResults[stepToReopen.code];
+
+            if (!stepResult || stepResult.status === CONSTANTS.STATUS.PENDING) {
+              return;
+            }
+
+            //The submission is kept so that it can be edited, but the step has to be completed again.
+            stepResult.status = CONSTANTS.STATUS.PENDING;
+            reopenedStepCodes.push(stepToReopen.code);
+
+            workflowClient.recordHistory(result, {
+              action: CONSTANTS.HISTORY_ACTIONS.REOPEN,
+              stepCode: stepToReopen.code,
+              userId: profileData.id,
+              previousSubmission: stepResult.submission,
+              submission: stepResult.submission
+            });
+          });
+        } else {
+          workflowClient.recordHistory(result, {
+            action: CONSTANTS.HISTORY_ACTIONS.GOTO,
+            stepCode: step.code,
+            userId: profileData.id
+          });
+        }
+
+        result.nextStepIndex = stepIndex;
+        result.status = workflowClient.checkStatus(workorder, workflow, result);
+      });
+    }).then(function(workorderSummary) {
+      var workorder = workorderSummary[0];
+      var workflow = workorderSummary[1];
+      var result = workorderSummary[2];
+
+      self.mediator.publish(doneTopic, {
+        workorder: workorder,
+        workflow: workflow,
+        result: result,
+        nextStepIndex: result.nextStepIndex,
+        step: workflow.steps[result.nextStepIndex]
+      });
+
+      _.each(reopenedStepCodes, function(stepCode) {
+        workflowClient.publishEvent(CONSTANTS.EVENTS.STEP_REVERTED, workorder, workflow, {stepCode: stepCode, userId: userId});
+      });
+    }).catch(function(err) {
+      self.mediator.publish(errorTopic, err);
+    });
+  };
+};
\ No newline at end of file
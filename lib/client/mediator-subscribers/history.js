@@ -0,0 +1,42 @@
+var CONSTANTS = require('../../constants');
+
+
+/**
+ *
+ * Creating a handler for the workflow step history topic.
+ *
+ * @param {object}                     workflowStepSubscribers
+ * @param {WorkflowMediatorService}    workflowClient
+ */
+module.exports = function workflowHistorySubscriber(workflowStepSubscribers, workflowClient) {
+
+
+  /**
+   *
+   * Handling the audit trail of a workorder.
+   *
+   * Every completion, re-completion and step back of the workflow for a workorder is recorded in the history of its result,
+   * with the user that performed it, when it was performed and the submission of the step before and after.
+   *
+   * @param parameters
+   * @param parameters.workorderId
+   * @param parameters.topicUid
+   */
+  return function handleWorkflowHistory(parameters) {
+    var self = this;
+
+    var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.HISTORY, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+    var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.HISTORY, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+
+    workflowClient.getResultByWorkorderId(parameters.workorderId).then(function(result) {
+
+      //A workorder that has not begun its workflow has no history yet.
+      self.mediator.publish(doneTopic, {
+        workorderId: parameters.workorderId,
+        history: result && result.history ? result.history : []
+      });
+    }).catch(function(err) {
+      self.mediator.publish(errorTopic, err);
+    });
+  };
+};
\ No newline at end of file
@@ -5,33 +5,39 @@ var topicHandlers = {
   remove: require('./remove'),
   list: require('./list'),
   read: require('./read'),
+  versions: require('./versions'),
+  stats: require('./stats'),
   previous: require('./previous'),
+  next: require('./next'),
+  current: require('./current'),
+  goto: require('./goto'),
   begin: require('./begin'),
   complete: require('./complete'),
-  summary: require('./summary')
+  save: require('./save'),
+  summary: require('./summary'),
+  summaries: require('./summaries'),
+  history: require('./history')
 };
 var CONSTANTS = require('../../constants');
 
 var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
 
-var workflowSubscribers, workflowStepSubscribers;
-
 module.exports = {
   /**
    * Initialisation of all the topics that this module is interested in.
+   *
+   * Every call sets up a new set of subscribers, so that several instances of the module can be used side by side.
+   *
    * @param {Mediator}                   mediator
    * @param {WorkflowMediatorService}    workflowClient
-   * @returns {Topics|exports|module.exports|*}
+   * @returns {{workflowSubscribers: MediatorTopicUtility, workflowStepSubscribers: MediatorTopicUtility, tearDown: function}}
    */
   init: function(mediator, workflowClient) {
+    //The topic names configured for the client are used for the subscribers too.
+    var topicNames = workflowClient.topicNames;
 
-    //If there is already a set of subscribers set up, then don't subscribe again.
-    if (workflowSubscribers) {
-      return workflowSubscribers;
-    }
-
-    workflowSubscribers = new MediatorTopicUtility(mediator);
-    workflowSubscribers.prefix(CONSTANTS.TOPIC_PREFIX).entity(CONSTANTS.WORKFLOW_ENTITY_NAME);
+    var workflowSubscribers = new MediatorTopicUtility(mediator);
+    workflowSubscribers.prefix(topicNames.topicPrefix).entity(topicNames.workflowEntityName);
 
     //Setting up subscribers to the workflow topics.
     _.each(CONSTANTS.TOPICS, function(topicName) {
@@ -41,8 +47,8 @@ module.exports = {
     });
 
     //Setting up subscribers to the workflow step topics
-    workflowStepSubscribers = new MediatorTopicUtility(mediator);
-    workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
+    var workflowStepSubscribers = new MediatorTopicUtility(mediator);
+    workflowStepSubscribers.prefix(topicNames.workflowTopicPrefix).entity(topicNames.stepsEntityName);
 
     _.each(CONSTANTS.STEP_TOPICS, function(stepTopic) {
       if (topicHandlers[stepTopic]) {
@@ -50,16 +56,16 @@ module.exports = {
       }
     });
 
-    return workflowSubscribers;
-  },
-  tearDown: function() {
-    if (workflowSubscribers) {
-      workflowSubscribers.unsubscribeAll();
-      workflowSubscribers = null;
-    }
-
-    if (workflowStepSubscribers) {
-      workflowStepSubscribers.unsubscribeAll();
-    }
+    return {
+      workflowSubscribers: workflowSubscribers,
+      workflowStepSubscribers: workflowStepSubscribers,
+      /**
+       * Removing all the subscribers set up by this call.
+       */
+      tearDown: function() {
+        workflowSubscribers.unsubscribeAll();
+        workflowStepSubscribers.unsubscribeAll();
+      }
+    };
   }
 };
\ No newline at end of file
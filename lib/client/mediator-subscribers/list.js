@@ -1,4 +1,6 @@
+var _ = require('lodash');
 var CONSTANTS = require('../../constants');
+var listOptions = require('../../list-options');
 
 /**
  * Initialsing a subscriber for Listing workflows.
@@ -14,6 +16,10 @@ module.exports = function listWorkflowSubscriber(workflowEntityTopics, workflowC
    *
    * @param {object} parameters
    * @param {string/number} parameters.topicUid  - (Optional)  A unique ID to be used to publish completion / error topics.
+   * @param {object}        parameters.filter    - (Optional)  Only list the workflows that have the values of the filter.
+   * @param {string/Array}  parameters.sort      - (Optional)  The fields to sort by. A field starting with "-" is sorted in descending order.
+   * @param {number}        parameters.page      - (Optional)  The page to list, starting at 1.
+   * @param {number}        parameters.pageSize  - (Optional)  The number of workflows on a page.
    * @returns {*}
    */
   return function handleListWorkflowsTopic(parameters) {
@@ -23,7 +29,7 @@ module.exports = function listWorkflowSubscriber(workflowEntityTopics, workflowC
 
     var workflowListDoneTopic = workflowEntityTopics.getTopic(CONSTANTS.TOPICS.LIST, CONSTANTS.DONE_PREFIX, parameters.topicUid);
 
-    workflowClient.list()
+    workflowClient.list(_.pick(parameters, listOptions.LIST_OPTIONS))
     .then(function(arrayOfWorkflows) {
       self.mediator.publish(workflowListDoneTopic, arrayOfWorkflows);
     }).catch(function(error) {
@@ -0,0 +1,62 @@
+var CONSTANTS = require('../../constants');
+var errors = require('../../errors');
+
+/**
+ *
+ * Creating a handler for the next step workflow topic.
+ *
+ * @param {object} workflowStepSubscribers
+ * @param {WorkflowMediatorService}    workflowClient
+ *
+ */
+module.exports = function workflowNextSubscriber(workflowStepSubscribers, workflowClient) {
+
+
+  /**
+   *
+   * Handing a workflow next topic.
+   *
+   * After stepping back with the previous topic, this moves the nextStepIndex of a result forward to the next active step.
+   * The index can't be moved past the next incomplete step, that step has to be completed first.
+   *
+   * @param parameters
+   * @param parameters.workorderId - The workorder ID to step forward for.
+   * @param parameters.topicUid
+   */
+  return function handleWorkflowNext(parameters) {
+    var self = this;
+
+    var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.NEXT, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+    var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.NEXT, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+
+    workflowClient.mergeResult(parameters.workorderId, function(workorder, workflow, result) {
+      if (!result) {
+        //No result exists, The workflow should have been started
+        throw new errors.ResultNotStartedError("No result exists for workflow " + parameters.workorderId + ". The workflow next topic can only be used for a workflow that has begun");
+      }
+
+      var incompleteStepIndex = workflowClient.stepReview(workflow.steps, result).nextStepIndex;
+
+      if (result.nextStepIndex >= incompleteStepIndex) {
+        throw new errors.InvalidStepError("The current step for workorder " + parameters.workorderId + " has not been completed. The workflow next topic can only move past completed steps");
+      }
+
+      //Moving forward to the next step on the branch taken, but never past the next incomplete step.
+      result.nextStepIndex = Math.min(workflowClient.nextActiveStepIndex(workflow.steps, result, result.nextStepIndex), incompleteStepIndex);
+    }).then(function(workorderSummary) {
+      var workorder = workorderSummary[0];
+      var workflow = workorderSummary[1];
+      var result = workorderSummary[2];
+
+      self.mediator.publish(doneTopic, {
+        workorder: workorder,
+        workflow: workflow,
+        result: result,
+        nextStepIndex: result.nextStepIndex,
+        step: workflow.steps[result.nextStepIndex]
+      });
+    }).catch(function(err) {
+      self.mediator.publish(errorTopic, err);
+    });
+  };
+};
\ No newline at end of file
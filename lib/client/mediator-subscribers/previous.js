@@ -15,7 +15,7 @@ module.exports = function workflowPreviousSubscriber(workflowStepSubscribers, wo
    *
    * Handing a workflow back topic.
    *
-   * In this case, we want to decrement the nextStepIndex of a result if it exists.
+   * In this case, we want to move the nextStepIndex of a result back to the previous active step if it exists.
    *
    * @param parameters
    * @param parameters.workorderId - The workorder ID to step back for.
@@ -27,31 +27,25 @@ module.exports = function workflowPreviousSubscriber(workflowStepSubscribers, wo
     var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.PREVIOUS, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
     var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.PREVIOUS, CONSTANTS.DONE_PREFIX, parameters.topicUid);
 
-    workflowClient.getWorkorderSummary(parameters.workorderId).then(function(workorderSummary) {
+    var userId;
 
-      var workorder = workorderSummary[0];
-      var workflow = workorderSummary[1];
-      var result = workorderSummary[2];
+    //Getting the currently logged in user data for the audit trail.
+    workflowClient.readUserProfile().then(function(profileData) {
+      userId = profileData.id;
 
-      if (!result) {
-        //No result exists, The workflow should have been started
-        return self.mediator.publish(errorTopic, new Error("No result exists for workflow " + parameters.workorderId + ". The workflow back topic can only be used for a workflow that has begun"));
-      }
-
-      //Decrementing the result index. If it is 0 or doesn't exist, then default to 0
-      result.nextStepIndex = result.nextStepIndex > -1 ? result.nextStepIndex - 1 : -1;
-
-      return workflowClient.updateResult(result).then(function() {
-        self.mediator.publish(doneTopic, {
-          workorder: workorder,
-          workflow: workflow,
-          result: result,
-          nextStepIndex: result.nextStepIndex,
-          step: result.nextStepIndex > -1 ? workflow.steps[result.nextStepIndex] : null
-        });
+      return workflowClient.mergeResult(parameters.workorderId, function(workorder, workflow, result) {
+        workflowClient.previousStep(workorder, workflow, result, {userId: userId});
       });
+    }).then(function(workorderSummary) {
+      var stepProgress = workflowClient.getStepProgress(workorderSummary[0], workorderSummary[1], workorderSummary[2]);
 
+      self.mediator.publish(doneTopic, stepProgress);
 
+      //The event is about the step the workflow moved back to.
+      workflowClient.publishEvent(CONSTANTS.EVENTS.STEP_REVERTED, workorderSummary[0], workorderSummary[1], {
+        stepCode: stepProgress.step && stepProgress.step.code,
+        userId: userId
+      });
     }).catch(function(err) {
       self.mediator.publish(errorTopic, err);
     });
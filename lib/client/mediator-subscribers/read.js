@@ -1,4 +1,5 @@
 var CONSTANTS = require('../../constants');
+var ValidationError = require('../../errors').ValidationError;
 
 /**
  * Initialsing a subscriber for reading workflows.
@@ -28,7 +29,7 @@ module.exports = function readWorkflowSubscriber(workflowEntityTopics, workflowC
 
     //If there is no ID, then we can't read the workflow.
     if (!parameters.id) {
-      return self.mediator.publish(workflowReadErrorTopic, new Error("Expected An ID When Reading A Workflow"));
+      return self.mediator.publish(workflowReadErrorTopic, new ValidationError("Expected An ID When Reading A Workflow"));
     }
 
     workflowClient.read(parameters.id)
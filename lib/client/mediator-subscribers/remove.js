@@ -1,4 +1,5 @@
 var CONSTANTS = require('../../constants');
+var ValidationError = require('../../errors').ValidationError;
 
 /**
  * Initialsing a subscriber for removing workflows.
@@ -27,7 +28,7 @@ module.exports = function removeWorkflowSubscriber(workflowEntityTopics, workflo
 
     //If there is no ID, then we can't read the workflow.
     if (!parameters.id) {
-      return self.mediator.publish(workflowRemoveErrorTopic, new Error("Expected An ID When Removing A Workflow"));
+      return self.mediator.publish(workflowRemoveErrorTopic, new ValidationError("Expected An ID When Removing A Workflow"));
     }
 
     workflowClient.remove({
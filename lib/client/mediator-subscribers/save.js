@@ -0,0 +1,83 @@
+var CONSTANTS = require('../../constants');
+var errors = require('../../errors');
+var _ = require('lodash');
+
+/**
+ *
+ * Setting up a handler for the workflow step save topic.
+ *
+ * @param {object} workflowStepSubscribers
+ * @param {WorkflowMediatorService}    workflowClient
+ */
+module.exports = function workflowStepSaveSubscriber(workflowStepSubscribers, workflowClient) {
+
+
+  /**
+   *
+   * Handling the save topic for workflow steps.
+   *
+   * This stores a partial submission for a step as a draft, with a pending status and `draft: true`. The workflow does
+   * not move on, the step still has to be completed. The submission is not validated as it may not be finished yet.
+   *
+   * @param {object} parameters
+   * @param {string} parameters.workorderId
+   * @param {object} parameters.submission
+   * @param {number} parameters.stepCode
+   *
+   */
+  return function handleWorkflowStepSave(parameters) {
+    var self = this;
+
+    var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.SAVE, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+    var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.SAVE, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+
+    //Getting the currently logged in user data.
+    workflowClient.readUserProfile().then(function(profileData) {
+      return workflowClient.mergeResult(parameters.workorderId, function(workorder, workflow, result) {
+        if (!result) {
+          //No result exists, The workflow should have been started
+          throw new errors.ResultNotStartedError("No result exists for workorder " + parameters.workorderId + ". The workflow save topic can only be used for a workflow that has begun");
+        }
+
+        var step = _.find(workflow.steps, function(step) {
+          return step.code === parameters.stepCode;
+        });
+
+        if (!step || !workflowClient.isStepActive(step, result)) {
+          throw new errors.InvalidStepError("Invalid step to save draft data for workorder " + parameters.workorderId + " and step code " + parameters.stepCode);
+        }
+
+        result.stepResults = result.stepResults || {};
+
+        //A completed step has to be reopened with the goto topic before it can be changed.
+        if (workflowClient.isStepComplete(step, result.stepResults[step.code])) {
+          throw new errors.InvalidStepError("Step " + parameters.stepCode + " is already complete for workorder " + parameters.workorderId + ". It has to be reopened before a draft can be saved");
+        }
+
+        result.stepResults[step.code] = {
+          step: step,
+          submission: parameters.submission,
+          type: workflowClient.getStepType(step).name,
+          status: CONSTANTS.STATUS.PENDING,
+          draft: true,
+          timestamp: new Date().getTime(),
+          submitter: profileData.id
+        };
+      });
+    }).then(function(workorderSummary) {
+      var workorder = workorderSummary[0];
+      var workflow = workorderSummary[1];
+      var result = workorderSummary[2];
+
+      self.mediator.publish(doneTopic, {
+        workorder: workorder,
+        workflow: workflow,
+        result: result,
+        nextStepIndex: result.nextStepIndex,
+        step: workflow.steps[result.nextStepIndex]
+      });
+    }).catch(function(err) {
+      self.mediator.publish(errorTopic, err);
+    });
+  };
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+var CONSTANTS = require('../../constants');
+var ValidationError = require('../../errors').ValidationError;
+
+/**
+ * Initialsing a subscriber for the statistics of a workflow.
+ *
+ * @param {object} workflowEntityTopics
+ * @param {WorkflowMediatorService}    workflowClient
+ */
+module.exports = function workflowStatsSubscriber(workflowEntityTopics, workflowClient) {
+
+
+  /**
+   *
+   * Handling the statistics of a single workflow.
+   *
+   * The statistics are built from the results of the workorders that use the workflow: the number of workorders in
+   * each status, and the completions, waiting workorders and median completion time of each step.
+   *
+   * @param {object} parameters
+   * @param {string} parameters.workflowId - The ID of the workflow.
+   * @param {number/string} parameters.from - (Optional) Only include the step completions from this date.
+   * @param {number/string} parameters.to   - (Optional) Only include the step completions up to this date.
+   * @param {string/number} parameters.topicUid     - (Optional)  A unique ID to be used to publish completion / error topics.
+   * @returns {*}
+   */
+  return function handleWorkflowStatsTopic(parameters) {
+    var self = this;
+    parameters = parameters || {};
+
+    var workflowStatsErrorTopic = workflowEntityTopics.getTopic(CONSTANTS.TOPICS.STATS, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+
+    var workflowStatsDoneTopic = workflowEntityTopics.getTopic(CONSTANTS.TOPICS.STATS, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+
+    //If there is no workflow ID, then there are no statistics to build.
+    if (!parameters.workflowId) {
+      return self.mediator.publish(workflowStatsErrorTopic, new ValidationError("Expected A Workflow ID When Building Workflow Statistics"));
+    }
+
+    workflowClient.getWorkflowStats(parameters.workflowId, {from: parameters.from, to: parameters.to})
+    .then(function(workflowStats) {
+      self.mediator.publish(workflowStatsDoneTopic, workflowStats);
+    }).catch(function(error) {
+      self.mediator.publish(workflowStatsErrorTopic, error);
+    });
+  };
+};
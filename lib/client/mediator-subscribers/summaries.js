@@ -0,0 +1,45 @@
+var _ = require('lodash');
+var CONSTANTS = require('../../constants');
+var ValidationError = require('../../errors').ValidationError;
+
+
+/**
+ *
+ * Creating a handler for the batch workflow summary topic.
+ *
+ * @param {object}                     workflowStepSubscribers
+ * @param {WorkflowMediatorService}    workflowClient
+ */
+module.exports = function workflowSummariesSubscriber(workflowStepSubscribers, workflowClient) {
+
+
+  /**
+   *
+   * Handling the summaries of the workflows of many workorders.
+   *
+   * Publishing a summary topic for each workorder of a list reads the workorder, the workflow and the results for
+   * every row. Here they are read once for the whole list.
+   *
+   * @param parameters
+   * @param {Array} parameters.workorderIds
+   * @param parameters.topicUid
+   * @param [parameters.locale] - The locale of the status labels.
+   */
+  return function handleWorkflowSummaries(parameters) {
+    var self = this;
+    parameters = parameters || {};
+
+    var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.SUMMARIES, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+    var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.SUMMARIES, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+
+    if (!_.isArray(parameters.workorderIds)) {
+      return self.mediator.publish(errorTopic, new ValidationError("Expected A List Of Workorder IDs When Summarising Workflows"));
+    }
+
+    workflowClient.getWorkorderSummaries(parameters.workorderIds, parameters.locale).then(function(summaries) {
+      self.mediator.publish(doneTopic, summaries);
+    }).catch(function(err) {
+      self.mediator.publish(errorTopic, err);
+    });
+  };
+};
@@ -23,25 +23,16 @@ module.exports = function workflowSummarySubscriber(workflowStepSubscribers, wor
    * @param parameters
    * @param parameters.workorderId
    * @param parameters.topicUid
+   * @param [parameters.locale] - The locale of the status label.
    */
   return function handleWorkflowSummary(parameters) {
     var self = this;
 
     workflowClient.getWorkorderSummary(parameters.workorderId).then(function(workorderSummary) {
-      var workorder = workorderSummary[0];
-      var workflow = workorderSummary[1];
-      var result = workorderSummary[2];
-
       var doneTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.SUMMARY, CONSTANTS.DONE_PREFIX, parameters.topicUid);
 
       //We now have the current status of the workflow for this workorder, the begin step is now complete.
-      self.mediator.publish(doneTopic, {
-        workorder: workorder,
-        workflow: workflow,
-        status: workflowClient.checkStatus(workorder, workflow, result),
-        nextStepIndex: workflowClient.stepReview(workflow.steps, result).nextStepIndex,
-        result: result
-      });
+      self.mediator.publish(doneTopic, workflowClient.summarise(workorderSummary[0], workorderSummary[1], workorderSummary[2], parameters.locale));
     }).catch(function(err) {
       var errorTopic = workflowStepSubscribers.getTopic(CONSTANTS.STEP_TOPICS.SUMMARY, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
 
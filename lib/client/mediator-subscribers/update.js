@@ -1,5 +1,6 @@
 var CONSTANTS = require('../../constants');
-var _ = require("lodash");
+var ValidationError = require('../../errors').ValidationError;
+var validator = require('../../validator');
 
 /**
  * Initialsing a subscriber for updating a workflow.
@@ -13,6 +14,8 @@ module.exports = function updateWorkflowSubscriber(workflowEntityTopics, workflo
    *
    * Handling the update of a workflow
    *
+   * The current version of the workflow is kept, results that have already begun will continue to use it.
+   *
    * @param {object} parameters
    * @param {object} parameters.workflowToUpdate   - The workflow item to update
    * @param {string/number} parameters.topicUid     - (Optional)  A unique ID to be used to publish completion / error topics.
@@ -27,12 +30,15 @@ module.exports = function updateWorkflowSubscriber(workflowEntityTopics, workflo
 
     var workflowToUpdate = parameters.workflowToUpdate;
 
-    //If no workorder is passed, can't update one. Also require the ID of the workfo to update it.
-    if (!_.isPlainObject(workflowToUpdate)) {
-      return self.mediator.publish(workflowUpdateErrorTopic, new Error("Invalid Data To Update A Workflow."));
+    //If no valid workflow is passed, can't update one. Also require the ID of the workflow to update it.
+    var violations = validator.validateWorkflow(workflowToUpdate, {requireId: true, stepTypes: workflowClient.stepTypes});
+
+    if (violations.length > 0) {
+      return self.mediator.publish(workflowUpdateErrorTopic, new ValidationError("Invalid Data To Update A Workflow.", violations));
     }
 
-    workflowClient.update(workflowToUpdate)
+    //Every update creates a new version of the workflow.
+    workflowClient.createVersion(workflowToUpdate)
     .then(function(updatedWorkflow) {
       self.mediator.publish(workflowUpdateDoneTopic, updatedWorkflow);
     }).catch(function(error) {
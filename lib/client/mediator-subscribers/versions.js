@@ -0,0 +1,42 @@
+var CONSTANTS = require('../../constants');
+var ValidationError = require('../../errors').ValidationError;
+
+/**
+ * Initialsing a subscriber for listing the versions of a workflow.
+ *
+ * @param {object} workflowEntityTopics
+ * @param {WorkflowMediatorService}    workflowClient
+ */
+module.exports = function workflowVersionsSubscriber(workflowEntityTopics, workflowClient) {
+
+
+  /**
+   *
+   * Handling the listing of all the versions of a single workflow
+   *
+   * @param {object} parameters
+   * @param {string} parameters.id - The ID of the workflow to list the versions of.
+   * @param {string/number} parameters.topicUid     - (Optional)  A unique ID to be used to publish completion / error topics.
+   * @returns {*}
+   */
+  return function handleWorkflowVersionsTopic(parameters) {
+    var self = this;
+    parameters = parameters || {};
+
+    var workflowVersionsErrorTopic = workflowEntityTopics.getTopic(CONSTANTS.TOPICS.VERSIONS, CONSTANTS.ERROR_PREFIX, parameters.topicUid);
+
+    var workflowVersionsDoneTopic = workflowEntityTopics.getTopic(CONSTANTS.TOPICS.VERSIONS, CONSTANTS.DONE_PREFIX, parameters.topicUid);
+
+    //If there is no ID, then we can't list the workflow versions.
+    if (!parameters.id) {
+      return self.mediator.publish(workflowVersionsErrorTopic, new ValidationError("Expected An ID When Listing Workflow Versions"));
+    }
+
+    workflowClient.listVersions(parameters.id)
+    .then(function(workflowVersions) {
+      self.mediator.publish(workflowVersionsDoneTopic, workflowVersions);
+    }).catch(function(error) {
+      self.mediator.publish(workflowVersionsErrorTopic, error);
+    });
+  };
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+var _ = require('lodash');
+var CONSTANTS = require('../../constants');
+
+/**
+ *
+ * A cache of recently read entities (e.g. workflows or results).
+ *
+ * Entries are cloned when they are stored and read, so that changes made by callers do not change the cache.
+ * When the cache is full, the least recently used entry is evicted.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - The maximum number of entries to keep.
+ * @param {number} [options.ttl]        - The time in milliseconds an entry is kept. Entries are kept until they are invalidated if not set.
+ * @constructor
+ */
+function EntityCache(options) {
+  options = options || {};
+
+  this.maxEntries = options.maxEntries || CONSTANTS.CACHE_MAX_ENTRIES;
+  this.ttl = options.ttl;
+  this.entries = {};
+  this.keys = [];
+  this.hits = 0;
+  this.misses = 0;
+}
+
+/**
+ *
+ * Reading an entry from the cache.
+ *
+ * @param {string} key
+ * @returns {*} - A copy of the entry, or undefined if it is not cached.
+ */
+EntityCache.prototype.get = function get(key) {
+  var entry = this.entries[key];
+
+  if (entry && this.ttl && new Date().getTime() - entry.timestamp > this.ttl) {
+    this.remove(key);
+    entry = undefined;
+  }
+
+  if (!entry) {
+    this.misses++;
+    return undefined;
+  }
+
+  this.hits++;
+  this.keys = _.without(this.keys, key).concat([key]);
+
+  return _.cloneDeep(entry.value);
+};
+
+/**
+ *
+ * Storing an entry in the cache.
+ *
+ * @param {string} key
+ * @param {*}      value
+ * @returns {EntityCache}
+ */
+EntityCache.prototype.set = function set(key, value) {
+  this.entries[key] = {
+    value: _.cloneDeep(value),
+    timestamp: new Date().getTime()
+  };
+  this.keys = _.without(this.keys, key).concat([key]);
+
+  while (this.keys.length > this.maxEntries) {
+    delete this.entries[this.keys.shift()];
+  }
+
+  return this;
+};
+
+/**
+ *
+ * Removing an entry from the cache.
+ *
+ * @param {string} key
+ * @returns {EntityCache}
+ */
+EntityCache.prototype.remove = function remove(key) {
+  delete this.entries[key];
+  this.keys = _.without(this.keys, key);
+
+  return this;
+};
+
+/**
+ *
+ * Removing all entries from the cache. The hit and miss counters are kept.
+ *
+ * @returns {EntityCache}
+ */
+EntityCache.prototype.clear = function clear() {
+  this.entries = {};
+  this.keys = [];
+
+  return this;
+};
+
+/**
+ *
+ * Getting the hit and miss counters of the cache.
+ *
+ * @returns {{hits: number, misses: number, size: number}}
+ */
+EntityCache.prototype.getStats = function getStats() {
+  return {
+    hits: this.hits,
+    misses: this.misses,
+    size: this.keys.length
+  };
+};
+
+module.exports = EntityCache;
\ No newline at end of file
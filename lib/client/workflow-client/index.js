@@ -1,5 +1,4 @@
 var WorkflowTopicClient = require('./workflowClient');
-var manager;
 
 
 
@@ -7,16 +6,12 @@ var manager;
  *
  * Initialising the workflow-client with a mediator.
  *
+ * Every call creates a new client, with its own mediator and config.
+ *
  * @param _mediator
  * @param config
  * @returns {WorkflowMediatorService}
  */
 module.exports = function(_mediator, config) {
-
-  //If there is already a manager, use this
-  if (!manager) {
-    manager = new WorkflowTopicClient(_mediator, config);
-  }
-
-  return manager;
+  return new WorkflowTopicClient(_mediator, config);
 };
\ No newline at end of file
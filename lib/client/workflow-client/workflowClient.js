@@ -1,71 +1,248 @@
 var q = require('q');
 var _ = require('lodash');
 var shortid = require('shortid');
+var util = require('util');
 var CONSTANTS = require('../../constants');
+var errors = require('../../errors');
+var ConflictError = errors.ConflictError;
+var TimeoutError = errors.TimeoutError;
+var NotFoundError = errors.NotFoundError;
+var WorkflowEngine = require('../../engine');
+var resultStorage = require('../../engine/resultStorage');
+var EntityCache = require('./cache');
+var listOptionsUtil = require('../../list-options');
+var resultStatus = require('../../status');
+var topicRequests = require('../../topic-requests');
 var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
 
 /**
  *
- * Getting Promises for done and error topics.
- * This will resolve or reject the returned promise depending on the topic published.
+ * Getting the topic prefixes and entity names used by the module.
  *
+ * Any of them can be changed in the config, e.g. to use differently named workorder or result modules, or to run
+ * two workflow domains on one mediator. The sync and workflow step prefixes are based on the topic prefix by default.
  *
- * TODO: This may be of more use in fh-wfm-mediator...
- *
- * @param doneTopicPromise  - A promise for the done topic.
- * @param errorTopicPromise - A promise for the error topic.
- * @returns {Promise}
+ * @param {object} config
+ * @returns {object}
  */
-function getTopicPromises(doneTopicPromise, errorTopicPromise) {
-  var deferred = q.defer();
-
-  doneTopicPromise.then(function(createdWorkorder) {
-    deferred.resolve(createdWorkorder);
+function getTopicNames(config) {
+  var topicNames = _.defaults(_.pick(config, ['topicPrefix', 'workflowEntityName', 'workorderEntityName', 'resultsEntityName', 'usersEntityName', 'stepsEntityName']), {
+    topicPrefix: CONSTANTS.TOPIC_PREFIX,
+    workflowEntityName: CONSTANTS.WORKFLOW_ENTITY_NAME,
+    workorderEntityName: CONSTANTS.WORKORDER_ENTITY_NAME,
+    resultsEntityName: CONSTANTS.RESULTS_ENTITY_NAME,
+    usersEntityName: CONSTANTS.USERS_ENTITY_NAME,
+    stepsEntityName: CONSTANTS.STEPS_ENTITY_NAME
   });
 
-  errorTopicPromise.then(function(error) {
-    deferred.reject(error);
-  });
+  topicNames.syncTopicPrefix = config.syncTopicPrefix || topicNames.topicPrefix + CONSTANTS.TOPIC_SEPARATOR + CONSTANTS.SYNC_ENTITY_NAME;
+  topicNames.workflowTopicPrefix = topicNames.topicPrefix + CONSTANTS.TOPIC_SEPARATOR + topicNames.workflowEntityName;
 
-  return deferred.promise;
+  return topicNames;
 }
 
 /**
  *
  * A mediator service that will publish and subscribe to topics to be able to render workflow data.
  *
+ * The step progression logic is inherited from the WorkflowEngine.
+ *
  * @param {Mediator} mediator
  * @param {object}   config
+ * @param {object}   [config.stepTypes] - Custom step types to register, keyed by type name.
+ * @param {object|boolean} [config.cache] - Caching recently read workflows and results. Either `true` or the options of the cache (`maxEntries`, `ttl`).
+ * @param {number}   [config.topicTimeout]    - The time in milliseconds to wait for a response to a topic.
+ * @param {object}   [config.topicTimeouts]   - Timeouts for specific operations, keyed by entity and topic name (e.g. "results:list").
+ * @param {number}   [config.topicRetries]    - The number of times a read or list operation is retried after a timeout.
+ * @param {number}   [config.topicRetryDelay] - The time in milliseconds before the first retry. It is doubled for every retry.
+ * @param {string}   [config.topicPrefix]         - The prefix of all the topics (default "wfm").
+ * @param {string}   [config.syncTopicPrefix]     - The prefix of the sync topics (default "<topicPrefix>:sync").
+ * @param {string}   [config.workflowEntityName]  - The entity name of workflows (default "workflows").
+ * @param {string}   [config.workorderEntityName] - The entity name of workorders (default "workorders").
+ * @param {string}   [config.resultsEntityName]   - The entity name of results (default "results").
+ * @param {string}   [config.usersEntityName]     - The entity name of users (default "users").
+ * @param {string}   [config.stepsEntityName]     - The entity name of workflow steps (default "step").
  * @constructor
  */
 function WorkflowMediatorService(mediator, config) {
   this.mediator = mediator;
   this.config = config || {};
+  this.topicNames = getTopicNames(this.config);
 
   this.resultsTopics = new MediatorTopicUtility(mediator)
-    .prefix(CONSTANTS.TOPIC_PREFIX)
-    .entity(CONSTANTS.RESULTS_ENTITY_NAME);
+    .prefix(this.topicNames.topicPrefix)
+    .entity(this.topicNames.resultsEntityName);
 
   this.workordersTopics = new MediatorTopicUtility(mediator)
-    .prefix(CONSTANTS.TOPIC_PREFIX)
-    .entity(CONSTANTS.WORKORDER_ENTITY_NAME);
+    .prefix(this.topicNames.topicPrefix)
+    .entity(this.topicNames.workorderEntityName);
 
 
   this.usersTopics =  new MediatorTopicUtility(mediator)
-    .prefix(CONSTANTS.TOPIC_PREFIX)
-    .entity(CONSTANTS.USERS_ENTITY_NAME);
+    .prefix(this.topicNames.topicPrefix)
+    .entity(this.topicNames.usersEntityName);
 
   this.workflowSyncSubscribers = new MediatorTopicUtility(mediator)
-    .prefix(CONSTANTS.SYNC_TOPIC_PREFIX)
-    .entity(CONSTANTS.WORKFLOW_ENTITY_NAME);
+    .prefix(this.topicNames.syncTopicPrefix)
+    .entity(this.topicNames.workflowEntityName);
+
+  //Events are broadcast to any module interested in them, e.g. "wfm:workflows:events:step_completed".
+  this.eventTopics = new MediatorTopicUtility(mediator)
+    .prefix(this.topicNames.workflowTopicPrefix)
+    .entity(CONSTANTS.EVENTS_ENTITY_NAME);
+
+  WorkflowEngine.call(this, this.config);
+
+  //Recently read workflows and results are only cached if the cache is enabled.
+  if (this.config.cache) {
+    var cacheOptions = _.isObject(this.config.cache) ? this.config.cache : {};
+
+    this.workflowCache = new EntityCache(cacheOptions);
+    this.resultCache = new EntityCache(cacheOptions);
+
+    subscribeToCacheChanges(this);
+  }
+}
+
+util.inherits(WorkflowMediatorService, WorkflowEngine);
+
+/**
+ *
+ * Broadcasting a workflow event (e.g. `step_completed`).
+ *
+ * Unlike the done topics, events are not addressed to the caller, so that other modules (e.g. notifications) can
+ * subscribe to them without knowing the topic identifier of the caller.
+ *
+ * @param {string} eventName - One of the EVENTS
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} [details] - The `stepCode` and `userId` of the event.
+ * @returns {object} - The published event.
+ */
+WorkflowMediatorService.prototype.publishEvent = function publishEvent(eventName, workorder, workflow, details) {
+  var event = this.buildEvent(workorder, workflow, details);
+
+  this.mediator.publish(this.eventTopics.getTopic(eventName), event);
+
+  return event;
+};
+
+/**
+ *
+ * Getting the ID of an entity published to a done topic. Some topics publish the entity, others only the ID.
+ *
+ * @param {object|string} entity
+ * @returns {string}
+ */
+function getEntityId(entity) {
+  return _.isString(entity) ? entity : entity && entity.id;
 }
 
+/**
+ *
+ * Keeping the cached workflows and results up to date.
+ *
+ * Workflows are invalidated when they are changed, results are refreshed with the latest data that was published.
+ *
+ * @param {WorkflowMediatorService} self
+ */
+function subscribeToCacheChanges(self) {
+  function invalidateWorkflow(workflow) {
+    var workflowId = getEntityId(workflow);
+
+    if (workflowId) {
+      self.workflowCache.remove(workflowId);
+    }
+  }
+
+  function refreshResult(result) {
+    if (result && result.workorderId) {
+      self.resultCache.set(result.workorderId, result);
+    }
+  }
+
+  function invalidateResult(result) {
+    if (result && result.workorderId) {
+      self.resultCache.remove(result.workorderId);
+    }
+  }
+
+  var cacheHandlers = [
+    [self.workflowSyncSubscribers.getTopic(CONSTANTS.TOPICS.UPDATE, CONSTANTS.DONE_PREFIX), invalidateWorkflow],
+    [self.workflowSyncSubscribers.getTopic(CONSTANTS.TOPICS.REMOVE, CONSTANTS.DONE_PREFIX), invalidateWorkflow],
+    [self.resultsTopics.getTopic(CONSTANTS.TOPICS.CREATE, CONSTANTS.DONE_PREFIX), refreshResult],
+    [self.resultsTopics.getTopic(CONSTANTS.TOPICS.UPDATE, CONSTANTS.DONE_PREFIX), refreshResult],
+    [self.resultsTopics.getTopic(CONSTANTS.TOPICS.REMOVE, CONSTANTS.DONE_PREFIX), invalidateResult]
+  ];
+
+  //Done topics published with a topic UID are also received here, as they are published to the parent topics too.
+  self.cacheSubscriptions = _.map(cacheHandlers, function(cacheHandler) {
+    return {
+      topic: cacheHandler[0],
+      subscription: self.mediator.subscribe(cacheHandler[0], cacheHandler[1])
+    };
+  });
+}
+
+/**
+ *
+ * Tearing down the client.
+ *
+ * The subscriptions that keep the cache up to date are removed and the cache is cleared.
+ */
+WorkflowMediatorService.prototype.tearDown = function tearDown() {
+  var self = this;
+
+  _.each(this.cacheSubscriptions, function(cacheSubscription) {
+    self.mediator.remove(cacheSubscription.topic, cacheSubscription.subscription.id);
+  });
+
+  this.cacheSubscriptions = [];
+
+  if (this.config.cache) {
+    this.workflowCache.clear();
+    this.resultCache.clear();
+  }
+};
+
+/**
+ *
+ * Getting the hit and miss counters of the workflow and result caches.
+ *
+ * @returns {object|null} - The counters of each cache, or null if the cache is not enabled.
+ */
+WorkflowMediatorService.prototype.getCacheStats = function getCacheStats() {
+  if (!this.config.cache) {
+    return null;
+  }
+
+  return {
+    workflows: this.workflowCache.getStats(),
+    results: this.resultCache.getStats()
+  };
+};
+
+
+/**
+ *
+ * Getting the time to wait for a response to a topic.
+ *
+ * @param {MediatorTopicUtility} topicGenerator
+ * @param {string} topicName
+ * @returns {number}
+ */
+WorkflowMediatorService.prototype.getTopicTimeout = function getTopicTimeout(topicGenerator, topicName) {
+  var topicTimeouts = this.config.topicTimeouts || {};
+
+  return topicTimeouts[topicGenerator.entity + CONSTANTS.TOPIC_SEPARATOR + topicName] || this.config.topicTimeout || CONSTANTS.TOPIC_TIMEOUT;
+};
 
 /**
  *
  * Getting Promises for the done and error topics.
  *
- * TODO: This may be of more use in fh-wfm-mediator...
+ * The promise is resolved with the data published to the done topic, rejected with the error published to the
+ * error topic, or rejected with a TimeoutError. Once it is settled, the subscriptions and the timer are removed.
  *
  * @param {MediatorTopicUtility} topicGenerator
  * @param {string} topicName   - The name of the topic to generate
@@ -73,128 +250,210 @@ function WorkflowMediatorService(mediator, config) {
  * @returns {Promise} - A promise for the topic.
  */
 WorkflowMediatorService.prototype.getErrorAndDoneTopicPromises = function getErrorAndDoneTopicPromises(topicGenerator, topicName, topicUid) {
-  var doneTopic = topicGenerator.getTopic(topicName, CONSTANTS.DONE_PREFIX, topicUid);
-  var errorTopic = topicGenerator.getTopic(topicName, CONSTANTS.ERROR_PREFIX, topicUid);
-
-  var doneTopicPromise = topicGenerator.mediator.promise(doneTopic);
-  var errorTopicPromise = topicGenerator.mediator.promise(errorTopic);
-
-  var timeoutDefer = q.defer();
+  return topicRequests.waitForResponse(topicGenerator, topicName, topicUid, this.getTopicTimeout(topicGenerator, topicName));
+};
 
-  setTimeout(function() {
-    timeoutDefer.reject(new Error("Timeout For Topic: " + doneTopic));
-  }, this.config.topicTimeout || CONSTANTS.TOPIC_TIMEOUT);
+/**
+ *
+ * Retrying an idempotent request (e.g. a read or a list) when it times out.
+ *
+ * The delay before each retry is doubled, starting at `config.topicRetryDelay`. Errors published to the
+ * error topic are not retried.
+ *
+ * @param {function} request - Publishes the request and returns a promise for the response.
+ * @returns {Promise}
+ */
+WorkflowMediatorService.prototype.retryOnTimeout = function retryOnTimeout(request) {
+  var retries = _.isNumber(this.config.topicRetries) ? this.config.topicRetries : CONSTANTS.TOPIC_RETRIES;
+  var retryDelay = _.isNumber(this.config.topicRetryDelay) ? this.config.topicRetryDelay : CONSTANTS.TOPIC_RETRY_DELAY;
+
+  function attempt(attemptNumber) {
+    return request().catch(function(err) {
+      if (!(err instanceof TimeoutError) || attemptNumber >= retries) {
+        throw err;
+      }
+
+      return q.delay(retryDelay * Math.pow(2, attemptNumber)).then(function() {
+        return attempt(attemptNumber + 1);
+      });
+    });
+  }
 
-  //Either one of these promises resolves/rejects or it will time out.
-  return q.race([getTopicPromises(doneTopicPromise, errorTopicPromise), timeoutDefer.promise]);
+  return attempt(0);
 };
 
 /**
  *
- * Listing All Results
+ * Publishing an idempotent request to a topic and waiting for the response, retrying if it times out.
  *
+ * @param {MediatorTopicUtility} topicGenerator
+ * @param {string} topicName   - The name of the topic to publish
+ * @param {string} [topicUid]  - A topic UID if required.
+ * @param {object} [parameters] - The parameters to publish.
  * @returns {Promise}
  */
-WorkflowMediatorService.prototype.listResults = function listResults() {
-  var promise = this.getErrorAndDoneTopicPromises(this.resultsTopics, CONSTANTS.TOPICS.LIST);
+WorkflowMediatorService.prototype.readTopic = function readTopic(topicGenerator, topicName, topicUid, parameters) {
+  var self = this;
 
-  this.mediator.publish(this.resultsTopics.getTopic(CONSTANTS.TOPICS.LIST));
+  return this.retryOnTimeout(function() {
+    var promise = self.getErrorAndDoneTopicPromises(topicGenerator, topicName, topicUid);
 
-  return promise;
+    self.mediator.publish(topicGenerator.getTopic(topicName), parameters);
+
+    return promise;
+  });
 };
 
 /**
  *
- * Creating A Result
+ * Checking if a result matches a result filter.
+ *
+ * @param {object} result
+ * @param {object} [filter]
+ * @param {string} [filter.workorderId]  - Only the result for this workorder.
+ * @param {Array}  [filter.workorderIds] - Only the results for these workorders.
+ * @returns {boolean}
+ */
+function matchesResultFilter(result, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  if (filter.workorderId && result.workorderId !== filter.workorderId) {
+    return false;
+  }
+
+  return !filter.workorderIds || _.includes(filter.workorderIds, result.workorderId);
+}
+
+/**
  *
+ * Listing Results
+ *
+ * The filter is passed to the results module so that it can read only the matching results.
+ * Results modules that do not support filtering return every result, so the results are
+ * always filtered here too.
+ *
+ * Results stored with a display label as their status (e.g. "In Progress") are converted to the status code.
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.workorderId]  - Only list the result for this workorder.
+ * @param {Array}  [filter.workorderIds] - Only list the results for these workorders.
  * @returns {Promise}
  */
-WorkflowMediatorService.prototype.createResult = function createResult(resultToCreate) {
+WorkflowMediatorService.prototype.listResults = function listResults(filter) {
   var topicUid = shortid.generate();
-  var promise = this.getErrorAndDoneTopicPromises(this.resultsTopics, CONSTANTS.TOPICS.CREATE, topicUid);
 
-  this.mediator.publish(this.resultsTopics.getTopic(CONSTANTS.TOPICS.CREATE), {
-    resultToCreate: resultToCreate,
+  return this.readTopic(this.resultsTopics, CONSTANTS.TOPICS.LIST, topicUid, {
+    filter: filter,
     topicUid: topicUid
-  });
+  }).then(function(resultsArray) {
+    var results = _.filter(resultsArray || [], function(result) {
+      return matchesResultFilter(result, filter);
+    });
 
-  return promise;
+    resultStatus.migrateResults(results);
+
+    return results;
+  });
 };
 
 /**
  *
- * Updating A Result
+ * Creating A Result
  *
  * @returns {Promise}
  */
-WorkflowMediatorService.prototype.updateResult = function updateResult(resultToUpdate) {
+WorkflowMediatorService.prototype.createResult = function createResult(resultToCreate) {
   var topicUid = shortid.generate();
-  var promise = this.getErrorAndDoneTopicPromises(this.resultsTopics, CONSTANTS.TOPICS.UPDATE, topicUid);
+  var promise = this.getErrorAndDoneTopicPromises(this.resultsTopics, CONSTANTS.TOPICS.CREATE, topicUid);
 
-  this.mediator.publish(this.resultsTopics.getTopic(CONSTANTS.TOPICS.UPDATE), {
-    resultToUpdate: resultToUpdate,
+  this.mediator.publish(this.resultsTopics.getTopic(CONSTANTS.TOPICS.CREATE), {
+    resultToCreate: resultToCreate,
     topicUid: topicUid
   });
 
-  return promise;
+  return promise.then(_.bind(this.cacheResult, this));
 };
 
 /**
  *
- * Checking the status of a workorder
+ * Storing a result in the result cache, if the cache is enabled.
  *
- * @param {object} workorder  - The workorder to check status
- * @param {object} workflow   - The workflow to check status
- * @param {object} result     - The result to check status
- * @returns {*}
+ * @param {object} result
+ * @returns {object} - The result
  */
-WorkflowMediatorService.prototype.checkStatus = function checkStatus(workorder, workflow, result) {
-  var status;
-  var stepReview = this.stepReview(workflow.steps, result);
-  if (stepReview.nextStepIndex >= workflow.steps.length - 1 && stepReview.complete) {
-    status = CONSTANTS.STATUS.COMPLETE_DISPLAY;
-  } else if (!workorder.assignee) {
-    status = CONSTANTS.STATUS.UNASSIGNED_DISPLAY;
-  } else if (stepReview.nextStepIndex < 0) {
-    status = CONSTANTS.STATUS.NEW_DISPLAY;
-  } else {
-    status = CONSTANTS.STATUS.PENDING_DISPLAY;
+WorkflowMediatorService.prototype.cacheResult = function cacheResult(result) {
+  if (this.resultCache && result && result.workorderId) {
+    this.resultCache.set(result.workorderId, result);
   }
-  return status;
+
+  return result;
 };
 
 /**
  *
- * This function checks each of the result steps to determine if the workflow is complete,
- * and if not, what is the next step in the workflow to display to the user.
+ * Updating A Result
  *
+ * Results carry a revision number. The revision the result was read at is published as the `expectedRevision`, so
+ * that the results module can reject the update if the stored result has been changed since. The check has to be
+ * made by the results module when it writes the result: only then can two devices not both update the same revision.
  *
- * @param {object} steps
- * @param {object} result
- * @returns {{nextStepIndex: number, complete: *}}
+ * A rejection with the CONFLICT code is published as a ConflictError. Results modules that ignore the
+ * `expectedRevision` do not detect conflicts: the last update wins.
+ *
+ * @param {object} resultToUpdate
+ * @param {number} [resultToUpdate.revision] - The revision of the result when it was read.
+ * @returns {Promise}
  */
-WorkflowMediatorService.prototype.stepReview = function stepReview(steps, result) {
-  var nextIncompleteStepIndex = 0;
-  var complete = false;
+WorkflowMediatorService.prototype.updateResult = function updateResult(resultToUpdate) {
+  var self = this;
+
+  return resultStorage.updateResult(resultToUpdate, function(result, expectedRevision) {
+    var topicUid = shortid.generate();
+    var promise = self.getErrorAndDoneTopicPromises(self.resultsTopics, CONSTANTS.TOPICS.UPDATE, topicUid);
 
-  //If there is no result, then the first step is the next step.
-  if (result && result.stepResults && result.stepResults.length !== 0) {
-    nextIncompleteStepIndex = _.findIndex(steps, function(step) {
-      //The next incomplete step is the step with no entry or it's not complete yet.
-      return !result.stepResults[step.code] || result.stepResults[step.code].status !== CONSTANTS.STATUS.COMPLETE;
+    self.mediator.publish(self.resultsTopics.getTopic(CONSTANTS.TOPICS.UPDATE), {
+      resultToUpdate: result,
+      expectedRevision: expectedRevision,
+      topicUid: topicUid
     });
 
-    if (nextIncompleteStepIndex === -1) {
-      complete = true;
-      nextIncompleteStepIndex = steps.length;
+    return promise;
+  }).then(_.bind(this.cacheResult, this), function(err) {
+    //The cached result is stale, the next read has to get the stored result.
+    if (err instanceof ConflictError && self.resultCache) {
+      self.resultCache.remove(resultToUpdate.workorderId);
     }
-  }
-  return {
-    nextStepIndex: nextIncompleteStepIndex,
-    complete: complete // false is any steps are "pending"
-  };
+
+    throw err;
+  });
 };
 
+/**
+ *
+ * Applying changes to the result of a workorder and saving them.
+ *
+ * If the result was changed by someone else in the meantime, the workorder summary is read again and the changes
+ * are re-applied to the latest result, up to `config.resultConflictRetries` times.
+ *
+ * @param {string}   workorderId
+ * @param {function} applyChanges - Called with the workorder, workflow and result. Changes the result in place, or throws if the change is not possible.
+ * @returns {Promise} - The [workorder, workflow, result] summary with the saved result.
+ */
+WorkflowMediatorService.prototype.mergeResult = function mergeResult(workorderId, applyChanges) {
+  var self = this;
+
+  return resultStorage.mergeResult({
+    //The changes are applied to the stored result: a cached result may not have the changes made on other devices.
+    readWorkorderSummary: function(workorderId) {
+      return self.getWorkorderSummary(workorderId, {skipCache: true});
+    },
+    updateResult: function(result) {
+      return self.updateResult(result);
+    }
+  }, workorderId, applyChanges, this.config.resultConflictRetries);
+};
 
 /**
  *
@@ -203,18 +462,65 @@ WorkflowMediatorService.prototype.stepReview = function stepReview(steps, result
  * In this case, we need access to the workorder, workflow and result objects.
  *
  * @param workorderId
+ * @param {object}  [options]
+ * @param {boolean} [options.skipCache] - Read the stored workflow and result, e.g. before the result is changed.
  */
-WorkflowMediatorService.prototype.getWorkorderSummary = function(workorderId) {
+WorkflowMediatorService.prototype.getWorkorderSummary = function(workorderId, options) {
+  return resultStorage.readWorkorderSummary(this, {
+    readWorkorder: _.bind(this.readWorkorder, this),
+    readWorkflow: _.bind(this.read, this),
+    readResult: _.bind(this.getResultByWorkorderId, this)
+  }, workorderId, options);
+};
+
+/**
+ *
+ * Building the short summaries of the workflows of many workorders, e.g. for a workorder list.
+ *
+ * The workorders and the results are read once, and each workflow is read once however many workorders use it.
+ * A workorder or workflow that does not exist, or a workflow that can't be read, does not fail the other summaries:
+ * its summary has an `error` instead.
+ *
+ * @param {Array}  workorderIds
+ * @param {string} [locale] - The locale of the status labels.
+ * @returns {Promise} - The summaries, in the order of the workorder IDs (see WorkflowEngine.summariseStatus).
+ */
+WorkflowMediatorService.prototype.getWorkorderSummaries = function getWorkorderSummaries(workorderIds, locale) {
   var self = this;
 
-  return this.readWorkorder(workorderId).then(function(workorder) {
-    return q.all([self.read(workorder.workflowId), self.getResultByWorkorderId(workorderId)])
-      .then(function(workorderResult) {
-        var workflow = workorderResult[0];
-        var result = workorderResult[1];
+  return q.all([this.listWorkorders({workorderIds: workorderIds}), this.getResultsByWorkorderIds(workorderIds)]).then(function(workordersResults) {
+    var workorders = _.keyBy(workordersResults[0], 'id');
+    var results = workordersResults[1];
+    var workflowIds = _.uniq(_.compact(_.map(workorders, 'workflowId')));
+
+    return q.allSettled(_.map(workflowIds, function(workflowId) {
+      return self.read(workflowId);
+    })).then(function(workflowReads) {
+      workflowReads = _.zipObject(workflowIds, workflowReads);
+
+      return _.map(workorderIds, function(workorderId) {
+        var workorder = workorders[workorderId];
 
-        return [workorder, workflow, result];
+        if (!workorder) {
+          return {workorderId: workorderId, error: new NotFoundError("Workorder " + workorderId + " does not exist", CONSTANTS.ERROR_CODES.WORKORDER_NOT_FOUND)};
+        }
+
+        var workflowRead = workflowReads[workorder.workflowId];
+
+        if (workflowRead && workflowRead.state === 'rejected') {
+          return {workorderId: workorderId, error: workflowRead.reason};
+        }
+
+        var result = results[workorderId];
+        var workflow = workflowRead && workflowRead.value && self.getWorkflowVersion(workflowRead.value, result && result.workflowVersion);
+
+        if (!workflow) {
+          return {workorderId: workorderId, error: new NotFoundError("Workflow " + workorder.workflowId + " does not exist for workorder " + workorderId)};
+        }
+
+        return self.summariseStatus(workorder, workflow, result, locale);
       });
+    });
   });
 };
 
@@ -222,13 +528,33 @@ WorkflowMediatorService.prototype.getWorkorderSummary = function(workorderId) {
  *
  * Finding a result based on a workorder ID
  *
- * @param {string} workorderId - The ID of the workorder to filter by.
+ * @param {string}  workorderId - The ID of the workorder to filter by.
+ * @param {object}  [options]
+ * @param {boolean} [options.skipCache] - Read the stored result. The cache is refreshed with it.
  */
-WorkflowMediatorService.prototype.getResultByWorkorderId = function getResultByWorkorderId(workorderId) {
-  return this.listResults().then(function(resultsArray) {
-    return _.find(resultsArray || [], function(result) {
-      return result.workorderId === workorderId;
-    }) || null;
+WorkflowMediatorService.prototype.getResultByWorkorderId = function getResultByWorkorderId(workorderId, options) {
+  var self = this;
+  var cachedResult = this.resultCache && !(options && options.skipCache) && this.resultCache.get(workorderId);
+
+  if (cachedResult) {
+    return q.when(cachedResult);
+  }
+
+  return this.listResults({workorderId: workorderId}).then(function(resultsArray) {
+    return self.cacheResult(_.first(resultsArray)) || null;
+  });
+};
+
+/**
+ *
+ * Finding the results of a list of workorders with a single read.
+ *
+ * @param {Array} workorderIds - The IDs of the workorders to filter by.
+ * @returns {Promise} - The results, keyed by workorder ID.
+ */
+WorkflowMediatorService.prototype.getResultsByWorkorderIds = function getResultsByWorkorderIds(workorderIds) {
+  return this.listResults({workorderIds: workorderIds}).then(function(resultsArray) {
+    return _.keyBy(resultsArray, 'workorderId');
   });
 };
 
@@ -236,38 +562,92 @@ WorkflowMediatorService.prototype.getResultByWorkorderId = function getResultByW
  *
  * Creating a new result object for a workorder ID
  *
+ * The result is pinned to the version of the workflow it was begun with.
+ *
  * @param workorderId
+ * @param assignee
+ * @param {object} workflow - The workflow the result is begun with.
  */
-WorkflowMediatorService.prototype.createNewResult = function createNewResult(workorderId, assignee) {
-  return this.createResult({status: CONSTANTS.STATUS.NEW_DISPLAY, nextStepIndex: 0, workorderId: workorderId, assignee: assignee, stepResults: {}});
+WorkflowMediatorService.prototype.createNewResult = function createNewResult(workorderId, assignee, workflow) {
+  return this.createResult(this.newResult(workorderId, assignee, workflow));
 };
 
 /**
  *
- * Listing All Workflows
+ * Listing Workflows
  *
- * @returns {Promise}
+ * The list options are published to the sync list topic. If the sync module returns an array of workflows instead
+ * of a list with the total, the options are applied here.
+ *
+ * @param {object}       [listOptions]
+ * @param {object}       [listOptions.filter]   - Only list the workflows that have the values of the filter.
+ * @param {string|Array} [listOptions.sort]     - The fields to sort by. A field starting with "-" is sorted in descending order.
+ * @param {number}       [listOptions.page]     - The page to list, starting at 1.
+ * @param {number}       [listOptions.pageSize] - The number of workflows on a page.
+ * @returns {Promise} - The workflows, or `{items, total}` if any list option is given (with the `page` and `pageSize`
+ *                      if a page was requested).
+ */
+WorkflowMediatorService.prototype.list = function listWorkflows(listOptions) {
+  return this.readTopic(this.workflowSyncSubscribers, CONSTANTS.TOPICS.LIST, undefined, listOptions).then(function(workflows) {
+    return _.isArray(workflows) ? listOptionsUtil.applyListOptions(workflows, listOptions) : workflows;
+  });
+};
+
+/**
+ *
+ * Building the statistics of a workflow from the workorders that use it and their results.
+ *
+ * @param {string} workflowId
+ * @param {object} [options]
+ * @param {number|string|Date} [options.from] - Only include the step completions from this date.
+ * @param {number|string|Date} [options.to]   - Only include the step completions up to this date.
+ * @returns {Promise} - The statistics of the workflow (see WorkflowEngine.buildWorkflowStats).
  */
-WorkflowMediatorService.prototype.list = function listWorkflows() {
-  var promise = this.getErrorAndDoneTopicPromises(this.workflowSyncSubscribers, CONSTANTS.TOPICS.LIST);
+WorkflowMediatorService.prototype.getWorkflowStats = function getWorkflowStats(workflowId, options) {
+  var self = this;
 
-  this.mediator.publish(this.workflowSyncSubscribers.getTopic(CONSTANTS.TOPICS.LIST));
+  return q.all([this.read(workflowId), this.listWorkorders()]).then(function(workflowWorkorders) {
+    var workflow = workflowWorkorders[0];
 
-  return promise;
+    if (!workflow) {
+      throw new NotFoundError("Workflow " + workflowId + " does not exist");
+    }
+
+    var workorders = _.filter(workflowWorkorders[1], {workflowId: workflowId});
+
+    return self.listResults({workorderIds: _.map(workorders, 'id')}).then(function(results) {
+      return self.buildWorkflowStats(workflow, workorders, results, options);
+    });
+  });
 };
 
 /**
  *
- * Listing all workorders
+ * Listing workorders
+ *
+ * A filter is passed to the workorders module so that it can read only the matching workorders.
+ * Workorders modules that do not support filtering return every workorder, so the workorders are
+ * filtered here too.
  *
+ * @param {object} [filter]
+ * @param {Array}  [filter.workorderIds] - Only list these workorders.
  * @returns {Promise}
  */
-WorkflowMediatorService.prototype.listWorkorders = function listWorkorders() {
-  var promise = this.getErrorAndDoneTopicPromises(this.workordersTopics, CONSTANTS.TOPICS.LIST);
+WorkflowMediatorService.prototype.listWorkorders = function listWorkorders(filter) {
+  if (!filter) {
+    return this.readTopic(this.workordersTopics, CONSTANTS.TOPICS.LIST);
+  }
 
-  this.mediator.publish(this.workordersTopics.getTopic(CONSTANTS.TOPICS.LIST));
+  var topicUid = shortid.generate();
 
-  return promise;
+  return this.readTopic(this.workordersTopics, CONSTANTS.TOPICS.LIST, topicUid, {
+    filter: filter,
+    topicUid: topicUid
+  }).then(function(workorders) {
+    return _.filter(workorders || [], function(workorder) {
+      return !filter.workorderIds || _.includes(filter.workorderIds, workorder.id);
+    });
+  });
 };
 
 /**
@@ -278,29 +658,39 @@ WorkflowMediatorService.prototype.listWorkorders = function listWorkorders() {
  * @returns {Promise}
  */
 WorkflowMediatorService.prototype.readWorkorder = function readWorkorder(workorderId) {
-  var promise = this.getErrorAndDoneTopicPromises(this.workordersTopics, CONSTANTS.TOPICS.READ, workorderId);
-
-  this.mediator.publish(this.workordersTopics.getTopic(CONSTANTS.TOPICS.READ), {
+  return this.readTopic(this.workordersTopics, CONSTANTS.TOPICS.READ, workorderId, {
     id: workorderId,
     topicUid: workorderId
   });
-
-  return promise;
 };
 
 /**
  *
  * Reading A single workflow
  *
- * @param {string} workflowId
+ * @param {string}  workflowId
+ * @param {object}  [options]
+ * @param {boolean} [options.skipCache] - Read the stored workflow. The cache is refreshed with it.
  * @returns {Promise}
  */
-WorkflowMediatorService.prototype.read = function readWorkflow(workflowId) {
-  var promise = this.getErrorAndDoneTopicPromises(this.workflowSyncSubscribers, CONSTANTS.TOPICS.READ, workflowId);
+WorkflowMediatorService.prototype.read = function readWorkflow(workflowId, options) {
+  var self = this;
+  var cachedWorkflow = this.workflowCache && !(options && options.skipCache) && this.workflowCache.get(workflowId);
 
-  this.mediator.publish(this.workflowSyncSubscribers.getTopic(CONSTANTS.TOPICS.READ), {id: workflowId, topicUid: workflowId});
+  if (cachedWorkflow) {
+    return q.when(cachedWorkflow);
+  }
 
-  return promise;
+  return this.readTopic(this.workflowSyncSubscribers, CONSTANTS.TOPICS.READ, workflowId, {
+    id: workflowId,
+    topicUid: workflowId
+  }).then(function(workflow) {
+    if (self.workflowCache && workflow) {
+      self.workflowCache.set(workflowId, workflow);
+    }
+
+    return workflow;
+  });
 };
 
 /**
@@ -323,6 +713,50 @@ WorkflowMediatorService.prototype.update = function updateWorkflow(workflowToUpd
 };
 
 
+/**
+ *
+ * Updating A Single Workflow As A New Version
+ *
+ * The current version of the workflow is kept as an immutable snapshot in `versions`, so that
+ * results begun with an earlier version are still reviewed against the steps they started with.
+ *
+ * @param {object} workflowToUpdate - The Workflow To Update
+ * @param {string} workflowToUpdate.id - The ID of the Workflow To Update
+ * @returns {Promise} - Rejected with a NotFoundError if the workflow does not exist.
+ */
+WorkflowMediatorService.prototype.createVersion = function createVersion(workflowToUpdate) {
+  var self = this;
+
+  //The new version is added to the stored versions: a cached workflow may not have the versions saved elsewhere.
+  return this.read(workflowToUpdate.id, {skipCache: true}).then(function(currentWorkflow) {
+    if (!currentWorkflow) {
+      throw new NotFoundError("Workflow " + workflowToUpdate.id + " does not exist");
+    }
+
+    return self.update(self.createWorkflowVersion(currentWorkflow, workflowToUpdate));
+  });
+};
+
+/**
+ *
+ * Listing All Versions Of A Single Workflow
+ *
+ * @param {string} workflowId
+ * @returns {Promise} - The versions of the workflow, ordered from the oldest to the current version.
+ *                       Rejected with a NotFoundError if the workflow does not exist.
+ */
+WorkflowMediatorService.prototype.listVersions = function listVersions(workflowId) {
+  var self = this;
+
+  return this.read(workflowId).then(function(workflow) {
+    if (!workflow) {
+      throw new NotFoundError("Workflow " + workflowId + " does not exist");
+    }
+
+    return self.listWorkflowVersions(workflow);
+  });
+};
+
 /**
  *
  * Creating A Single Workflow
@@ -370,11 +804,7 @@ WorkflowMediatorService.prototype.remove = function removeWorkorder(workflowToRe
  * @returns {Promise}
  */
 WorkflowMediatorService.prototype.readUserProfile = function readUserProfile() {
-  var promise = this.getErrorAndDoneTopicPromises(this.usersTopics, CONSTANTS.TOPICS.READ_PROFILE);
-
-  this.mediator.publish(this.usersTopics.getTopic(CONSTANTS.TOPICS.READ_PROFILE));
-
-  return promise;
+  return this.readTopic(this.usersTopics, CONSTANTS.TOPICS.READ_PROFILE);
 };
 
 module.exports = WorkflowMediatorService;
\ No newline at end of file
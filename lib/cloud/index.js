@@ -1,11 +1,38 @@
 'use strict';
 
-var config = require('../config');
+var _ = require('lodash');
+var defaultConfig = require('../config');
 var shortid = require('shortid');
+var router = require('./router');
+var WorkflowStore = require('./store');
+var stepsSubscribers = require('./steps');
+var responses = require('./responses');
+var listOptionsUtil = require('../list-options');
 
 var WorflowTopics = require('fh-wfm-mediator/lib/topics');
 
-module.exports = function(mediator) {
+/**
+ * Initialisation of the cloud side of the workflow module.
+ *
+ * @param {Mediator} mediator
+ * @param {object}   [app]        - An express app. The REST endpoints for workflows are mounted at `apiPath`.
+ * @param {object}   mbaasApi
+ * @param {object}   [moduleConfig] - Overrides the topic prefixes and entity name of lib/config.js.
+ * @param {string}   [moduleConfig.cloudTopicPrefix]     - The prefix of the cloud topics (default "wfm:cloud").
+ * @param {string}   [moduleConfig.cloudDataTopicPrefix] - The prefix of the cloud data storage topics (default "wfm:cloud:data").
+ * @param {string}   [moduleConfig.datasetId]            - The entity name of workflows (default "workflows").
+ * @param {string}   [moduleConfig.workorderDatasetId]   - The entity name of workorders in the cloud data topics (default "workorders").
+ * @param {string}   [moduleConfig.resultDatasetId]      - The entity name of results in the cloud data topics (default "results").
+ * @param {object}   [moduleConfig.stepTypes]            - Custom step types used to progress the workflow steps.
+ * @param {string}   [moduleConfig.apiPath]              - The path of the REST endpoints (default "/api/wfm/workflow").
+ * @param {number}   [moduleConfig.requestTimeout]       - The time in milliseconds a REST request waits for a cloud topic.
+ * @param {object|boolean} [moduleConfig.store]          - Using the bundled store for the cloud data topics. Either `true` to keep
+ *                                                         the workflows in memory, or `{file: "workflows.json"}` to keep them in a file.
+ * @returns {{store: WorkflowStore|undefined, tearDown: function}}
+ */
+module.exports = function(mediator, app, mbaasApi, moduleConfig) {
+  var config = _.defaults({}, moduleConfig, defaultConfig);
+
   //Used for cloud data storage topics
   var workflowCloudDataTopics = new WorflowTopics(mediator);
   workflowCloudDataTopics.prefix(config.cloudDataTopicPrefix).entity(config.datasetId);
@@ -14,42 +41,82 @@ module.exports = function(mediator) {
   var workflowCloudTopics = new WorflowTopics(mediator);
   workflowCloudTopics.prefix(config.cloudTopicPrefix).entity(config.datasetId);
 
+  /**
+   * Publishing the response of the storage module to the done or error topic of the caller.
+   */
+  function publishResponse(topicName, topicUid, dataTopicRequest) {
+    responses.publishResponse(workflowCloudTopics, topicName, topicUid, dataTopicRequest);
+  }
+
   /**
    * Subscribers to sync topics which publishes to a data storage topic, subscribed to by a storage module,
-   * for CRUDL operations. Publishes the response received from the storage module back to sync
+   * for CRUDL operations. Publishes the response received from the storage module back to sync.
+   *
+   * The done and error topics are suffixed with the topic identifier passed by the caller. If there is none,
+   * the ID of the workflow is used.
    */
   workflowCloudTopics.on('create', function(workflowToCreate, mediatorTopicIdentifier) {
     // Adds an id field required by the new simple store module to the workflow object that will be created
     workflowToCreate.id = shortid.generate();
 
-    workflowCloudDataTopics.request('create', workflowToCreate, {uid: workflowToCreate.id})
-      .then(function(createdWorkflow) {
-        mediator.publish(workflowCloudTopics.getTopic('create', 'done') + ':' + mediatorTopicIdentifier, createdWorkflow);
-      });
+    publishResponse('create', responses.getTopicUid(mediatorTopicIdentifier), workflowCloudDataTopics.request('create', workflowToCreate, {uid: workflowToCreate.id}));
   });
 
+  /**
+   * The sort and page options are published to the storage module after the filter. If the storage module returns
+   * an array of workflows instead of a list with the total, the options are applied here.
+   */
   workflowCloudTopics.on('list', function(listOptions) {
-    var self = this;
     listOptions = listOptions || {};
     listOptions.filter = listOptions.filter || {};
     listOptions.filter.topicUid = listOptions.topicUid || shortid.generate();
 
-    workflowCloudDataTopics.request('list', listOptions.filter, {uid: listOptions.filter.topicUid}).then(function(list) {
-      self.mediator.publish(workflowCloudTopics.getTopic('list', 'done', listOptions.topicUid), list);
-    }).catch(function(err) {
-      self.mediator.publish(workflowCloudTopics.getTopic('list', 'error', listOptions.topicUid), err);
-    });
+    var sortAndPage = _.pick(listOptions, ['sort', 'page', 'pageSize']);
+
+    publishResponse('list', listOptions.topicUid, workflowCloudDataTopics.request('list', [listOptions.filter, sortAndPage], {uid: listOptions.filter.topicUid}).then(function(workflows) {
+      return _.isArray(workflows) ? listOptionsUtil.applyListOptions(workflows, _.extend({filter: _.omit(listOptions.filter, 'topicUid')}, sortAndPage)) : workflows;
+    }));
   });
 
-  workflowCloudTopics.on('update', function(workflowToUpdate) {
-    return workflowCloudDataTopics.request('update', workflowToUpdate, {uid: workflowToUpdate.id});
+  workflowCloudTopics.on('update', function(workflowToUpdate, mediatorTopicIdentifier) {
+    publishResponse('update', responses.getTopicUid(mediatorTopicIdentifier, workflowToUpdate.id), workflowCloudDataTopics.request('update', workflowToUpdate, {uid: workflowToUpdate.id}));
   });
 
-  workflowCloudTopics.on('read', function(uid) {
-    return workflowCloudDataTopics.request('read', uid);
+  workflowCloudTopics.on('read', function(uid, mediatorTopicIdentifier) {
+    publishResponse('read', responses.getTopicUid(mediatorTopicIdentifier, uid), workflowCloudDataTopics.request('read', uid));
   });
 
-  workflowCloudTopics.on('delete', function(uid) {
-    return workflowCloudDataTopics.request('delete', uid);
+  workflowCloudTopics.on('delete', function(uid, mediatorTopicIdentifier) {
+    publishResponse('delete', responses.getTopicUid(mediatorTopicIdentifier, uid), workflowCloudDataTopics.request('delete', uid));
   });
+
+  //The step progression topics, e.g. wfm:cloud:workflows:step:begin
+  var workflowSteps = stepsSubscribers(mediator, config);
+
+  if (app) {
+    app.use(config.apiPath, router(mediator, config, workflowSteps.engine));
+  }
+
+  //The bundled store is only used if no other storage module answers the cloud data topics.
+  var store;
+
+  if (config.store) {
+    store = new WorkflowStore(mediator, _.extend(_.pick(config, ['cloudDataTopicPrefix', 'datasetId']), _.isObject(config.store) ? config.store : {}));
+  }
+
+  return {
+    store: store,
+
+    /**
+     * Removing the subscriptions to the cloud topics, the step topics and the cloud data topics of the bundled store.
+     */
+    tearDown: function() {
+      workflowCloudTopics.unsubscribeAll();
+      workflowSteps.tearDown();
+
+      if (store) {
+        store.tearDown();
+      }
+    }
+  };
 };
\ No newline at end of file
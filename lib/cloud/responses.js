@@ -0,0 +1,38 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Publishing the response of a request to the done topic of the caller, or the error to its error topic.
+ *
+ * @param {WorflowTopics} cloudTopics - The topics the caller published to.
+ * @param {string}        topicName   - The cloud topic that was requested (e.g. "update")
+ * @param {string}        [topicUid]  - The unique identifier the caller is waiting on.
+ * @param {Promise}       request     - The request to answer, e.g. to a data storage topic.
+ */
+function publishResponse(cloudTopics, topicName, topicUid, request) {
+  request.then(function(data) {
+    cloudTopics.mediator.publish(cloudTopics.getTopic(topicName, 'done', topicUid), data);
+  }).catch(function(err) {
+    cloudTopics.mediator.publish(cloudTopics.getTopic(topicName, 'error', topicUid), err);
+  });
+}
+
+/**
+ * Getting the unique identifier the caller is waiting on.
+ *
+ * The mediator passes the channel as the last argument to subscribers, so an identifier that was not published
+ * by the caller is not a string.
+ *
+ * @param {string} mediatorTopicIdentifier - The identifier published by the caller.
+ * @param {string} [defaultUid]            - The identifier to use if the caller did not publish one.
+ * @returns {string}
+ */
+function getTopicUid(mediatorTopicIdentifier, defaultUid) {
+  return _.isString(mediatorTopicIdentifier) ? mediatorTopicIdentifier : defaultUid;
+}
+
+module.exports = {
+  publishResponse: publishResponse,
+  getTopicUid: getTopicUid
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+var _ = require('lodash');
+var express = require('express');
+var bodyParser = require('body-parser');
+var shortid = require('shortid');
+var CONSTANTS = require('../constants');
+var validator = require('../validator');
+var errors = require('../errors');
+var WorkflowEngine = require('../engine');
+var topicRequests = require('../topic-requests');
+
+var WorflowTopics = require('fh-wfm-mediator/lib/topics');
+
+/**
+ * Publishing a request to a cloud workflow topic and waiting for the done or error topic of this request.
+ *
+ * @param {WorflowTopics} workflowCloudTopics
+ * @param {string}        topicName  - The cloud topic to publish (e.g. "read")
+ * @param {*}             [data]     - The data to publish. The topic identifier is published after it.
+ * @param {number}        timeout    - The time in milliseconds to wait for a response.
+ * @returns {Promise}
+ */
+function requestCloudTopic(workflowCloudTopics, topicName, data, timeout) {
+  var mediator = workflowCloudTopics.mediator;
+  var topicUid = shortid.generate();
+  var promise = topicRequests.waitForResponse(workflowCloudTopics, topicName, topicUid, timeout);
+
+  //The list topic takes its topic identifier in the list options.
+  if (topicName === 'list') {
+    mediator.publish(workflowCloudTopics.getTopic(topicName), _.extend({}, data, {topicUid: topicUid}));
+  } else {
+    mediator.publish(workflowCloudTopics.getTopic(topicName), data, topicUid);
+  }
+
+  return promise;
+}
+
+//The HTTP status of each error code. Any other error is a 500.
+var ERROR_STATUS = {
+  WORKFLOW_NOT_FOUND: 404,
+  WORKORDER_NOT_FOUND: 404,
+  RESULT_NOT_STARTED: 409,
+  INVALID_STEP: 400,
+  VALIDATION_FAILED: 400,
+  TIMEOUT: 504,
+  CONFLICT: 409
+};
+
+/**
+ * Responding with an error. Workflow errors are sent with their code, e.g. `{code: "WORKFLOW_NOT_FOUND", message: "..."}`.
+ *
+ * @param {object} res
+ * @param {Error}  err
+ */
+function sendError(res, err) {
+  if (err instanceof errors.WorkflowError) {
+    return res.status(ERROR_STATUS[err.code] || 500).json(err);
+  }
+
+  res.status(500).json({message: err && err.message || err});
+}
+
+/**
+ * Creating an express router for workflows, to be mounted at `config.apiPath`.
+ *
+ * Every endpoint goes through the `wfm:cloud:workflows` topics. The step endpoints go through the
+ * `wfm:cloud:workflows:step` topics.
+ *
+ * @param {Mediator} mediator
+ * @param {object}   config
+ * @param {string}   config.cloudTopicPrefix
+ * @param {string}   config.datasetId
+ * @param {number}   config.requestTimeout - The time in milliseconds to wait for a cloud topic.
+ * @param {WorkflowEngine} [engine] - The step engine of the cloud step topics, used to validate and version workflows.
+ * @returns {express.Router}
+ */
+module.exports = function(mediator, config, engine) {
+  var router = express.Router();
+
+  engine = engine || new WorkflowEngine(config);
+
+  var workflowCloudTopics = new WorflowTopics(mediator);
+  workflowCloudTopics.prefix(config.cloudTopicPrefix).entity(config.datasetId);
+
+  var stepCloudTopics = new WorflowTopics(mediator);
+  stepCloudTopics.prefix(config.cloudTopicPrefix + CONSTANTS.TOPIC_SEPARATOR + config.datasetId).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+  function request(topicName, data) {
+    return requestCloudTopic(workflowCloudTopics, topicName, data, config.requestTimeout);
+  }
+
+  /**
+   * Reading a workflow, responding with a 404 if it does not exist.
+   */
+  function readWorkflow(req, res) {
+    return request('read', req.params.id).then(function(workflow) {
+      if (!workflow) {
+        sendError(res, new errors.NotFoundError("Workflow " + req.params.id + " does not exist"));
+      }
+
+      return workflow;
+    });
+  }
+
+  /**
+   * Responding with a 400 if the workflow in the body is not valid.
+   * The steps can use any step type registered with the engine, including custom step types.
+   */
+  function validateBody(req, res, options) {
+    var violations = validator.validateWorkflow(req.body, _.extend({stepTypes: engine.stepTypes}, options));
+
+    if (violations.length > 0) {
+      sendError(res, new errors.ValidationError("Invalid Workflow", violations));
+      return false;
+    }
+
+    return true;
+  }
+
+  function handleError(res) {
+    return function(err) {
+      sendError(res, err);
+    };
+  }
+
+  /**
+   * Progressing the workflow of a workorder with a step topic, e.g. "begin".
+   * The locale of the status label can be passed in the query, e.g. `?locale=fr`.
+   *
+   * The user progressing the step is the user authenticated by the app (`req.user`), never a user ID in the body.
+   */
+  function requestStep(topicName, req, res) {
+    var parameters = _.extend({}, _.pick(req.body, ['stepCode', 'submission']), _.pick(req.query, ['locale']), {workorderId: req.params.workorderId});
+
+    if (req.user && req.user.id) {
+      parameters.userId = req.user.id;
+    }
+
+    requestCloudTopic(stepCloudTopics, topicName, parameters, config.requestTimeout).then(function(stepProgress) {
+      res.json(stepProgress);
+    }).catch(handleError(res));
+  }
+
+  router.use(bodyParser.json());
+
+  router.route('/')
+    .get(function(req, res) {
+      //The sort and page options are taken from the query, any other query parameter is part of the filter.
+      var listOptions = _.extend(_.pick(req.query, ['sort', 'page', 'pageSize']), {
+        filter: _.omit(req.query, ['sort', 'page', 'pageSize'])
+      });
+
+      request('list', listOptions).then(function(workflows) {
+        res.json(workflows);
+      }).catch(handleError(res));
+    })
+    .post(function(req, res) {
+      if (!validateBody(req, res)) {
+        return;
+      }
+
+      request('create', req.body).then(function(createdWorkflow) {
+        res.status(201).json(createdWorkflow);
+      }).catch(handleError(res));
+    });
+
+  router.post('/step/:workorderId/begin', function(req, res) {
+    requestStep(CONSTANTS.STEP_TOPICS.BEGIN, req, res);
+  });
+
+  router.post('/step/:workorderId/complete', function(req, res) {
+    requestStep(CONSTANTS.STEP_TOPICS.COMPLETE, req, res);
+  });
+
+  router.post('/step/:workorderId/previous', function(req, res) {
+    requestStep(CONSTANTS.STEP_TOPICS.PREVIOUS, req, res);
+  });
+
+  router.get('/step/:workorderId/summary', function(req, res) {
+    requestStep(CONSTANTS.STEP_TOPICS.SUMMARY, req, res);
+  });
+
+  router.route('/:id')
+    .get(function(req, res) {
+      readWorkflow(req, res).then(function(workflow) {
+        if (workflow) {
+          res.json(workflow);
+        }
+      }).catch(handleError(res));
+    })
+    .put(function(req, res) {
+      if (_.isPlainObject(req.body)) {
+        req.body.id = req.params.id;
+      }
+
+      if (!validateBody(req, res, {requireId: true})) {
+        return;
+      }
+
+      readWorkflow(req, res).then(function(workflow) {
+        //The stored workflow is kept as a version, so that the results begun with it can still be progressed.
+        if (workflow) {
+          return request('update', engine.createWorkflowVersion(workflow, req.body)).then(function(updatedWorkflow) {
+            res.json(updatedWorkflow);
+          });
+        }
+      }).catch(handleError(res));
+    })
+    .delete(function(req, res) {
+      readWorkflow(req, res).then(function(workflow) {
+        if (workflow) {
+          return request('delete', req.params.id).then(function(deletedWorkflow) {
+            res.json(deletedWorkflow);
+          });
+        }
+      }).catch(handleError(res));
+    });
+
+  return router;
+};
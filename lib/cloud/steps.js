@@ -0,0 +1,263 @@
+'use strict';
+
+var _ = require('lodash');
+var q = require('q');
+var shortid = require('shortid');
+var CONSTANTS = require('../constants');
+var WorkflowEngine = require('../engine');
+var resultStorage = require('../engine/resultStorage');
+var responses = require('./responses');
+var resultStatus = require('../status');
+
+var WorflowTopics = require('fh-wfm-mediator/lib/topics');
+
+/**
+ * Subscribing to the cloud workflow step topics (e.g. `wfm:cloud:workflows:step:complete`).
+ *
+ * The steps are progressed by the same engine as the workflow client. The workorders, workflows and results are
+ * read and stored through the cloud data topics, so that a portal or another system can advance a workflow.
+ * The workflow events (e.g. `wfm:cloud:workflows:events:step_completed`) are broadcast for other cloud modules.
+ *
+ * @param {Mediator} mediator
+ * @param {object}   config
+ * @param {string}   config.cloudTopicPrefix
+ * @param {string}   config.cloudDataTopicPrefix
+ * @param {string}   config.datasetId            - The entity name of workflows.
+ * @param {string}   config.workorderDatasetId   - The entity name of workorders.
+ * @param {string}   config.resultDatasetId      - The entity name of results.
+ * @param {object}   [config.stepTypes]          - Custom step types to register, keyed by type name.
+ * @param {number}   [config.resultConflictRetries] - The number of times a change is re-applied if the result was changed in the meantime.
+ * @returns {{engine: WorkflowEngine, tearDown: function}}
+ */
+module.exports = function(mediator, config) {
+  var engine = new WorkflowEngine(config);
+
+  var stepCloudTopics = new WorflowTopics(mediator);
+  stepCloudTopics.prefix(config.cloudTopicPrefix + CONSTANTS.TOPIC_SEPARATOR + config.datasetId).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+  var eventCloudTopics = new WorflowTopics(mediator);
+  eventCloudTopics.prefix(config.cloudTopicPrefix + CONSTANTS.TOPIC_SEPARATOR + config.datasetId).entity(CONSTANTS.EVENTS_ENTITY_NAME);
+
+  var workflowDataTopics = new WorflowTopics(mediator);
+  workflowDataTopics.prefix(config.cloudDataTopicPrefix).entity(config.datasetId);
+
+  var workorderDataTopics = new WorflowTopics(mediator);
+  workorderDataTopics.prefix(config.cloudDataTopicPrefix).entity(config.workorderDatasetId);
+
+  var resultDataTopics = new WorflowTopics(mediator);
+  resultDataTopics.prefix(config.cloudDataTopicPrefix).entity(config.resultDatasetId);
+
+  /**
+   * Reading the result of a workorder.
+   *
+   * The storage module may return every result, so the results are filtered here too. A result stored with a
+   * display label as its status is converted to the status code.
+   *
+   * @param {string} workorderId
+   * @returns {Promise} - The result, or null if the workflow has not begun.
+   */
+  function readResult(workorderId) {
+    var topicUid = shortid.generate();
+
+    return resultDataTopics.request('list', {workorderId: workorderId, topicUid: topicUid}, {uid: topicUid}).then(function(results) {
+      var result = _.find(results, {workorderId: workorderId}) || null;
+
+      resultStatus.migrateResult(result);
+
+      return result;
+    });
+  }
+
+  var resultReads = {
+    readWorkorder: function(workorderId) {
+      return workorderDataTopics.request('read', workorderId);
+    },
+    readWorkflow: function(workflowId) {
+      return workflowDataTopics.request('read', workflowId);
+    },
+    readResult: readResult
+  };
+
+  /**
+   * Reading the workorder, the workflow version and the result of a workorder.
+   *
+   * @param {string} workorderId
+   * @returns {Promise} - The [workorder, workflow, result] summary.
+   */
+  function readWorkorderSummary(workorderId) {
+    return resultStorage.readWorkorderSummary(engine, resultReads, workorderId);
+  }
+
+  /**
+   * Storing a new result.
+   *
+   * @param {object} result
+   * @returns {Promise}
+   */
+  function createResult(result) {
+    result.id = shortid.generate();
+
+    return resultDataTopics.request('create', result, {uid: result.id});
+  }
+
+  /**
+   * Storing a changed result, if the stored result has not been changed since it was read.
+   *
+   * The revision the result was read at is published after the result as `{expectedRevision: revision}`, so that
+   * the storage module can reject the update (see resultStorage.updateResult).
+   *
+   * @param {object} result
+   * @returns {Promise}
+   */
+  function updateResult(result) {
+    return resultStorage.updateResult(result, function(resultToStore, expectedRevision) {
+      return resultDataTopics.request('update', [resultToStore, {expectedRevision: expectedRevision}], {uid: result.id});
+    });
+  }
+
+  /**
+   * Applying changes to the result of a workorder and storing them, re-applying them if the result was changed in the meantime.
+   *
+   * @param {string}   workorderId
+   * @param {function} applyChanges - Called with the workorder, workflow and result. Changes the result in place.
+   * @returns {Promise} - The [workorder, workflow, result] summary with the stored result.
+   */
+  function mergeResult(workorderId, applyChanges) {
+    return resultStorage.mergeResult({
+      readWorkorderSummary: readWorkorderSummary,
+      updateResult: updateResult
+    }, workorderId, applyChanges, config.resultConflictRetries);
+  }
+
+  /**
+   * Broadcasting a workflow event (e.g. `step_completed`).
+   *
+   * @param {string} eventName - One of the EVENTS
+   * @param {object} workorder
+   * @param {object} workflow
+   * @param {object} [details] - The `stepCode` and `userId` of the event.
+   */
+  function publishEvent(eventName, workorder, workflow, details) {
+    mediator.publish(eventCloudTopics.getTopic(eventName), engine.buildEvent(workorder, workflow, details));
+  }
+
+  function getStepProgress(workorderSummary) {
+    return engine.getStepProgress(workorderSummary[0], workorderSummary[1], workorderSummary[2]);
+  }
+
+  /**
+   * Subscribing to a step topic. The done and error topics are suffixed with the topic identifier passed by the
+   * caller. If there is none, the workorder ID is used.
+   *
+   * @param {string}   topicName
+   * @param {function} handler - Called with the parameters of the step topic. Returns a promise for the response.
+   */
+  function handle(topicName, handler) {
+    stepCloudTopics.on(topicName, function(parameters, mediatorTopicIdentifier) {
+      parameters = parameters || {};
+
+      responses.publishResponse(stepCloudTopics, topicName, responses.getTopicUid(mediatorTopicIdentifier, parameters.workorderId), q.fcall(handler, parameters));
+    });
+  }
+
+  /**
+   * Beginning the workflow of a workorder, creating its result if it does not have one yet.
+   *
+   * @param {object} parameters
+   * @param {string} parameters.workorderId
+   * @param {string} [parameters.userId] - The ID of the user beginning the workflow. Defaults to the assignee.
+   */
+  handle(CONSTANTS.STEP_TOPICS.BEGIN, function(parameters) {
+    return readWorkorderSummary(parameters.workorderId).then(function(workorderSummary) {
+      var workorder = workorderSummary[0];
+      var workflow = workorderSummary[1];
+
+      if (workorderSummary[2]) {
+        return engine.getStepProgress(workorder, workflow, engine.beginResult(workorder, workflow, workorderSummary[2]));
+      }
+
+      return createResult(engine.newResult(parameters.workorderId, workorder.assignee, workflow)).then(function(result) {
+        publishEvent(CONSTANTS.EVENTS.WORKFLOW_BEGUN, workorder, workflow, {userId: parameters.userId || workorder.assignee});
+
+        return engine.getStepProgress(workorder, workflow, engine.beginResult(workorder, workflow, result));
+      });
+    });
+  });
+
+  /**
+   * Completing a step of the workflow of a workorder.
+   *
+   * @param {object} parameters
+   * @param {string} parameters.workorderId
+   * @param {string} parameters.stepCode
+   * @param {*}      parameters.submission
+   * @param {string} [parameters.userId] - The ID of the user completing the step.
+   */
+  handle(CONSTANTS.STEP_TOPICS.COMPLETE, function(parameters) {
+    var completesStep;
+    var completesWorkflow;
+    var eventDetails = _.pick(parameters, ['stepCode', 'userId']);
+
+    return mergeResult(parameters.workorderId, function(workorder, workflow, result) {
+      var wasComplete = Boolean(result) && result.status === CONSTANTS.RESULT_STATUS.COMPLETE;
+
+      var stepResult = engine.completeStep(workorder, workflow, result, _.pick(parameters, ['stepCode', 'submission', 'userId']));
+
+      //A submission that does not complete the step (e.g. a rejected approval) is not a completed step.
+      completesStep = stepResult.status === CONSTANTS.STATUS.COMPLETE;
+      completesWorkflow = !wasComplete && result.status === CONSTANTS.RESULT_STATUS.COMPLETE;
+    }).then(function(workorderSummary) {
+      if (completesStep) {
+        publishEvent(CONSTANTS.EVENTS.STEP_COMPLETED, workorderSummary[0], workorderSummary[1], eventDetails);
+      }
+
+      if (completesWorkflow) {
+        publishEvent(CONSTANTS.EVENTS.WORKFLOW_COMPLETED, workorderSummary[0], workorderSummary[1], eventDetails);
+      }
+
+      return getStepProgress(workorderSummary);
+    });
+  });
+
+  /**
+   * Moving the workflow of a workorder back to the previous step.
+   *
+   * @param {object} parameters
+   * @param {string} parameters.workorderId
+   * @param {string} [parameters.userId] - The ID of the user stepping back.
+   */
+  handle(CONSTANTS.STEP_TOPICS.PREVIOUS, function(parameters) {
+    return mergeResult(parameters.workorderId, function(workorder, workflow, result) {
+      engine.previousStep(workorder, workflow, result, _.pick(parameters, ['userId']));
+    }).then(function(workorderSummary) {
+      var stepProgress = getStepProgress(workorderSummary);
+
+      publishEvent(CONSTANTS.EVENTS.STEP_REVERTED, workorderSummary[0], workorderSummary[1], {
+        stepCode: stepProgress.step && stepProgress.step.code,
+        userId: parameters.userId
+      });
+
+      return stepProgress;
+    });
+  });
+
+  /**
+   * Summarising the workflow of a workorder.
+   *
+   * @param {object} parameters
+   * @param {string} parameters.workorderId
+   * @param {string} [parameters.locale] - The locale of the status label.
+   */
+  handle(CONSTANTS.STEP_TOPICS.SUMMARY, function(parameters) {
+    return readWorkorderSummary(parameters.workorderId).then(function(workorderSummary) {
+      return engine.summarise(workorderSummary[0], workorderSummary[1], workorderSummary[2], parameters.locale);
+    });
+  });
+
+  return {
+    engine: engine,
+    tearDown: function() {
+      stepCloudTopics.unsubscribeAll();
+    }
+  };
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+var _ = require('lodash');
+var q = require('q');
+var fs = require('fs');
+var defaultConfig = require('../config');
+var listOptionsUtil = require('../list-options');
+var NotFoundError = require('../errors').NotFoundError;
+
+var WorflowTopics = require('fh-wfm-mediator/lib/topics');
+
+/**
+ * A storage module for workflows, answering the cloud data topics (e.g. `wfm:cloud:data:workflows:create`).
+ *
+ * The workflows are kept in memory. If a file is set, they are loaded from it when the store is created
+ * and saved to it after every change, so that they are kept across restarts.
+ *
+ * @param {Mediator} mediator
+ * @param {object}   [options]
+ * @param {string}   [options.file]                 - The JSON file to keep the workflows in.
+ * @param {string}   [options.cloudDataTopicPrefix] - The prefix of the cloud data topics (default "wfm:cloud:data").
+ * @param {string}   [options.datasetId]            - The entity name of workflows (default "workflows").
+ * @constructor
+ */
+function WorkflowStore(mediator, options) {
+  this.mediator = mediator;
+  this.options = _.defaults({}, options, _.pick(defaultConfig, ['cloudDataTopicPrefix', 'datasetId']));
+  this.workflows = this.options.file ? loadWorkflows(this.options.file) : {};
+  this.saving = q();
+  this.subscriptions = [];
+
+  this.topics = new WorflowTopics(mediator);
+  this.topics.prefix(this.options.cloudDataTopicPrefix).entity(this.options.datasetId);
+
+  this.handle('create', function(workflow) {
+    return [workflow.id, this.save(workflow)];
+  });
+
+  this.handle('list', function(filter, listOptions) {
+    filter = filter || {};
+    return [filter.topicUid, this.list(_.omit(filter, 'topicUid'), _.isPlainObject(listOptions) ? listOptions : {})];
+  });
+
+  this.handle('read', function(id) {
+    return [id, this.read(id)];
+  });
+
+  this.handle('update', function(workflow) {
+    return [workflow.id, this.update(workflow)];
+  });
+
+  this.handle('delete', function(id) {
+    return [id, this.remove(id)];
+  });
+}
+
+/**
+ * Loading the workflows saved in a file.
+ *
+ * @param {string} file
+ * @returns {object} - The workflows, keyed by ID.
+ */
+function loadWorkflows(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  return _.keyBy(JSON.parse(fs.readFileSync(file, 'utf8')), 'id');
+}
+
+/**
+ * Subscribing to a cloud data topic.
+ *
+ * The handler returns the topic identifier to respond to and the response (or a promise for it). The response is
+ * published to the done topic, or the error to the error topic.
+ *
+ * @param {string}   topicName
+ * @param {function} handler
+ */
+WorkflowStore.prototype.handle = function handle(topicName, handler) {
+  var self = this;
+  var topic = this.topics.getTopic(topicName);
+
+  var subscription = this.mediator.subscribe(topic, function() {
+    var args = arguments;
+    var topicUid;
+
+    q.fcall(function() {
+      var response = handler.apply(self, args);
+      topicUid = response[0];
+      return response[1];
+    }).then(function(result) {
+      self.mediator.publish(self.topics.getTopic(topicName, 'done', topicUid), result);
+    }).catch(function(err) {
+      self.mediator.publish(self.topics.getTopic(topicName, 'error', topicUid), err);
+    });
+  });
+
+  this.subscriptions.push({topic: topic, subscription: subscription});
+};
+
+/**
+ * Saving the workflows to the file, if there is one.
+ *
+ * The workflows are written to a temporary file that is then renamed, so that a crash while writing can't leave a
+ * file that is not valid JSON.
+ *
+ * @param {object} workflows - The workflows to save, keyed by ID.
+ * @returns {Promise}
+ */
+WorkflowStore.prototype.persist = function persist(workflows) {
+  var file = this.options.file;
+
+  if (!file) {
+    return q();
+  }
+
+  var tempFile = file + '.tmp';
+
+  return q.nfcall(fs.writeFile, tempFile, JSON.stringify(_.values(workflows), null, 2)).then(function() {
+    return q.nfcall(fs.rename, tempFile, file);
+  });
+};
+
+/**
+ * Applying a change to the workflows and saving it. Changes are applied one after the other.
+ *
+ * The change is applied to a copy of the workflows, which only replaces them once it is saved: a change that fails
+ * to save is not kept in memory either. A failed change does not stop the changes after it.
+ *
+ * @param {function} applyChange - Called with the copy of the workflows. Changes it in place, or throws if the change is not possible.
+ * @returns {Promise} - The value returned by applyChange.
+ */
+WorkflowStore.prototype.commit = function commit(applyChange) {
+  var self = this;
+
+  var committed = this.saving.then(function() {
+    var workflows = _.clone(self.workflows);
+    var changeResult = applyChange(workflows);
+
+    return self.persist(workflows).then(function() {
+      self.workflows = workflows;
+      return changeResult;
+    });
+  });
+
+  this.saving = committed.catch(_.noop);
+
+  return committed;
+};
+
+/**
+ * Storing a workflow.
+ *
+ * @param {object} workflow
+ * @returns {Promise} - The stored workflow.
+ */
+WorkflowStore.prototype.save = function save(workflow) {
+  return this.commit(function(workflows) {
+    workflows[workflow.id] = _.cloneDeep(workflow);
+    return workflow;
+  });
+};
+
+/**
+ * Listing the workflows that have the values of the filter (e.g. `{name: "Inspection"}`).
+ *
+ * @param {object} [filter]
+ * @param {object} [listOptions] - The `sort`, `page` and `pageSize` options.
+ * @returns {Array|object} - The workflows, or `{items, total}` if a filter or a list option is given
+ * (with the `page` and `pageSize` if a page was requested).
+ */
+WorkflowStore.prototype.list = function list(filter, listOptions) {
+  return _.cloneDeep(listOptionsUtil.applyListOptions(_.values(this.workflows), _.extend({}, listOptions, {filter: filter || {}})));
+};
+
+/**
+ * Reading a workflow.
+ *
+ * @param {string} id
+ * @returns {object|null} - The workflow, or null if it does not exist.
+ */
+WorkflowStore.prototype.read = function read(id) {
+  return _.cloneDeep(this.workflows[id]) || null;
+};
+
+/**
+ * Updating an existing workflow.
+ *
+ * @param {object} workflow
+ * @returns {Promise} - The updated workflow.
+ */
+WorkflowStore.prototype.update = function update(workflow) {
+  return this.commit(function(workflows) {
+    if (!workflows[workflow.id]) {
+      throw new NotFoundError("Workflow " + workflow.id + " does not exist");
+    }
+
+    workflows[workflow.id] = _.cloneDeep(workflow);
+    return workflow;
+  });
+};
+
+/**
+ * Removing a workflow.
+ *
+ * @param {string} id
+ * @returns {Promise} - The removed workflow, or null if it did not exist.
+ */
+WorkflowStore.prototype.remove = function remove(id) {
+  return this.commit(function(workflows) {
+    var workflow = _.cloneDeep(workflows[id]) || null;
+
+    delete workflows[id];
+    return workflow;
+  });
+};
+
+/**
+ * Removing the subscriptions to the cloud data topics.
+ */
+WorkflowStore.prototype.tearDown = function tearDown() {
+  var self = this;
+
+  _.each(this.subscriptions, function(storeSubscription) {
+    self.mediator.remove(storeSubscription.topic, storeSubscription.subscription.id);
+  });
+
+  this.subscriptions = [];
+};
+
+module.exports = WorkflowStore;
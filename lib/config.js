@@ -4,11 +4,14 @@ module.exports = {
   apiHost: 'http://localhost:8080',
   apiPath: '/api/wfm/workflow',
   datasetId : 'workflows',
+  workorderDatasetId: 'workorders',
+  resultDatasetId: 'results',
   syncOptions : {
     "sync_frequency" : 5,
     "storage_strategy": "dom",
     "do_console_log": false
   },
   cloudTopicPrefix: 'wfm:cloud',
-  cloudDataTopicPrefix: 'wfm:cloud:data'
+  cloudDataTopicPrefix: 'wfm:cloud:data',
+  requestTimeout: 10000
 };
@@ -3,14 +3,21 @@ module.exports = {
   WORKFLOW_ENTITY_NAME: "workflows",
   USERS_ENTITY_NAME: "users",
   SYNC_TOPIC_PREFIX: "wfm:sync",
+  SYNC_ENTITY_NAME: "sync",
   WORKFLOW_PREFIX: "wfm:workflows",
   STEPS_ENTITY_NAME: "step",
+  EVENTS_ENTITY_NAME: "events",
   WORKORDER_ENTITY_NAME: "workorders",
   RESULTS_ENTITY_NAME: "results",
   TOPIC_SEPARATOR: ":",
   ERROR_PREFIX: "error",
   DONE_PREFIX: "done",
   TOPIC_TIMEOUT: 1000,
+  TOPIC_RETRIES: 2,
+  TOPIC_RETRY_DELAY: 100,
+  RESULT_CONFLICT_RETRIES: 3,
+  CACHE_MAX_ENTRIES: 100,
+  LIST_PAGE_SIZE: 20,
   STATUS: {
     COMPLETE: "complete",
     COMPLETE_DISPLAY: "Complete",
@@ -19,9 +26,53 @@ module.exports = {
     NEW_DISPLAY: "New",
     UNASSIGNED_DISPLAY: "Unassigned"
   },
+  RESULT_STATUS: {
+    NEW: "new",
+    UNASSIGNED: "unassigned",
+    IN_PROGRESS: "in_progress",
+    COMPLETE: "complete"
+  },
+  DEFAULT_LOCALE: "en",
+  EVENTS: {
+    WORKFLOW_BEGUN: "workflow_begun",
+    STEP_COMPLETED: "step_completed",
+    WORKFLOW_COMPLETED: "workflow_completed",
+    STEP_REVERTED: "step_reverted"
+  },
+  HISTORY_ACTIONS: {
+    COMPLETE: "complete",
+    RECOMPLETE: "recomplete",
+    PREVIOUS: "previous",
+    GOTO: "goto",
+    REOPEN: "reopen"
+  },
   STEP_TYPES: {
-    STATIC: "static"
+    STATIC: "static",
+    FORM: "form",
+    SIGNATURE: "signature",
+    APPROVAL: "approval",
+    CHECKLIST: "checklist"
+  },
+  ERROR_CODES: {
+    WORKFLOW_NOT_FOUND: "WORKFLOW_NOT_FOUND",
+    WORKORDER_NOT_FOUND: "WORKORDER_NOT_FOUND",
+    RESULT_NOT_STARTED: "RESULT_NOT_STARTED",
+    INVALID_STEP: "INVALID_STEP",
+    VALIDATION_FAILED: "VALIDATION_FAILED",
+    TIMEOUT: "TIMEOUT",
+    CONFLICT: "CONFLICT"
+  },
+  VIOLATIONS: {
+    REQUIRED: "required",
+    INVALID_TYPE: "invalid_type",
+    DUPLICATE: "duplicate",
+    INVALID_CONDITION: "invalid_condition",
+    UNKNOWN_STEP_TYPE: "unknown_step_type",
+    INVALID_VALUE: "invalid_value",
+    OUT_OF_RANGE: "out_of_range",
+    INVALID_SCHEMA: "invalid_schema"
   },
+  SCHEMA_FIELD_TYPES: ["string", "number", "boolean", "object", "array"],
   TOPICS: {
     CREATE: "create",
     UPDATE: "update",
@@ -32,7 +83,9 @@ module.exports = {
     STOP: "stop",
     FORCE_SYNC: "force_sync",
     SYNC_COMPLETE: "sync_complete",
-    READ_PROFILE: "read_profile"
+    READ_PROFILE: "read_profile",
+    VERSIONS: "versions",
+    STATS: "stats"
   },
   STEP_TOPICS: {
     BEGIN: "begin",
@@ -40,6 +93,10 @@ module.exports = {
     PREVIOUS: "previous",
     CURRENT: "current",
     COMPLETE: "complete",
-    SUMMARY: "summary"
+    SUMMARY: "summary",
+    SUMMARIES: "summaries",
+    HISTORY: "history",
+    GOTO: "goto",
+    SAVE: "save"
   }
 };
\ No newline at end of file
@@ -0,0 +1,782 @@
+var _ = require('lodash');
+var CONSTANTS = require('../constants');
+var stepConditions = require('./stepConditions');
+var StepTypeRegistry = require('../step-types');
+var StatusLabelResolver = require('../status').StatusLabelResolver;
+var validator = require('../validator');
+var errors = require('../errors');
+var ValidationError = errors.ValidationError;
+var ResultNotStartedError = errors.ResultNotStartedError;
+var InvalidStepError = errors.InvalidStepError;
+
+/**
+ *
+ * The workflow step engine.
+ *
+ * Decides the status of a result, the next step to complete and the changes to a result when a step is begun,
+ * completed or stepped back. It does not read or store any data, so it is shared by the workflow client and the
+ * cloud module, which read and store the workorders, workflows and results through their own topics.
+ *
+ * @param {object} [options]
+ * @param {object} [options.stepTypes] - Custom step types to register, keyed by type name.
+ * @param {object} [options.statusLabels] - The display labels of the result statuses, keyed by locale.
+ * @param {string} [options.locale] - The locale of the status labels if none is given (default "en").
+ * @constructor
+ */
+function WorkflowEngine(options) {
+  options = options || {};
+
+  //The step types available to workflows, including any custom step types passed in the options.
+  this.stepTypes = new StepTypeRegistry(options.stepTypes);
+
+  //The display labels of the status codes stored in results.
+  this.statusLabels = new StatusLabelResolver(options.statusLabels, options.locale);
+}
+
+/**
+ *
+ * Checking the status of a workorder
+ *
+ * @param {object} workorder  - The workorder to check status
+ * @param {object} workflow   - The workflow to check status
+ * @param {object} result     - The result to check status
+ * @returns {string} - One of the RESULT_STATUS codes
+ */
+WorkflowEngine.prototype.checkStatus = function checkStatus(workorder, workflow, result) {
+  var status;
+  var stepReview = this.stepReview(workflow.steps, result);
+  if (stepReview.nextStepIndex >= workflow.steps.length - 1 && stepReview.complete) {
+    status = CONSTANTS.RESULT_STATUS.COMPLETE;
+  } else if (!workorder.assignee) {
+    status = CONSTANTS.RESULT_STATUS.UNASSIGNED;
+  } else if (stepReview.nextStepIndex < 0) {
+    status = CONSTANTS.RESULT_STATUS.NEW;
+  } else {
+    status = CONSTANTS.RESULT_STATUS.IN_PROGRESS;
+  }
+  return status;
+};
+
+/**
+ *
+ * Getting the display label of a result status.
+ *
+ * @param {string} status   - One of the RESULT_STATUS codes
+ * @param {string} [locale] - The locale of the label. Defaults to the locale of the engine.
+ * @returns {string}
+ */
+WorkflowEngine.prototype.getStatusLabel = function getStatusLabel(status, locale) {
+  return this.statusLabels.getLabel(status, locale);
+};
+
+/**
+ *
+ * Checking if a step is part of the branch taken by a result.
+ *
+ * A step with no condition is always active. Otherwise the step condition is evaluated against
+ * the submissions of the steps already completed for the result.
+ *
+ * @param {object} step
+ * @param {object} result
+ * @returns {boolean}
+ */
+WorkflowEngine.prototype.isStepActive = function isStepActive(step, result) {
+  return stepConditions.evaluate(step.condition, result && result.stepResults);
+};
+
+/**
+ *
+ * Getting the step type of a step.
+ *
+ * A step with a type that is not registered is treated as a `static` step.
+ *
+ * @param {object} step
+ * @returns {object}
+ */
+WorkflowEngine.prototype.getStepType = function getStepType(step) {
+  return this.stepTypes.getStepType(step) || this.stepTypes.getStepType({type: CONSTANTS.STEP_TYPES.STATIC});
+};
+
+/**
+ *
+ * Checking if a step result completes a step, using the completion rule of the step type.
+ *
+ * @param {object} step
+ * @param {object} [stepResult]
+ * @returns {boolean}
+ */
+WorkflowEngine.prototype.isStepComplete = function isStepComplete(step, stepResult) {
+  return Boolean(stepResult) && this.getStepType(step).isComplete(stepResult, step);
+};
+
+/**
+ *
+ * Validating a submission for a step.
+ *
+ * The submission is checked against the schema declared by the step, then by the validation of the step type.
+ *
+ * @param {object} step
+ * @param {*}      submission
+ * @returns {Array} - A list of field violations. The submission is valid if the list is empty.
+ */
+WorkflowEngine.prototype.validateSubmission = function validateSubmission(step, submission) {
+  return validator.validateSubmission(step.schema, submission).concat(this.getStepType(step).validate(submission, step));
+};
+
+/**
+ *
+ * Building the data to render a summary of each step that has a result.
+ *
+ * @param {object} workflow
+ * @param {object} result
+ * @returns {object} - The summary data of each step, keyed by step code.
+ */
+WorkflowEngine.prototype.summariseSteps = function summariseSteps(workflow, result) {
+  var self = this;
+  var stepResults = result && result.stepResults ? result.stepResults : {};
+  var stepSummaries = {};
+
+  _.each(workflow.steps, function(step) {
+    if (stepResults[step.code]) {
+      stepSummaries[step.code] = self.getStepType(step).summary(stepResults[step.code], step);
+    }
+  });
+
+  return stepSummaries;
+};
+
+/**
+ *
+ * This function checks each of the result steps to determine if the workflow is complete,
+ * and if not, what is the next step in the workflow to display to the user.
+ *
+ * Steps whose condition is not met by the earlier step submissions are skipped and do not block completion.
+ *
+ * @param {object} steps
+ * @param {object} result
+ * @returns {{nextStepIndex: number, complete: *}}
+ */
+WorkflowEngine.prototype.stepReview = function stepReview(steps, result) {
+  var self = this;
+  var complete = false;
+
+  //If there is no result, then the first active step is the next step.
+  var stepResults = result && result.stepResults ? result.stepResults : {};
+
+  var nextIncompleteStepIndex = _.findIndex(steps, function(step) {
+    //The next incomplete step is the first active step with no entry or it's not complete yet according to its step type.
+    return self.isStepActive(step, result) && !self.isStepComplete(step, stepResults[step.code]);
+  });
+
+  if (nextIncompleteStepIndex === -1) {
+    complete = true;
+    nextIncompleteStepIndex = steps.length;
+  }
+
+  return {
+    nextStepIndex: nextIncompleteStepIndex,
+    complete: complete // false is any steps are "pending"
+  };
+};
+
+/**
+ *
+ * Finding all the steps that depend on a step.
+ *
+ * A step depends on another step if its condition refers to that step, or to a step that depends on it.
+ *
+ * @param {Array}  steps
+ * @param {string} stepCode
+ * @returns {Array} - The dependent steps, in workflow order.
+ */
+WorkflowEngine.prototype.getDependentSteps = function getDependentSteps(steps, stepCode) {
+  var dependencyCodes = [stepCode];
+
+  //Conditions can only refer to earlier steps, so a single pass in workflow order finds all the dependencies.
+  return _.filter(steps, function(step) {
+    var isDependent = _.intersection(stepConditions.getReferencedSteps(step.condition), dependencyCodes).length > 0;
+
+    if (isDependent) {
+      dependencyCodes.push(step.code);
+    }
+
+    return isDependent;
+  });
+};
+
+/**
+ *
+ * Finding the index of the closest active step before a step index.
+ *
+ * @param {Array}  steps
+ * @param {object} result
+ * @param {number} fromIndex - The index to search back from.
+ * @returns {number} - The index of the previous active step, or -1 if there is none.
+ */
+WorkflowEngine.prototype.previousActiveStepIndex = function previousActiveStepIndex(steps, result, fromIndex) {
+  var self = this;
+
+  return _.findLastIndex(steps, function(step, index) {
+    return index < fromIndex && self.isStepActive(step, result);
+  });
+};
+
+/**
+ *
+ * Finding the index of the closest active step after a step index.
+ *
+ * @param {Array}  steps
+ * @param {object} result
+ * @param {number} fromIndex - The index to search forward from.
+ * @returns {number} - The index of the next active step, or the number of steps if there is none.
+ */
+WorkflowEngine.prototype.nextActiveStepIndex = function nextActiveStepIndex(steps, result, fromIndex) {
+  var self = this;
+
+  var nextIndex = _.findIndex(steps, function(step, index) {
+    return index > fromIndex && self.isStepActive(step, result);
+  });
+
+  return nextIndex > -1 ? nextIndex : steps.length;
+};
+
+/**
+ *
+ * Getting the draft submission saved for a step that has not been completed yet.
+ *
+ * Only a step result saved as a draft (`draft: true`) is a draft. A rejected approval or a step reopened with the goto
+ * topic is pending too, but its submission is not offered as a draft.
+ *
+ * @param {object} [step]
+ * @param {object} [result]
+ * @returns {*} - The draft submission, or null if there is no draft for the step.
+ */
+WorkflowEngine.prototype.getDraft = function getDraft(step, result) {
+  var stepResult = step && result && result.stepResults ? result.stepResults[step.code] : null;
+
+  return stepResult && stepResult.draft ? stepResult.submission : null;
+};
+
+/**
+ *
+ * Adding an entry to the audit trail of a result.
+ *
+ * @param {object} result
+ * @param {object} entry
+ * @param {string} entry.action               - One of the CONSTANTS.HISTORY_ACTIONS
+ * @param {string} entry.stepCode             - The code of the step the action applies to.
+ * @param {string} entry.userId               - The ID of the user that performed the action.
+ * @param {*}      [entry.previousSubmission] - The submission of the step before the action.
+ * @param {*}      [entry.submission]         - The submission of the step after the action.
+ * @returns {object} - The entry added to the history.
+ */
+WorkflowEngine.prototype.recordHistory = function recordHistory(result, entry) {
+  var historyEntry = _.extend({timestamp: new Date().getTime()}, entry);
+
+  result.history = result.history || [];
+  result.history.push(historyEntry);
+
+  return historyEntry;
+};
+
+/**
+ *
+ * Getting a specific version of a workflow.
+ *
+ * Workflows created before versioning was introduced have no version and are treated as the first version.
+ *
+ * @param {object} workflow  - The current version of the workflow.
+ * @param {number} [version] - The version to get. If not set, the current version is returned.
+ * @returns {object|undefined} - The workflow version, or undefined if the version does not exist.
+ */
+WorkflowEngine.prototype.getWorkflowVersion = function getWorkflowVersion(workflow, version) {
+  if (!version || version === (workflow.version || 1)) {
+    return workflow;
+  }
+
+  return _.find(workflow.versions, function(workflowVersion) {
+    return workflowVersion.version === version;
+  });
+};
+
+/**
+ *
+ * Creating a snapshot of a single workflow version.
+ *
+ * @param {object} workflow
+ * @returns {object}
+ */
+function getVersionSnapshot(workflow) {
+  return _.defaults(_.cloneDeep(_.omit(workflow, 'versions')), {version: 1});
+}
+
+/**
+ *
+ * Building a new version of a workflow.
+ *
+ * The current version of the workflow is kept as an immutable snapshot in `versions`, so that results begun with an
+ * earlier version are still reviewed against the steps they started with. The version history is always taken from
+ * the stored workflow, it can't be changed by an update.
+ *
+ * @param {object} currentWorkflow  - The stored workflow.
+ * @param {object} workflowToUpdate - The changes to the workflow.
+ * @returns {object} - The new version of the workflow, to be stored.
+ */
+WorkflowEngine.prototype.createWorkflowVersion = function createWorkflowVersion(currentWorkflow, workflowToUpdate) {
+  var currentVersion = getVersionSnapshot(currentWorkflow);
+
+  return _.extend(_.omit(workflowToUpdate, ['version', 'versions']), {
+    version: currentVersion.version + 1,
+    versions: _.cloneDeep(currentWorkflow.versions || []).concat([currentVersion])
+  });
+};
+
+/**
+ *
+ * Listing all the versions of a workflow.
+ *
+ * @param {object} workflow - The stored workflow.
+ * @returns {Array} - The versions of the workflow, ordered from the oldest to the current version.
+ */
+WorkflowEngine.prototype.listWorkflowVersions = function listWorkflowVersions(workflow) {
+  return _.map(workflow.versions, getVersionSnapshot).concat([getVersionSnapshot(workflow)]);
+};
+
+/**
+ *
+ * Creating a new result for a workorder.
+ *
+ * The result is pinned to the version of the workflow it was begun with.
+ *
+ * @param {string} workorderId
+ * @param {string} assignee
+ * @param {object} workflow - The workflow the result is begun with.
+ * @returns {object}
+ */
+WorkflowEngine.prototype.newResult = function newResult(workorderId, assignee, workflow) {
+  return {
+    status: CONSTANTS.RESULT_STATUS.NEW,
+    nextStepIndex: 0,
+    workorderId: workorderId,
+    assignee: assignee,
+    workflowId: workflow && workflow.id,
+    workflowVersion: workflow && (workflow.version || 1),
+    revision: 0,
+    stepResults: {}
+  };
+};
+
+/**
+ *
+ * Beginning the workflow of a workorder.
+ *
+ * The next step and the status of the result are brought up to date with the step results.
+ *
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} result
+ * @returns {object} - The result
+ */
+WorkflowEngine.prototype.beginResult = function beginResult(workorder, workflow, result) {
+  result.nextStepIndex = this.stepReview(workflow.steps, result).nextStepIndex;
+  result.status = this.checkStatus(workorder, workflow, result);
+
+  return result;
+};
+
+/**
+ *
+ * Completing a step of the workflow of a workorder.
+ *
+ * The submission is validated and stored as the result of the step. Any earlier submission for the step is kept
+ * in the audit trail of the result.
+ *
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} result
+ * @param {object} parameters
+ * @param {string} parameters.stepCode   - The code of the step to complete.
+ * @param {*}      parameters.submission - The data submitted for the step.
+ * @param {string} parameters.userId     - The ID of the user completing the step.
+ * @returns {object} - The result of the step.
+ */
+WorkflowEngine.prototype.completeStep = function completeStep(workorder, workflow, result, parameters) {
+  if (!result) {
+    //No result exists, The workflow should have been started
+    throw new ResultNotStartedError("No result exists for workorder " + workorder.id + ". The workflow done topic can only be used for a workflow that has begun");
+  }
+
+  var step = _.find(workflow.steps, function(step) {
+    return step.code === parameters.stepCode;
+  });
+
+  //If there is no step, then this step submission is invalid.
+  if (!step) {
+    throw new InvalidStepError("Invalid step to assign completed data for workorder " + workorder.id + " and step code " + parameters.stepCode);
+  }
+
+  //A step that is not on the branch taken by the earlier submissions can't be completed.
+  if (!this.isStepActive(step, result)) {
+    throw new InvalidStepError("Step " + parameters.stepCode + " is not active for workorder " + workorder.id + ". Its condition is not met by the earlier step submissions");
+  }
+
+  //The submission is checked by the step type before it is stored.
+  var violations = this.validateSubmission(step, parameters.submission);
+
+  if (violations.length > 0) {
+    throw new ValidationError("Invalid submission for step " + step.code + " of workorder " + workorder.id, violations);
+  }
+
+  var stepResult = {
+    step: step,
+    submission: parameters.submission,
+    type: this.getStepType(step).name,
+    status: CONSTANTS.STATUS.COMPLETE,
+    timestamp: new Date().getTime(),
+    submitter: parameters.userId
+  };
+
+  //The step type decides if the submission completes the step (e.g. a rejected approval does not).
+  if (!this.isStepComplete(step, stepResult)) {
+    stepResult.status = CONSTANTS.STATUS.PENDING;
+  }
+
+  result.stepResults = result.stepResults || {};
+  //A draft saved before the first submission is not an earlier submission of the step.
+  var previousStepResult = hasBeenSubmitted(result, result.stepResults[step.code], step.code) ? result.stepResults[step.code] : null;
+  result.stepResults[step.code] = stepResult;
+
+  this.recordHistory(result, {
+    action: previousStepResult ? CONSTANTS.HISTORY_ACTIONS.RECOMPLETE : CONSTANTS.HISTORY_ACTIONS.COMPLETE,
+    stepCode: step.code,
+    userId: parameters.userId,
+    previousSubmission: previousStepResult ? previousStepResult.submission : null,
+    submission: stepResult.submission
+  });
+
+  result.status = this.checkStatus(workorder, workflow, result);
+  result.nextStepIndex = this.stepReview(workflow.steps, result).nextStepIndex;
+
+  return stepResult;
+};
+
+/**
+ *
+ * Checking if a step has been submitted before, as opposed to only having a draft saved for it.
+ *
+ * Any step result that is not a draft was submitted (e.g. a rejected approval). A draft may have been saved after the
+ * step was submitted and reopened, so the history of the step is checked too.
+ *
+ * @param {object} result
+ * @param {object} stepResult - The current result of the step, if any.
+ * @param {string} stepCode
+ * @returns {boolean}
+ */
+function hasBeenSubmitted(result, stepResult, stepCode) {
+  if (!stepResult) {
+    return false;
+  }
+
+  return !stepResult.draft || _.some(result.history, function(entry) {
+    return entry.stepCode === stepCode && (entry.action === CONSTANTS.HISTORY_ACTIONS.COMPLETE || entry.action === CONSTANTS.HISTORY_ACTIONS.RECOMPLETE);
+  });
+}
+
+/**
+ *
+ * Moving the result of a workorder back to the previous active step, skipping any steps whose condition was not met.
+ *
+ * If there is no previous step, the next step index is -1.
+ *
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} result
+ * @param {object} parameters
+ * @param {string} parameters.userId - The ID of the user stepping back.
+ * @returns {object} - The result
+ */
+WorkflowEngine.prototype.previousStep = function previousStep(workorder, workflow, result, parameters) {
+  if (!result) {
+    //No result exists, The workflow should have been started
+    throw new ResultNotStartedError("No result exists for workflow " + workorder.id + ". The workflow back topic can only be used for a workflow that has begun");
+  }
+
+  result.nextStepIndex = result.nextStepIndex > -1 ? this.previousActiveStepIndex(workflow.steps, result, result.nextStepIndex) : -1;
+
+  var step = workflow.steps[result.nextStepIndex];
+  var stepResult = step && result.stepResults ? result.stepResults[step.code] : null;
+
+  this.recordHistory(result, {
+    action: CONSTANTS.HISTORY_ACTIONS.PREVIOUS,
+    stepCode: step ? step.code : null,
+    userId: parameters.userId,
+    previousSubmission: stepResult ? stepResult.submission : null,
+    submission: stepResult ? stepResult.submission : null
+  });
+
+  return result;
+};
+
+/**
+ *
+ * Building the data published when a workorder has moved to a step.
+ *
+ * Any draft saved for the next step is included so that it can be restored.
+ *
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} result
+ * @returns {{workorder: object, workflow: object, result: object, nextStepIndex: number, step: object, draft: *}}
+ */
+WorkflowEngine.prototype.getStepProgress = function getStepProgress(workorder, workflow, result) {
+  var step = result.nextStepIndex > -1 ? workflow.steps[result.nextStepIndex] : null;
+
+  return {
+    workorder: workorder,
+    workflow: workflow,
+    result: result,
+    nextStepIndex: result.nextStepIndex,
+    step: step,
+    draft: this.getDraft(step, result)
+  };
+};
+
+/**
+ *
+ * Building the summary of the workflow of a workorder.
+ *
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} [result] - There is no result if the workflow has not begun.
+ * @param {string} [locale]  - The locale of the status label.
+ * @returns {{workorder: object, workflow: object, status: string, statusLabel: string, nextStepIndex: number, result: object, stepSummaries: object, draft: *}}
+ */
+WorkflowEngine.prototype.summarise = function summarise(workorder, workflow, result, locale) {
+  var nextStepIndex = this.stepReview(workflow.steps, result).nextStepIndex;
+  var status = this.checkStatus(workorder, workflow, result);
+
+  return {
+    workorder: workorder,
+    workflow: workflow,
+    status: status,
+    statusLabel: this.getStatusLabel(status, locale),
+    nextStepIndex: nextStepIndex,
+    result: result,
+    stepSummaries: this.summariseSteps(workflow, result),
+    draft: this.getDraft(workflow.steps[nextStepIndex], result)
+  };
+};
+
+/**
+ *
+ * Building the data of a workflow event (e.g. `step_completed`), broadcast so that other modules can react to it.
+ *
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} [details]
+ * @param {string} [details.stepCode] - The step the event is about, if any.
+ * @param {string} [details.userId]   - The user that caused the event.
+ * @returns {{workorderId: string, workflowId: string, workflowVersion: number, stepCode: string, userId: string, timestamp: number}}
+ */
+WorkflowEngine.prototype.buildEvent = function buildEvent(workorder, workflow, details) {
+  details = details || {};
+
+  return {
+    workorderId: workorder.id,
+    workflowId: workflow.id,
+    workflowVersion: workflow.version || 1,
+    stepCode: details.stepCode || null,
+    userId: details.userId || null,
+    timestamp: new Date().getTime()
+  };
+};
+
+/**
+ *
+ * Building the short summary of the workflow of a workorder, e.g. for a row of a workorder list.
+ *
+ * @param {object} workorder
+ * @param {object} workflow
+ * @param {object} [result]  - There is no result if the workflow has not begun.
+ * @param {string} [locale]  - The locale of the status label.
+ * @returns {{workorderId: string, status: string, statusLabel: string, nextStepIndex: number, step: object}}
+ */
+WorkflowEngine.prototype.summariseStatus = function summariseStatus(workorder, workflow, result, locale) {
+  var nextStepIndex = this.stepReview(workflow.steps, result).nextStepIndex;
+  var status = this.checkStatus(workorder, workflow, result);
+
+  return {
+    workorderId: workorder.id,
+    status: status,
+    statusLabel: this.getStatusLabel(status, locale),
+    nextStepIndex: nextStepIndex,
+    step: workflow.steps[nextStepIndex] || null
+  };
+};
+
+/**
+ *
+ * Getting the time of a date in milliseconds.
+ *
+ * A string of digits is a timestamp (e.g. "1490000000000" read from a query string), not a date string.
+ *
+ * @param {number|string|Date} [date] - A timestamp, a date string or a date.
+ * @param {string} name               - The name of the date, for the error message.
+ * @returns {number|undefined} - undefined if there is no date.
+ */
+function toTime(date, name) {
+  if (_.isNil(date) || date === "") {
+    return undefined;
+  }
+
+  if (_.isString(date) && /^\d+$/.test(date)) {
+    date = Number(date);
+  }
+
+  var time = _.isNumber(date) ? date : new Date(date).getTime();
+
+  if (!_.isFinite(time)) {
+    throw new ValidationError("Invalid Date For The Workflow Statistics.", [{
+      field: name,
+      code: CONSTANTS.VIOLATIONS.INVALID_VALUE,
+      message: "Expected a timestamp or a date, got " + date
+    }]);
+  }
+
+  return time;
+}
+
+/**
+ *
+ * Getting the median of a list of numbers.
+ *
+ * @param {Array} values
+ * @returns {number|null} - null if there are no values.
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  var sortedValues = _.sortBy(values);
+  var middle = Math.floor(sortedValues.length / 2);
+
+  return sortedValues.length % 2 ? sortedValues[middle] : (sortedValues[middle - 1] + sortedValues[middle]) / 2;
+}
+
+/**
+ *
+ * Building the statistics of a workflow from the workorders that use it and their results.
+ *
+ * Each workorder is counted in the status it is in. A workorder that has not begun is `new` (or `unassigned`).
+ * For each step, the statistics count the completions of the step, the workorders that are waiting on the step and
+ * the median time between the completion of the step and the completion before it in the same result.
+ *
+ * If a date range is given, only the step completions in the range are counted, and only the workorders that had a
+ * step completed in the range are included.
+ *
+ * @param {object} workflow                  - The current version of the workflow.
+ * @param {Array}  workorders                - The workorders of the workflow.
+ * @param {Array}  results                   - The results of the workorders.
+ * @param {object} [options]
+ * @param {number|string|Date} [options.from] - Only include the step completions from this date.
+ * @param {number|string|Date} [options.to]   - Only include the step completions up to this date.
+ * @returns {{workflowId: string, from: number, to: number, total: number, statusCounts: object, steps: Array, medianStepDuration: number}}
+ */
+WorkflowEngine.prototype.buildWorkflowStats = function buildWorkflowStats(workflow, workorders, results, options) {
+  var self = this;
+  options = options || {};
+
+  var from = toTime(options.from, "from");
+  var to = toTime(options.to, "to");
+  var hasDateRange = !_.isUndefined(from) || !_.isUndefined(to);
+  var resultsByWorkorderId = _.keyBy(results, 'workorderId');
+
+  var statusCounts = _.mapValues(_.invert(CONSTANTS.RESULT_STATUS), _.constant(0));
+  var allDurations = [];
+
+  //Steps of older versions that are no longer in the workflow are listed after the current steps.
+  var allSteps = _.uniqBy(_.flatten([workflow.steps].concat(_.map(workflow.versions, 'steps'))), 'code');
+  var stepStats = _.keyBy(_.map(_.compact(allSteps), function(step) {
+    return {code: step.code, name: step.name, completed: 0, current: 0, durations: []};
+  }), 'code');
+
+  function isInRange(time) {
+    return (_.isUndefined(from) || time >= from) && (_.isUndefined(to) || time <= to);
+  }
+
+  var total = 0;
+
+  _.each(workorders, function(workorder) {
+    var result = resultsByWorkorderId[workorder.id];
+    var workflowVersion = (result && self.getWorkflowVersion(workflow, result.workflowVersion)) || workflow;
+
+    //The completed steps of the result, in the order they were completed. Drafts are not completions.
+    var completedSteps = [];
+
+    _.each(result && result.stepResults, function(stepResult, stepCode) {
+      var step = _.find(workflowVersion.steps, {code: stepCode}) || {code: stepCode};
+
+      if (_.isNumber(stepResult.timestamp) && self.isStepComplete(step, stepResult)) {
+        completedSteps.push({code: stepCode, timestamp: stepResult.timestamp});
+      }
+    });
+
+    completedSteps = _.sortBy(completedSteps, 'timestamp');
+
+    if (hasDateRange && !_.some(completedSteps, function(completedStep) {
+      return isInRange(completedStep.timestamp);
+    })) {
+      return;
+    }
+
+    var status = self.checkStatus(workorder, workflowVersion, result);
+
+    //checkStatus treats an assigned workorder as in progress as soon as it has a next step.
+    if (!result && workorder.assignee) {
+      status = CONSTANTS.RESULT_STATUS.NEW;
+    }
+
+    total += 1;
+    statusCounts[status] += 1;
+
+    _.each(completedSteps, function(completedStep, index) {
+      var stats = stepStats[completedStep.code];
+
+      if (!stats || !isInRange(completedStep.timestamp)) {
+        return;
+      }
+
+      stats.completed += 1;
+
+      if (index > 0) {
+        var duration = completedStep.timestamp - completedSteps[index - 1].timestamp;
+        stats.durations.push(duration);
+        allDurations.push(duration);
+      }
+    });
+
+    //A workorder that has begun and is not complete is waiting on its next step.
+    if (result && status !== CONSTANTS.RESULT_STATUS.COMPLETE) {
+      var nextStep = workflowVersion.steps[self.stepReview(workflowVersion.steps, result).nextStepIndex];
+
+      if (nextStep && stepStats[nextStep.code]) {
+        stepStats[nextStep.code].current += 1;
+      }
+    }
+  });
+
+  return {
+    workflowId: workflow.id,
+    from: from,
+    to: to,
+    total: total,
+    statusCounts: statusCounts,
+    steps: _.map(stepStats, function(stats) {
+      return _.extend(_.omit(stats, 'durations'), {medianDuration: median(stats.durations)});
+    }),
+    medianStepDuration: median(allDurations)
+  };
+};
+
+module.exports = WorkflowEngine;
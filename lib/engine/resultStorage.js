@@ -0,0 +1,115 @@
+var _ = require('lodash');
+var q = require('q');
+var CONSTANTS = require('../constants');
+var errors = require('../errors');
+var ConflictError = errors.ConflictError;
+var NotFoundError = errors.NotFoundError;
+
+/**
+ *
+ * Reading the workorder, the workflow version and the result of a workorder.
+ *
+ * The workflow client and the cloud step topics read the data through different topics, so they pass the reads.
+ * A result is always reviewed against the version of the workflow it was begun with.
+ *
+ * @param {WorkflowEngine} engine
+ * @param {object}   reads
+ * @param {function} reads.readWorkorder - Called with the workorder ID. Returns a promise for the workorder, or null.
+ * @param {function} reads.readWorkflow  - Called with the workflow ID and the read options. Returns a promise for the workflow, or null.
+ * @param {function} reads.readResult    - Called with the workorder ID and the read options. Returns a promise for the result, or null.
+ * @param {string}   workorderId
+ * @param {object}   [readOptions] - Passed to the workflow and result reads (e.g. `{skipCache: true}`).
+ * @returns {Promise} - The [workorder, workflow, result] summary.
+ */
+function readWorkorderSummary(engine, reads, workorderId, readOptions) {
+  return q.when(reads.readWorkorder(workorderId)).then(function(workorder) {
+    if (!workorder) {
+      throw new NotFoundError("Workorder " + workorderId + " does not exist", CONSTANTS.ERROR_CODES.WORKORDER_NOT_FOUND);
+    }
+
+    return q.all([reads.readWorkflow(workorder.workflowId, readOptions), reads.readResult(workorderId, readOptions)]).then(function(workorderResult) {
+      var result = workorderResult[1];
+
+      if (!workorderResult[0]) {
+        throw new NotFoundError("Workflow " + workorder.workflowId + " does not exist for workorder " + workorderId);
+      }
+
+      var workflow = engine.getWorkflowVersion(workorderResult[0], result && result.workflowVersion);
+
+      if (!workflow) {
+        throw new NotFoundError("Version " + result.workflowVersion + " of workflow " + workorder.workflowId + " does not exist for workorder " + workorderId);
+      }
+
+      return [workorder, workflow, result];
+    });
+  });
+}
+
+/**
+ *
+ * Storing a changed result at the next revision.
+ *
+ * The revision the result was read at is passed to the write as the expected revision, so that the results module
+ * can reject the update if the stored result has been changed since. A rejection with the CONFLICT code is a
+ * ConflictError. Results modules that ignore the expected revision do not detect conflicts: the last update wins.
+ *
+ * @param {object}   result
+ * @param {number}   [result.revision] - The revision of the result when it was read.
+ * @param {function} writeResult       - Called with the result to store and the expected revision. Returns a promise for the stored result.
+ * @returns {Promise} - The stored result.
+ */
+function updateResult(result, writeResult) {
+  var revision = result.revision || 0;
+
+  return q.when(writeResult(_.extend({}, result, {revision: revision + 1}), revision)).then(function(storedResult) {
+    result.revision = revision + 1;
+    return storedResult;
+  }, function(err) {
+    if (!err || err.code !== CONSTANTS.ERROR_CODES.CONFLICT || err instanceof ConflictError) {
+      throw err;
+    }
+
+    throw new ConflictError(err.message || "The result for workorder " + result.workorderId + " was changed since revision " + revision);
+  });
+}
+
+/**
+ *
+ * Applying changes to the result of a workorder and storing them.
+ *
+ * If the result was changed by someone else in the meantime, the workorder summary is read again and the changes
+ * are re-applied to the latest result, up to `retries` times.
+ *
+ * @param {object}   storage
+ * @param {function} storage.readWorkorderSummary - Called with the workorder ID. Returns a promise for the stored [workorder, workflow, result] summary.
+ * @param {function} storage.updateResult         - Called with the changed result. Returns a promise, rejected with a ConflictError if the result was changed since it was read.
+ * @param {string}   workorderId
+ * @param {function} applyChanges - Called with the workorder, workflow and result. Changes the result in place, or throws if the change is not possible.
+ * @param {number}   [retries]    - The number of times the changes are re-applied (default CONSTANTS.RESULT_CONFLICT_RETRIES).
+ * @returns {Promise} - The [workorder, workflow, result] summary with the stored result.
+ */
+function mergeResult(storage, workorderId, applyChanges, retries) {
+  function attempt(retriesLeft) {
+    return q.when(storage.readWorkorderSummary(workorderId)).then(function(workorderSummary) {
+      applyChanges(workorderSummary[0], workorderSummary[1], workorderSummary[2]);
+
+      return q.when(storage.updateResult(workorderSummary[2])).then(function() {
+        return workorderSummary;
+      });
+    }).catch(function(err) {
+      if (err instanceof ConflictError && retriesLeft > 0) {
+        return attempt(retriesLeft - 1);
+      }
+
+      throw err;
+    });
+  }
+
+  return attempt(_.isNumber(retries) ? retries : CONSTANTS.RESULT_CONFLICT_RETRIES);
+}
+
+module.exports = {
+  readWorkorderSummary: readWorkorderSummary,
+  updateResult: updateResult,
+  mergeResult: mergeResult
+};
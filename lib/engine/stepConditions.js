@@ -0,0 +1,116 @@
+var _ = require('lodash');
+var CONSTANTS = require('../constants');
+
+/**
+ *
+ * Getting the submission value a condition refers to.
+ *
+ * Only completed step results are considered, a step that was skipped or has not been completed yet has no value.
+ *
+ * @param {object} condition
+ * @param {string} condition.step  - The code of the step that the submission belongs to.
+ * @param {string} condition.field - The path to the value in the step submission (e.g. "hazard" or "site.hazard")
+ * @param {object} stepResults     - The step results of a result, keyed by step code.
+ * @returns {*}
+ */
+function getConditionValue(condition, stepResults) {
+  var stepResult = stepResults && stepResults[condition.step];
+
+  if (!stepResult || stepResult.status !== CONSTANTS.STATUS.COMPLETE) {
+    return undefined;
+  }
+
+  return _.get(stepResult.submission, condition.field);
+}
+
+/**
+ *
+ * Evaluating a step condition against the step results of a single result.
+ *
+ * A condition is either a comparison against the submission of another step:
+ *
+ *  {step: "identification", field: "hazard", equals: true}
+ *  {step: "identification", field: "hazard", notEquals: true}
+ *  {step: "identification", field: "severity", in: ["high", "critical"]}
+ *  {step: "identification", field: "notes", exists: true}
+ *
+ * Or a combination of other conditions:
+ *
+ *  {all: [condition1, condition2]}
+ *  {any: [condition1, condition2]}
+ *  {not: condition}
+ *
+ * @param {object} condition
+ * @param {object} stepResults - The step results of a result, keyed by step code.
+ * @returns {boolean}
+ */
+function evaluate(condition, stepResults) {
+  if (!condition) {
+    return true;
+  }
+
+  if (_.isArray(condition.all)) {
+    return _.every(condition.all, function(subCondition) {
+      return evaluate(subCondition, stepResults);
+    });
+  }
+
+  if (_.isArray(condition.any)) {
+    return _.some(condition.any, function(subCondition) {
+      return evaluate(subCondition, stepResults);
+    });
+  }
+
+  if (condition.not) {
+    return !evaluate(condition.not, stepResults);
+  }
+
+  var value = getConditionValue(condition, stepResults);
+
+  if (_.has(condition, 'equals')) {
+    return _.isEqual(value, condition.equals);
+  }
+
+  if (_.has(condition, 'notEquals')) {
+    return !_.isEqual(value, condition.notEquals);
+  }
+
+  if (_.has(condition, 'in')) {
+    return _.some(condition.in, function(allowedValue) {
+      return _.isEqual(value, allowedValue);
+    });
+  }
+
+  if (_.has(condition, 'exists')) {
+    return !_.isUndefined(value) === Boolean(condition.exists);
+  }
+
+  //A condition with no operator only checks that the referenced step was completed.
+  return Boolean(stepResults && stepResults[condition.step] && stepResults[condition.step].status === CONSTANTS.STATUS.COMPLETE);
+}
+
+/**
+ *
+ * Getting the codes of all the steps that a condition refers to.
+ *
+ * @param {object} condition
+ * @returns {Array}
+ */
+function getReferencedSteps(condition) {
+  if (!condition) {
+    return [];
+  }
+
+  var subConditions = condition.all || condition.any || (condition.not ? [condition.not] : null);
+
+  if (subConditions) {
+    return _.uniq(_.flatMap(subConditions, getReferencedSteps));
+  }
+
+  return condition.step ? [condition.step] : [];
+}
+
+module.exports = {
+  evaluate: evaluate,
+  getReferencedSteps: getReferencedSteps
+};
@@ -0,0 +1,139 @@
+var util = require('util');
+var _ = require('lodash');
+var CONSTANTS = require('./constants');
+
+var ERROR_CODES = CONSTANTS.ERROR_CODES;
+
+/**
+ *
+ * The base of all the errors published by the workflow module.
+ *
+ * Every error has a `code` (one of the ERROR_CODES), so that it can be told apart without parsing the message.
+ * The name, code and message are own properties, so the error keeps them when it is copied or serialised.
+ *
+ * @param {string} message
+ * @param {string} code      - One of the ERROR_CODES
+ * @param {object} [details] - Any other properties of the error (e.g. `violations`).
+ * @constructor
+ */
+function WorkflowError(message, code, details) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  this.name = 'WorkflowError';
+  this.code = code;
+  this.message = message;
+  _.extend(this, details);
+}
+
+util.inherits(WorkflowError, Error);
+
+/**
+ *
+ * Serialising the error, e.g. for a REST response. The stack trace is not included.
+ *
+ * @returns {object}
+ */
+WorkflowError.prototype.toJSON = function toJSON() {
+  return _.omit(_.extend({}, this), 'stack');
+};
+
+/**
+ *
+ * Error for a workflow or a workorder that does not exist.
+ *
+ * @param {string} message
+ * @param {string} [code] - WORKFLOW_NOT_FOUND (default) or WORKORDER_NOT_FOUND
+ * @constructor
+ */
+function NotFoundError(message, code) {
+  WorkflowError.call(this, message, code || ERROR_CODES.WORKFLOW_NOT_FOUND);
+  this.name = 'NotFoundError';
+}
+
+util.inherits(NotFoundError, WorkflowError);
+
+/**
+ *
+ * Error for a step topic used for a workorder whose workflow has not begun, so there is no result yet.
+ *
+ * @param {string} message
+ * @constructor
+ */
+function ResultNotStartedError(message) {
+  WorkflowError.call(this, message, ERROR_CODES.RESULT_NOT_STARTED);
+  this.name = 'ResultNotStartedError';
+}
+
+util.inherits(ResultNotStartedError, WorkflowError);
+
+/**
+ *
+ * Error for a step that does not exist, or can't be used for the topic (e.g. a step that has not been reached yet).
+ *
+ * @param {string} message
+ * @constructor
+ */
+function InvalidStepError(message) {
+  WorkflowError.call(this, message, ERROR_CODES.INVALID_STEP);
+  this.name = 'InvalidStepError';
+}
+
+util.inherits(InvalidStepError, WorkflowError);
+
+/**
+ *
+ * Error for data that is not valid, e.g. a step submission that does not match the schema of the step.
+ *
+ * @param {string} message
+ * @param {Array}  [violations] - The violations that make the data invalid.
+ * @constructor
+ */
+function ValidationError(message, violations) {
+  WorkflowError.call(this, message, ERROR_CODES.VALIDATION_FAILED, {violations: violations || []});
+  this.name = 'ValidationError';
+}
+
+util.inherits(ValidationError, WorkflowError);
+
+/**
+ *
+ * Error for a topic that was not answered in time.
+ *
+ * @param {string} message
+ * @constructor
+ */
+function TimeoutError(message) {
+  WorkflowError.call(this, message, ERROR_CODES.TIMEOUT);
+  this.name = 'TimeoutError';
+}
+
+util.inherits(TimeoutError, WorkflowError);
+
+/**
+ *
+ * Error for a write that was based on a stale copy of the data.
+ *
+ * The data was changed by someone else since it was read. It should be read again and the changes re-applied.
+ *
+ * @param {string} message
+ * @constructor
+ */
+function ConflictError(message) {
+  WorkflowError.call(this, message, ERROR_CODES.CONFLICT);
+  this.name = 'ConflictError';
+}
+
+util.inherits(ConflictError, WorkflowError);
+
+module.exports = {
+  ERROR_CODES: ERROR_CODES,
+  WorkflowError: WorkflowError,
+  NotFoundError: NotFoundError,
+  ResultNotStartedError: ResultNotStartedError,
+  InvalidStepError: InvalidStepError,
+  ValidationError: ValidationError,
+  TimeoutError: TimeoutError,
+  ConflictError: ConflictError
+};
@@ -0,0 +1,129 @@
+var _ = require('lodash');
+var CONSTANTS = require('./constants');
+
+//The options that can be passed when listing entities.
+var LIST_OPTIONS = ["filter", "sort", "page", "pageSize"];
+
+/**
+ *
+ * Converting a list option to a positive whole number. Options read from a query string are strings.
+ *
+ * @param {number|string} value
+ * @returns {number|undefined} - The number, or undefined if the value is not a positive whole number.
+ */
+function toPositiveInteger(value) {
+  var number = _.toNumber(value);
+
+  return _.isInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ *
+ * Checking if a list is requested one page at a time.
+ *
+ * @param {object} [options]
+ * @returns {boolean}
+ */
+function isPaged(options) {
+  return Boolean(options) && (!_.isUndefined(options.page) || !_.isUndefined(options.pageSize));
+}
+
+/**
+ *
+ * Checking if any list option is given. An empty filter is not an option, e.g. a REST list with no query.
+ *
+ * @param {object} [options]
+ * @returns {boolean}
+ */
+function hasListOptions(options) {
+  return Boolean(options) && _.some(LIST_OPTIONS, function(option) {
+    return option === "filter" ? !_.isEmpty(options.filter) : !_.isUndefined(options[option]);
+  });
+}
+
+/**
+ *
+ * Sorting a list of entities.
+ *
+ * The sort is a field name, or a list of field names, used in order. A field name starting with "-" is sorted in
+ * descending order (e.g. "-version"). Field names can also be separated by commas (e.g. "name,-version").
+ *
+ * @param {Array}        items
+ * @param {string|Array} [sort]
+ * @returns {Array}
+ */
+function sortItems(items, sort) {
+  var fields = _.compact(_.isString(sort) ? sort.split(",") : sort);
+
+  if (fields.length === 0) {
+    return items;
+  }
+
+  return _.orderBy(items, _.map(fields, function(field) {
+    return _.trimStart(field, "-");
+  }), _.map(fields, function(field) {
+    return _.startsWith(field, "-") ? "desc" : "asc";
+  }));
+}
+
+/**
+ *
+ * Applying the filter, sort and page options to a list of entities.
+ *
+ *  {
+ *    filter: {name: "Inspection"},
+ *    sort: "-version",
+ *    page: 2,
+ *    pageSize: 20
+ *  }
+ *
+ * @param {Array}         items
+ * @param {object}        [options]
+ * @param {object}        [options.filter]   - Only the entities that have the values of the filter.
+ * @param {string|Array}  [options.sort]     - The fields to sort by.
+ * @param {number}        [options.page]     - The page to get, starting at 1.
+ * @param {number}        [options.pageSize] - The number of entities on a page.
+ * @returns {Array|{items: Array, total: number, page: number, pageSize: number}} - The entities if no option is given.
+ * Otherwise the matching entities with their total, or a single page of them with the page and page size if a page
+ * was requested.
+ */
+function applyListOptions(items, options) {
+  options = options || {};
+
+  if (options.filter) {
+    items = _.filter(items, function(item) {
+      return _.isMatch(item, options.filter);
+    });
+  }
+
+  items = sortItems(items, options.sort);
+
+  if (!hasListOptions(options)) {
+    return items;
+  }
+
+  if (!isPaged(options)) {
+    return {
+      items: items,
+      total: items.length
+    };
+  }
+
+  var page = toPositiveInteger(options.page) || 1;
+  var pageSize = toPositiveInteger(options.pageSize) || CONSTANTS.LIST_PAGE_SIZE;
+
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    total: items.length,
+    page: page,
+    pageSize: pageSize
+  };
+}
+
+module.exports = {
+  LIST_OPTIONS: LIST_OPTIONS,
+  isPaged: isPaged,
+  hasListOptions: hasListOptions,
+  sortItems: sortItems,
+  applyListOptions: applyListOptions
+};
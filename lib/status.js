@@ -0,0 +1,135 @@
+var _ = require('lodash');
+var CONSTANTS = require('./constants');
+
+var RESULT_STATUS = CONSTANTS.RESULT_STATUS;
+
+//The English labels of the result statuses. These were stored in results before the status codes.
+var DEFAULT_LABELS = {
+  en: {
+    new: CONSTANTS.STATUS.NEW_DISPLAY,
+    unassigned: CONSTANTS.STATUS.UNASSIGNED_DISPLAY,
+    in_progress: CONSTANTS.STATUS.PENDING_DISPLAY,
+    complete: CONSTANTS.STATUS.COMPLETE_DISPLAY
+  }
+};
+
+//The status codes of the display labels that were stored in results, keyed by the lower case label.
+var LEGACY_STATUS_CODES = _.invert(_.mapValues(DEFAULT_LABELS.en, _.toLower));
+
+/**
+ *
+ * Getting the status code of a result status.
+ *
+ * Results stored before the status codes were introduced have a display label (e.g. "In Progress") as their status.
+ *
+ * @param {string} status - A status code or a display label.
+ * @returns {string} - The status code, or the status as it is if it is not a known label.
+ */
+function toStatusCode(status) {
+  if (_.includes(RESULT_STATUS, status)) {
+    return status;
+  }
+
+  return LEGACY_STATUS_CODES[_.toLower(_.trim(status))] || status;
+}
+
+/**
+ *
+ * Converting the status of a result that contains a display label to its status code.
+ *
+ * @param {object} result - The result to convert. It is changed in place.
+ * @returns {boolean} - true if the status was converted, so that the result can be stored again.
+ */
+function migrateResult(result) {
+  if (!result || !result.status) {
+    return false;
+  }
+
+  var statusCode = toStatusCode(result.status);
+
+  if (statusCode === result.status) {
+    return false;
+  }
+
+  result.status = statusCode;
+
+  return true;
+}
+
+/**
+ *
+ * Converting the statuses of a list of results that contain display labels to status codes.
+ *
+ * @param {Array} results - The results to convert. They are changed in place.
+ * @returns {Array} - The results that were converted and need to be stored again.
+ */
+function migrateResults(results) {
+  return _.filter(results, migrateResult);
+}
+
+/**
+ *
+ * Resolving the display labels of result statuses, per locale.
+ *
+ *  {
+ *    fr: {new: "Nouveau", unassigned: "Non assigné", in_progress: "En cours", complete: "Terminé"}
+ *  }
+ *
+ * A label that is missing for a locale (e.g. "fr-CA") falls back to its language ("fr"), then to the default locale.
+ *
+ * @param {object} [labels]        - The labels of each status code, keyed by locale. They are added to the English labels.
+ * @param {string} [defaultLocale] - The locale used if no locale is given (default "en").
+ * @constructor
+ */
+function StatusLabelResolver(labels, defaultLocale) {
+  var self = this;
+
+  this.defaultLocale = defaultLocale || CONSTANTS.DEFAULT_LOCALE;
+  this.labels = _.cloneDeep(DEFAULT_LABELS);
+
+  _.each(labels, function(localeLabels, locale) {
+    self.register(locale, localeLabels);
+  });
+}
+
+/**
+ *
+ * Adding the labels of a locale.
+ *
+ * @param {string} locale
+ * @param {object} labels - The label of each status code.
+ * @returns {StatusLabelResolver}
+ */
+StatusLabelResolver.prototype.register = function register(locale, labels) {
+  this.labels[locale] = _.extend({}, this.labels[locale], labels);
+
+  return this;
+};
+
+/**
+ *
+ * Getting the display label of a result status.
+ *
+ * @param {string} status   - A status code. Display labels stored in older results are converted first.
+ * @param {string} [locale] - The locale of the label. Defaults to the default locale.
+ * @returns {string} - The label, or the status itself if there is no label for it.
+ */
+StatusLabelResolver.prototype.getLabel = function getLabel(status, locale) {
+  var statusCode = toStatusCode(status);
+  var locales = _.uniq(_.compact([locale, locale && locale.split(/[-_]/)[0], this.defaultLocale, CONSTANTS.DEFAULT_LOCALE]));
+  var labels = this.labels;
+
+  var labelLocale = _.find(locales, function(candidateLocale) {
+    return labels[candidateLocale] && labels[candidateLocale][statusCode];
+  });
+
+  return labelLocale ? labels[labelLocale][statusCode] : status;
+};
+
+module.exports = {
+  RESULT_STATUS: RESULT_STATUS,
+  toStatusCode: toStatusCode,
+  migrateResult: migrateResult,
+  migrateResults: migrateResults,
+  StatusLabelResolver: StatusLabelResolver
+};
@@ -0,0 +1,35 @@
+var _ = require('lodash');
+var CONSTANTS = require('../constants');
+
+/**
+ *
+ * A step that is completed by approving the work done so far.
+ *
+ * A rejection is stored, but the step is not complete until it is approved.
+ *
+ *  {approved: true, comment: "All good"}
+ */
+module.exports = {
+  validate: function(submission) {
+    if (!_.isPlainObject(submission) || !_.isBoolean(submission.approved)) {
+      return [{field: "approved", code: CONSTANTS.VIOLATIONS.REQUIRED, message: "An approval step submission must be approved or rejected"}];
+    }
+
+    return [];
+  },
+
+  isComplete: function(stepResult) {
+    return Boolean(stepResult) && stepResult.status === CONSTANTS.STATUS.COMPLETE && Boolean(stepResult.submission) && stepResult.submission.approved === true;
+  },
+
+  summary: function(stepResult) {
+    var submission = stepResult.submission || {};
+
+    return {
+      status: stepResult.status,
+      approved: submission.approved,
+      comment: submission.comment,
+      approver: stepResult.submitter
+    };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+var _ = require('lodash');
+var CONSTANTS = require('../constants');
+
+/**
+ *
+ * A step that is completed by checking a list of items.
+ *
+ * The step is not complete until all the required items are checked. Items are required unless `required` is false.
+ *
+ *  {code: "safety", name: "Safety Checks", type: "checklist", items: [{id: "gloves", label: "Gloves worn"}, {id: "mask", label: "Mask worn", required: false}]}
+ *  {checked: ["gloves"]}
+ */
+module.exports = {
+  validateStep: function(step) {
+    if (!_.isArray(step.items) || step.items.length === 0) {
+      return [{field: "items", code: CONSTANTS.VIOLATIONS.REQUIRED, message: "A checklist step must have a list of items"}];
+    }
+
+    return [];
+  },
+
+  validate: function(submission, step) {
+    if (!_.isPlainObject(submission) || !_.isArray(submission.checked)) {
+      return [{field: "checked", code: CONSTANTS.VIOLATIONS.REQUIRED, message: "A checklist step submission must have a list of checked items"}];
+    }
+
+    return _.map(_.difference(submission.checked, _.map(step.items, 'id')), function(itemId) {
+      return {field: "checked", code: CONSTANTS.VIOLATIONS.INVALID_VALUE, message: "The item " + itemId + " is not part of the checklist"};
+    });
+  },
+
+  isComplete: function(stepResult, step) {
+    if (!stepResult || stepResult.status !== CONSTANTS.STATUS.COMPLETE) {
+      return false;
+    }
+
+    var checked = stepResult.submission && stepResult.submission.checked;
+
+    return _.every(step.items, function(item) {
+      return item.required === false || _.includes(checked, item.id);
+    });
+  },
+
+  summary: function(stepResult, step) {
+    //Drafts are saved without validation, so the list of checked items may be missing.
+    var checked = stepResult.submission && _.isArray(stepResult.submission.checked) ? stepResult.submission.checked : [];
+
+    return {
+      status: stepResult.status,
+      total: step.items.length,
+      checkedCount: checked.length,
+      items: _.map(step.items, function(item) {
+        return _.extend({checked: _.includes(checked, item.id)}, item);
+      })
+    };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,39 @@
+var _ = require('lodash');
+var CONSTANTS = require('../constants');
+
+/**
+ *
+ * A step that is completed by submitting a form.
+ *
+ * The step definition refers to the form with `formId` and the submission refers to the form submission.
+ *
+ *  {code: "identification", name: "Identification", type: "form", formId: "56c1fce7c0a909d74e823317"}
+ *  {submissionId: "58da2b8d5a18a9c6ea9b0e4c"}
+ */
+module.exports = {
+  validateStep: function(step) {
+    if (!step.formId) {
+      return [{field: "formId", code: CONSTANTS.VIOLATIONS.REQUIRED, message: "A form step must have a formId"}];
+    }
+
+    return [];
+  },
+
+  validate: function(submission) {
+    if (!_.isPlainObject(submission) || !(submission.submissionId || submission.submissionLocalId)) {
+      return [{field: "submissionId", code: CONSTANTS.VIOLATIONS.REQUIRED, message: "A form step submission must refer to a form submission"}];
+    }
+
+    return [];
+  },
+
+  summary: function(stepResult, step) {
+    var submission = stepResult.submission || {};
+
+    return {
+      status: stepResult.status,
+      formId: step.formId,
+      submissionId: submission.submissionId || submission.submissionLocalId
+    };
+  }
+};
\ No newline at end of file
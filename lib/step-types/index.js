@@ -0,0 +1,82 @@
+var _ = require('lodash');
+var CONSTANTS = require('../constants');
+
+var builtInStepTypes = {};
+builtInStepTypes[CONSTANTS.STEP_TYPES.STATIC] = require('./static');
+builtInStepTypes[CONSTANTS.STEP_TYPES.FORM] = require('./form');
+builtInStepTypes[CONSTANTS.STEP_TYPES.SIGNATURE] = require('./signature');
+builtInStepTypes[CONSTANTS.STEP_TYPES.APPROVAL] = require('./approval');
+builtInStepTypes[CONSTANTS.STEP_TYPES.CHECKLIST] = require('./checklist');
+
+/**
+ *
+ * A registry of the step types that can be used in a workflow.
+ *
+ * A step type can define:
+ *
+ * - validateStep(step)                 - Validating the step definition. Returns a list of violations.
+ * - validate(submission, step)         - Validating a submission for the step. Returns a list of field violations.
+ * - isComplete(stepResult, step)       - Checking if a step result completes the step.
+ * - summary(stepResult, step)          - Building the data to render a summary of a step result.
+ *                                        Drafts are summarised too, so the submission may be partial or missing.
+ *
+ * Any function that is not defined behaves as the `static` step type.
+ *
+ * @param {object} [stepTypes] - Additional step types to register, keyed by type name.
+ * @constructor
+ */
+function StepTypeRegistry(stepTypes) {
+  var self = this;
+  this.stepTypes = {};
+
+  _.each(_.extend({}, builtInStepTypes, stepTypes), function(stepType, name) {
+    self.register(name, stepType);
+  });
+}
+
+/**
+ *
+ * Registering a step type. An existing step type with the same name is replaced.
+ *
+ * @param {string} name
+ * @param {object} stepType
+ * @returns {StepTypeRegistry}
+ */
+StepTypeRegistry.prototype.register = function register(name, stepType) {
+  this.stepTypes[name] = _.defaults({name: name}, stepType, builtInStepTypes[CONSTANTS.STEP_TYPES.STATIC]);
+  return this;
+};
+
+/**
+ *
+ * Checking if a step type is registered.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+StepTypeRegistry.prototype.has = function has(name) {
+  return _.has(this.stepTypes, name);
+};
+
+/**
+ *
+ * Getting the step type of a step definition. Steps with no type are `static` steps.
+ *
+ * @param {object} step
+ * @returns {object|undefined} - The step type, or undefined if the type is not registered.
+ */
+StepTypeRegistry.prototype.getStepType = function getStepType(step) {
+  return this.stepTypes[step.type || CONSTANTS.STEP_TYPES.STATIC];
+};
+
+/**
+ *
+ * Listing the names of all the registered step types.
+ *
+ * @returns {Array}
+ */
+StepTypeRegistry.prototype.list = function list() {
+  return _.keys(this.stepTypes);
+};
+
+module.exports = StepTypeRegistry;
\ No newline at end of file
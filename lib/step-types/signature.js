@@ -0,0 +1,29 @@
+var _ = require('lodash');
+var CONSTANTS = require('../constants');
+
+/**
+ *
+ * A step that is completed by signing.
+ *
+ *  {signature: "data:image/png;base64,...", name: "Joe Bloggs"}
+ */
+module.exports = {
+  validate: function(submission) {
+    if (!_.isPlainObject(submission) || !_.isString(submission.signature) || submission.signature.length === 0) {
+      return [{field: "signature", code: CONSTANTS.VIOLATIONS.REQUIRED, message: "A signature step submission must have a signature"}];
+    }
+
+    return [];
+  },
+
+  summary: function(stepResult) {
+    var submission = stepResult.submission || {};
+
+    return {
+      status: stepResult.status,
+      signature: submission.signature,
+      signedBy: submission.name,
+      signedAt: stepResult.timestamp
+    };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+var CONSTANTS = require('../constants');
+
+/**
+ *
+ * The default step type.
+ *
+ * Any submission is accepted and the step is complete once it has been submitted.
+ */
+module.exports = {
+
+  /**
+   * Validating a submission for a step of this type.
+   *
+   * @param {*}      submission
+   * @param {object} step
+   * @returns {Array} - A list of field violations. The submission is valid if the list is empty.
+   */
+  validate: function() {
+    return [];
+  },
+
+  /**
+   * Checking if a step result completes the step.
+   *
+   * @param {object} stepResult
+   * @param {object} step
+   * @returns {boolean}
+   */
+  isComplete: function(stepResult) {
+    return Boolean(stepResult) && stepResult.status === CONSTANTS.STATUS.COMPLETE;
+  },
+
+  /**
+   * Building the data to render a summary of a step result.
+   *
+   * @param {object} stepResult
+   * @param {object} step
+   * @returns {object}
+   */
+  summary: function(stepResult) {
+    return {
+      status: stepResult.status,
+      submission: stepResult.submission
+    };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+var q = require('q');
+var CONSTANTS = require('./constants');
+var TimeoutError = require('./errors').TimeoutError;
+
+/**
+ *
+ * Waiting for the done or error topic of a request.
+ *
+ * The promise is resolved with the data published to the done topic, rejected with the error published to the
+ * error topic, or rejected with a TimeoutError. Once it is settled, the subscriptions and the timer are removed.
+ * The subscriptions are made before the request is published, so that a response published straight away is received.
+ *
+ * @param {MediatorTopicUtility} topicGenerator - The topics the request is published to.
+ * @param {string} topicName  - The name of the requested topic (e.g. "read")
+ * @param {string} [topicUid] - The unique identifier of the request, if the done and error topics are suffixed with one.
+ * @param {number} timeout    - The time in milliseconds to wait for a response.
+ * @returns {Promise}
+ */
+function waitForResponse(topicGenerator, topicName, topicUid, timeout) {
+  var mediator = topicGenerator.mediator;
+  var doneTopic = topicGenerator.getTopic(topicName, CONSTANTS.DONE_PREFIX, topicUid);
+  var errorTopic = topicGenerator.getTopic(topicName, CONSTANTS.ERROR_PREFIX, topicUid);
+  var deferred = q.defer();
+
+  function cleanUp() {
+    clearTimeout(timer);
+    mediator.remove(doneTopic, doneSubscription.id);
+    mediator.remove(errorTopic, errorSubscription.id);
+  }
+
+  var doneSubscription = mediator.subscribe(doneTopic, function(data) {
+    cleanUp();
+    deferred.resolve(data);
+  });
+
+  var errorSubscription = mediator.subscribe(errorTopic, function(error) {
+    cleanUp();
+    deferred.reject(error);
+  });
+
+  var timer = setTimeout(function() {
+    cleanUp();
+    deferred.reject(new TimeoutError("Timeout For Topic: " + doneTopic));
+  }, timeout);
+
+  return deferred.promise;
+}
+
+module.exports = {
+  waitForResponse: waitForResponse
+};
@@ -0,0 +1,309 @@
+var _ = require('lodash');
+var CONSTANTS = require('./constants');
+var stepConditions = require('./engine/stepConditions');
+var StepTypeRegistry = require('./step-types');
+
+var VIOLATIONS = CONSTANTS.VIOLATIONS;
+
+//The built in step types, used when no registry is passed to the validator.
+var defaultStepTypes = new StepTypeRegistry();
+
+/**
+ *
+ * Creating a single violation entry.
+ *
+ * @param {string} path    - The path to the invalid value in the workflow (e.g. "steps[1].code")
+ * @param {string} code    - One of the VIOLATIONS codes
+ * @param {string} message - A human readable description of the violation
+ * @returns {{path: string, code: string, message: string}}
+ */
+function violation(path, code, message) {
+  return {
+    path: path,
+    code: code,
+    message: message
+  };
+}
+
+/**
+ *
+ * Creating a single field violation entry for a step submission.
+ *
+ * @param {string} field   - The submission field that is invalid
+ * @param {string} code    - One of the VIOLATIONS codes
+ * @param {string} message - A human readable description of the violation
+ * @returns {{field: string, code: string, message: string}}
+ */
+function fieldViolation(field, code, message) {
+  return {
+    field: field,
+    code: code,
+    message: message
+  };
+}
+
+function isNonEmptyString(value) {
+  return _.isString(value) && value.trim().length > 0;
+}
+
+/**
+ *
+ * Validating the condition of a step.
+ *
+ * A condition can only refer to steps that come before the step it belongs to.
+ *
+ * @param {object} condition
+ * @param {string} path
+ * @param {Array}  earlierStepCodes - The codes of the steps before the step being validated.
+ * @returns {Array}
+ */
+function validateCondition(condition, path, earlierStepCodes) {
+  if (!_.isPlainObject(condition)) {
+    return [violation(path, VIOLATIONS.INVALID_TYPE, "A step condition must be an object")];
+  }
+
+  return _.map(_.difference(stepConditions.getReferencedSteps(condition), earlierStepCodes), function(stepCode) {
+    return violation(path, VIOLATIONS.INVALID_CONDITION, "The step condition refers to the step " + stepCode + " which is not an earlier step in the workflow");
+  });
+}
+
+/**
+ *
+ * Validating the type of a step and the step definition required by that type.
+ *
+ * @param {object}           step
+ * @param {string}           path
+ * @param {StepTypeRegistry} stepTypes
+ * @returns {Array}
+ */
+function validateStepType(step, path, stepTypes) {
+  var stepType = stepTypes.getStepType(step);
+
+  if (!stepType) {
+    return [violation(path + ".type", VIOLATIONS.UNKNOWN_STEP_TYPE, "The step type " + step.type + " is not registered")];
+  }
+
+  if (!stepType.validateStep) {
+    return [];
+  }
+
+  return _.map(stepType.validateStep(step), function(stepViolation) {
+    return violation(path + "." + stepViolation.field, stepViolation.code, stepViolation.message);
+  });
+}
+
+/**
+ *
+ * Validating the submission schema of a step.
+ *
+ * @param {object} schema
+ * @param {string} path
+ * @returns {Array}
+ */
+function validateSchema(schema, path) {
+  if (!_.isPlainObject(schema)) {
+    return [violation(path, VIOLATIONS.INVALID_TYPE, "A step schema must be an object of field definitions")];
+  }
+
+  return _.flatMap(_.keys(schema), function(field) {
+    var fieldPath = path + "." + field;
+    var fieldSchema = schema[field];
+
+    if (!_.isPlainObject(fieldSchema)) {
+      return [violation(fieldPath, VIOLATIONS.INVALID_SCHEMA, "The definition of the field " + field + " must be an object")];
+    }
+
+    var schemaViolations = [];
+
+    if (!_.isUndefined(fieldSchema.type) && !_.includes(CONSTANTS.SCHEMA_FIELD_TYPES, fieldSchema.type)) {
+      schemaViolations.push(violation(fieldPath + ".type", VIOLATIONS.INVALID_SCHEMA, "The type of the field " + field + " must be one of " + CONSTANTS.SCHEMA_FIELD_TYPES.join(", ")));
+    }
+
+    if (!_.isUndefined(fieldSchema.enum) && !_.isArray(fieldSchema.enum)) {
+      schemaViolations.push(violation(fieldPath + ".enum", VIOLATIONS.INVALID_SCHEMA, "The allowed values of the field " + field + " must be an array"));
+    }
+
+    _.each(['min', 'max'], function(limit) {
+      if (!_.isUndefined(fieldSchema[limit]) && !_.isNumber(fieldSchema[limit])) {
+        schemaViolations.push(violation(fieldPath + "." + limit, VIOLATIONS.INVALID_SCHEMA, "The " + limit + " of the field " + field + " must be a number"));
+      }
+    });
+
+    return schemaViolations;
+  });
+}
+
+/**
+ *
+ * Getting the type of a submitted value, as used in a step schema.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function getValueType(value) {
+  if (_.isArray(value)) {
+    return "array";
+  }
+
+  return _.isPlainObject(value) ? "object" : typeof value;
+}
+
+/**
+ *
+ * Validating a single submitted value against its field definition.
+ *
+ * For numbers, `min` and `max` limit the value. For strings and arrays, they limit the length.
+ *
+ * @param {*}      value
+ * @param {string} field
+ * @param {object} fieldSchema
+ * @returns {Array}
+ */
+function validateField(value, field, fieldSchema) {
+  if (_.isUndefined(value) || value === null || value === "") {
+    return fieldSchema.required ? [fieldViolation(field, VIOLATIONS.REQUIRED, "The field " + field + " is required")] : [];
+  }
+
+  if (fieldSchema.type && getValueType(value) !== fieldSchema.type) {
+    return [fieldViolation(field, VIOLATIONS.INVALID_TYPE, "The field " + field + " must be of type " + fieldSchema.type)];
+  }
+
+  if (fieldSchema.enum && !_.some(fieldSchema.enum, _.partial(_.isEqual, value))) {
+    return [fieldViolation(field, VIOLATIONS.INVALID_VALUE, "The field " + field + " must be one of " + fieldSchema.enum.join(", "))];
+  }
+
+  var size = _.isNumber(value) ? value : _.size(value);
+
+  if (_.isNumber(fieldSchema.min) && size < fieldSchema.min) {
+    return [fieldViolation(field, VIOLATIONS.OUT_OF_RANGE, "The field " + field + " must be at least " + fieldSchema.min + (_.isNumber(value) ? "" : " long"))];
+  }
+
+  if (_.isNumber(fieldSchema.max) && size > fieldSchema.max) {
+    return [fieldViolation(field, VIOLATIONS.OUT_OF_RANGE, "The field " + field + " must be at most " + fieldSchema.max + (_.isNumber(value) ? "" : " long"))];
+  }
+
+  return [];
+}
+
+/**
+ *
+ * Validating a step submission against the schema declared by the step.
+ *
+ *  schema: {
+ *    hazard: {type: "boolean", required: true},
+ *    severity: {type: "string", enum: ["low", "medium", "high"]},
+ *    people: {type: "number", min: 0, max: 50}
+ *  }
+ *
+ * @param {object} schema     - The schema of the step. If there is no schema, any submission is valid.
+ * @param {*}      submission
+ * @returns {Array} - A list of field violations. The submission is valid if the list is empty.
+ */
+function validateSubmission(schema, submission) {
+  if (!schema) {
+    return [];
+  }
+
+  if (!_.isPlainObject(submission)) {
+    return [fieldViolation("", VIOLATIONS.INVALID_TYPE, "The submission must be an object")];
+  }
+
+  return _.flatMap(_.keys(schema), function(field) {
+    return validateField(submission[field], field, schema[field]);
+  });
+}
+
+/**
+ *
+ * Validating a single step definition.
+ *
+ * @param {object}           step
+ * @param {number}           index
+ * @param {Array}            earlierStepCodes - The codes of the steps before this step.
+ * @param {StepTypeRegistry} stepTypes
+ * @returns {Array}
+ */
+function validateStep(step, index, earlierStepCodes, stepTypes) {
+  var path = "steps[" + index + "]";
+  var violations = [];
+
+  if (!_.isPlainObject(step)) {
+    return [violation(path, VIOLATIONS.INVALID_TYPE, "A step must be an object")];
+  }
+
+  if (!isNonEmptyString(step.code)) {
+    violations.push(violation(path + ".code", VIOLATIONS.REQUIRED, "A step must have a code"));
+  } else if (_.includes(earlierStepCodes, step.code)) {
+    violations.push(violation(path + ".code", VIOLATIONS.DUPLICATE, "The step code " + step.code + " is used by more than one step"));
+  }
+
+  if (!isNonEmptyString(step.name)) {
+    violations.push(violation(path + ".name", VIOLATIONS.REQUIRED, "A step must have a name"));
+  }
+
+  if (!_.isUndefined(step.condition)) {
+    violations = violations.concat(validateCondition(step.condition, path + ".condition", earlierStepCodes));
+  }
+
+  if (!_.isUndefined(step.schema)) {
+    violations = violations.concat(validateSchema(step.schema, path + ".schema"));
+  }
+
+  violations = violations.concat(validateStepType(step, path, stepTypes));
+
+  return violations;
+}
+
+/**
+ *
+ * Validating the structure of a workflow definition.
+ *
+ * This can be used to check a workflow before it is created or updated.
+ *
+ * @param {object}  workflow           - The workflow definition to validate.
+ * @param {object}  [options]
+ * @param {boolean} [options.requireId] - The workflow must have an ID (e.g. when updating an existing workflow).
+ * @param {StepTypeRegistry} [options.stepTypes] - The step types that can be used. Defaults to the built in step types.
+ * @returns {Array} - A list of violations. The workflow is valid if the list is empty.
+ */
+function validateWorkflow(workflow, options) {
+  options = options || {};
+  var stepTypes = options.stepTypes || defaultStepTypes;
+
+  if (!_.isPlainObject(workflow)) {
+    return [violation("", VIOLATIONS.INVALID_TYPE, "A workflow must be an object")];
+  }
+
+  var violations = [];
+
+  if (options.requireId && !workflow.id) {
+    violations.push(violation("id", VIOLATIONS.REQUIRED, "A workflow must have an ID"));
+  }
+
+  if (!_.isArray(workflow.steps)) {
+    violations.push(violation("steps", VIOLATIONS.REQUIRED, "A workflow must have an array of steps"));
+    return violations;
+  }
+
+  if (workflow.steps.length === 0) {
+    violations.push(violation("steps", VIOLATIONS.REQUIRED, "A workflow must have at least one step"));
+  }
+
+  var stepCodes = [];
+
+  _.each(workflow.steps, function(step, index) {
+    violations = violations.concat(validateStep(step, index, stepCodes, stepTypes));
+
+    if (_.isPlainObject(step) && isNonEmptyString(step.code)) {
+      stepCodes.push(step.code);
+    }
+  });
+
+  return violations;
+}
+
+module.exports = {
+  VIOLATIONS: VIOLATIONS,
+  validateWorkflow: validateWorkflow,
+  validateSubmission: validateSubmission
+};
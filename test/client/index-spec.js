@@ -0,0 +1,103 @@
+var Mediator = require("fh-wfm-mediator/lib/mediator").Mediator;
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var workflowModule = require('../../lib/client/index');
+
+describe("Workflow Module Instances", function() {
+
+  var listTopic = "wfm:workflows:list";
+  var doneListTopic = "done:wfm:workflows:list";
+
+  var syncListTopic = "wfm:sync:workflows:list";
+  var doneSyncListTopic = "done:wfm:sync:workflows:list";
+
+  function mockSyncList(mediator, workflows) {
+    var syncList = sinon.spy(function() {
+      mediator.publish(doneSyncListTopic, workflows);
+    });
+
+    mediator.subscribe(syncListTopic, syncList);
+
+    return syncList;
+  }
+
+  it("should create independent instances for each mediator and config", function() {
+    var firstMediator = new Mediator();
+    var secondMediator = new Mediator();
+
+    var firstInstance = workflowModule(firstMediator, {topicTimeout: 500});
+    var secondInstance = workflowModule(secondMediator, {cache: true});
+
+    expect(firstInstance.workflowClient).not.to.equal(secondInstance.workflowClient);
+    expect(firstInstance.mediator).to.equal(firstMediator);
+    expect(firstInstance.config).to.deep.equal({topicTimeout: 500});
+    expect(secondInstance.config).to.deep.equal({cache: true});
+
+    mockSyncList(firstMediator, [{id: "firstworkflow"}]);
+    mockSyncList(secondMediator, [{id: "secondworkflow"}]);
+
+    var firstDonePromise = firstMediator.promise(doneListTopic);
+    var secondDonePromise = secondMediator.promise(doneListTopic);
+
+    firstMediator.publish(listTopic);
+    secondMediator.publish(listTopic);
+
+    return firstDonePromise.then(function(workflows) {
+      expect(workflows).to.deep.equal([{id: "firstworkflow"}]);
+
+      return secondDonePromise;
+    }).then(function(workflows) {
+      expect(workflows).to.deep.equal([{id: "secondworkflow"}]);
+
+      firstInstance.tearDown();
+      secondInstance.tearDown();
+    });
+  });
+
+  it("should use the topic names passed in the config", function() {
+    var mediator = new Mediator();
+    var instance = workflowModule(mediator, {topicPrefix: "tenant", workflowEntityName: "checklists"});
+
+    var syncList = sinon.spy(function() {
+      mediator.publish("done:tenant:sync:checklists:list", [{id: "checklist"}]);
+    });
+
+    mediator.subscribe("tenant:sync:checklists:list", syncList);
+    mockSyncList(mediator, []);
+
+    var donePromise = mediator.promise("done:tenant:checklists:list");
+
+    //The default topics are not used by this instance.
+    mediator.publish(listTopic);
+    mediator.publish("tenant:checklists:list");
+
+    return donePromise.then(function(workflows) {
+      expect(workflows).to.deep.equal([{id: "checklist"}]);
+      expect(syncList.callCount).to.equal(1);
+      expect(instance.workflowStepSubscribers.getTopic("begin")).to.equal("tenant:checklists:step:begin");
+
+      instance.tearDown();
+    });
+  });
+
+  it("should remove all the subscribers when an instance is torn down", function() {
+    var mediator = new Mediator();
+    var instance = workflowModule(mediator, {cache: true});
+    var syncList = mockSyncList(mediator, []);
+
+    sinon.spy(mediator, 'remove');
+
+    instance.tearDown();
+
+    mediator.publish(listTopic);
+
+    expect(syncList.callCount).to.equal(0);
+
+    //The subscriptions keeping the cache up to date are removed too.
+    expect(mediator.remove.calledWith("done:wfm:sync:workflows:update")).to.equal(true);
+    expect(mediator.remove.calledWith("done:wfm:results:update")).to.equal(true);
+  });
+
+});
@@ -25,8 +25,12 @@ var readWorkorderDoneTopic = donePrefix + readWorkorderTopic;
 var readWorkflowTopic = "wfm:sync:workflows:read";
 var readWorkflowDoneTopic = donePrefix + readWorkflowTopic;
 
+var readProfileTopic = "wfm:users:read_profile";
+var readProfileDoneTopic = donePrefix + readProfileTopic;
+
 var createResultTopic = "wfm:results:create";
 var createResultDoneTopic = donePrefix + createResultTopic;
+var createResultErrorTopic = "error:" + createResultTopic;
 
 var workflowStepSubscribers = new MediatorTopicUtility(mediator);
 workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
@@ -40,8 +44,11 @@ describe("Beginning A Workflow For A Single Workorder", function() {
 
   var mockResult = fixtures.mockResult();
 
+  //The logged in user is not the assignee of the workorder.
+  var mockUser = {id: "otheruserid"};
+
   var newResult = {
-    status: "New",
+    status: "new",
     nextStepIndex: 0,
     workorderId: mockWorkorder.id,
     stepResults: {}
@@ -51,7 +58,7 @@ describe("Beginning A Workflow For A Single Workorder", function() {
     var results = [];
 
     if (includeResult) {
-      results.push(mockResult);
+      results.push(_.isObject(includeResult) ? includeResult : mockResult);
     }
 
     return results;
@@ -61,9 +68,9 @@ describe("Beginning A Workflow For A Single Workorder", function() {
 
   function createSubscribers(includeResult) {
     //Subscribing to the list results topic
-    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function() {
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
 
-      mediator.publish(listResultsDoneTopic, getMockResults(includeResult));
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, getMockResults(includeResult));
     });
 
     //Subscribing to the readWorkorder Topic
@@ -74,6 +81,10 @@ describe("Beginning A Workflow For A Single Workorder", function() {
       mediator.publish(readWorkorderDoneTopic + ":" + mockWorkorder.id, mockWorkorder);
     });
 
+    this.subscribers[readProfileTopic] = mediator.subscribe(readProfileTopic, function() {
+      mediator.publish(readProfileDoneTopic, mockUser);
+    });
+
     this.subscribers[createResultTopic] = mediator.subscribe(createResultTopic, function(parameters) {
 
       if (includeResult) {
@@ -111,6 +122,7 @@ describe("Beginning A Workflow For A Single Workorder", function() {
     _.bind(createSubscribers, this)(false);
 
     var beginDonePromise = mediator.promise(beginWorkflowDoneTopic);
+    var workflowBegunPromise = mediator.promise("wfm:workflows:events:workflow_begun");
 
     mediator.publish(beginWorkflowTopic, {
       workorderId: mockWorkorder.id
@@ -122,6 +134,35 @@ describe("Beginning A Workflow For A Single Workorder", function() {
       expect(stepSummary.nextStepIndex).to.equal(0);
       expect(stepSummary.step).to.deep.equal(mockWorkflow.steps[0]);
       expect(stepSummary.result).to.deep.equal(newResult);
+
+      return workflowBegunPromise;
+    }).then(function(event) {
+      expect(event.workorderId).to.equal(mockWorkorder.id);
+      expect(event.workflowId).to.equal(mockWorkflow.id);
+      expect(event.userId).to.equal(mockUser.id);
+      expect(event.stepCode).to.equal(null);
+    });
+  });
+
+  it("should publish an error if the result can't be created", function() {
+    _.bind(createSubscribers, this)(false);
+
+    var createError = new Error("Result storage failure");
+
+    mediator.remove(createResultTopic, this.subscribers[createResultTopic].id);
+    this.subscribers[createResultTopic] = mediator.subscribe(createResultTopic, function(parameters) {
+      mediator.publish(createResultErrorTopic + ":" + parameters.topicUid, createError);
+    });
+
+    var beginErrorPromise = mediator.promise("error:" + beginWorkflowTopic + ":callertopicuid");
+
+    mediator.publish(beginWorkflowTopic, {
+      workorderId: mockWorkorder.id,
+      topicUid: "callertopicuid"
+    });
+
+    return beginErrorPromise.then(function(error) {
+      expect(error).to.equal(createError);
     });
   });
 
@@ -143,4 +184,24 @@ describe("Beginning A Workflow For A Single Workorder", function() {
     });
   });
 
+  it("should return the draft saved for the next step", function() {
+    var draftResult = fixtures.mockResult();
+    draftResult.stepResults.mockstep2code.status = "pending";
+    draftResult.stepResults.mockstep2code.draft = true;
+
+    _.bind(createSubscribers, this)(draftResult);
+
+    var beginDonePromise = mediator.promise(beginWorkflowDoneTopic);
+
+    mediator.publish(beginWorkflowTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return beginDonePromise.then(function(stepSummary) {
+      expect(stepSummary.nextStepIndex).to.equal(1);
+      expect(stepSummary.step).to.deep.equal(mockWorkflow.steps[1]);
+      expect(stepSummary.draft).to.deep.equal(draftResult.stepResults.mockstep2code.submission);
+    });
+  });
+
 });
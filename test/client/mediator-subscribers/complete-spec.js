@@ -2,6 +2,7 @@ var mediator = require("fh-wfm-mediator/lib/mediator");
 var chai = require('chai');
 require('sinon-as-promised');
 var _ = require('lodash');
+var q = require('q');
 var CONSTANTS = require('../../../lib/constants');
 var WorkflowClient = require('../../../lib/client/workflow-client/index');
 var fixtures = require('../../fixtures/index');
@@ -65,11 +66,13 @@ describe("Completing A Workflow Step For A Single Workorder", function() {
 
   var workflowClient = new WorkflowClient(mediator);
 
-  function createSubscribers(includeResult, expectedResult) {
+  function createSubscribers(includeResult, expectedResult, workflow) {
+    workflow = workflow || mockWorkflow;
+
     //Subscribing to the list results topic
-    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function() {
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
 
-      mediator.publish(listResultsDoneTopic, getMockResults(includeResult));
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, getMockResults(includeResult));
     });
 
     this.subscribers[readProfileTopic] = mediator.subscribe(readProfileTopic, function() {
@@ -96,7 +99,7 @@ describe("Completing A Workflow Step For A Single Workorder", function() {
       expect(parameters.id).to.equal(mockWorkflow.id);
       expect(parameters.topicUid).to.equal(mockWorkflow.id);
 
-      mediator.publish(readWorkflowDoneTopic + ":" + mockWorkflow.id, mockWorkflow);
+      mediator.publish(readWorkflowDoneTopic + ":" + mockWorkflow.id, workflow);
     });
   }
 
@@ -125,6 +128,7 @@ describe("Completing A Workflow Step For A Single Workorder", function() {
     });
 
     return stepErrorPromise.then(function(error) {
+      expect(error.code).to.equal(CONSTANTS.ERROR_CODES.RESULT_NOT_STARTED);
       expect(error.message).to.contain("No result exists");
       expect(error.message).to.contain(mockWorkorder.id);
     });
@@ -144,8 +148,16 @@ describe("Completing A Workflow Step For A Single Workorder", function() {
       submitter: mockUser.id
     };
 
-    expectedResult.status = CONSTANTS.STATUS.PENDING_DISPLAY;
+    expectedResult.status = CONSTANTS.RESULT_STATUS.IN_PROGRESS;
     expectedResult.nextStepIndex = 1;
+    expectedResult.revision = 1;
+    expectedResult.history = [{
+      action: CONSTANTS.HISTORY_ACTIONS.COMPLETE,
+      stepCode: mockWorkflow.steps[0].code,
+      userId: mockUser.id,
+      previousSubmission: null,
+      submission: mockSubmission
+    }];
 
     _.bind(createSubscribers, this)(true, expectedResult);
 
@@ -172,8 +184,111 @@ describe("Completing A Workflow Step For A Single Workorder", function() {
 
       //Removing it for checking the expected result
       delete stepSummary.result.stepResults[mockWorkflow.steps[0].code].timestamp;
+
+      //The completion was recorded in the audit trail.
+      expect(stepSummary.result.history[0].timestamp).to.be.a('number');
+      delete stepSummary.result.history[0].timestamp;
+
       expect(stepSummary.result).to.deep.equal(expectedResult);
     });
   });
 
+  it("should broadcast the step completed and workflow completed events when the last step is completed", function() {
+    var startedResult = fixtures.mockResult();
+    startedResult.status = CONSTANTS.RESULT_STATUS.IN_PROGRESS;
+    startedResult.stepResults = {
+      mockstep1code: {status: CONSTANTS.STATUS.COMPLETE, submission: mockSubmission}
+    };
+
+    _.bind(createSubscribers, this)(true, fixtures.mockResult());
+
+    //The workflow has been begun and the first step completed.
+    mediator.remove(listResultsTopic, this.subscribers[listResultsTopic].id);
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, [startedResult]);
+    });
+
+    var stepCompletedPromise = mediator.promise("wfm:workflows:events:step_completed");
+    var workflowCompletedPromise = mediator.promise("wfm:workflows:events:workflow_completed");
+
+    mediator.publish(completeWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      submission: mockSubmission,
+      stepCode: mockWorkflow.steps[1].code,
+      topicUid: "callertopicuid"
+    });
+
+    return q.all([stepCompletedPromise, workflowCompletedPromise]).then(function(events) {
+      _.each(events, function(event) {
+        expect(event.timestamp).to.be.a('number');
+        delete event.timestamp;
+
+        expect(event).to.deep.equal({
+          workorderId: mockWorkorder.id,
+          workflowId: mockWorkflow.id,
+          workflowVersion: 1,
+          stepCode: mockWorkflow.steps[1].code,
+          userId: mockUser.id
+        });
+      });
+    });
+  });
+
+  it("should not broadcast the step completed event for a submission that does not complete the step", function() {
+    var approvalWorkflow = fixtures.mockWorkflow();
+    approvalWorkflow.steps[0].type = CONSTANTS.STEP_TYPES.APPROVAL;
+
+    _.bind(createSubscribers, this)(true, fixtures.mockResult(), approvalWorkflow);
+
+    var stepCompletedEvents = [];
+    this.subscribers["wfm:workflows:events:step_completed"] = mediator.subscribe("wfm:workflows:events:step_completed", function(event) {
+      stepCompletedEvents.push(event);
+    });
+
+    var stepDonePromise = mediator.promise(completeWorkflowStepDoneTopic);
+
+    mediator.publish(completeWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      submission: {approved: false, comment: "Not finished"},
+      stepCode: mockWorkflow.steps[0].code
+    });
+
+    return stepDonePromise.then(function() {
+      expect(stepCompletedEvents).to.deep.equal([]);
+    });
+  });
+
+  it("should publish the field violations if the submission does not match the step schema", function() {
+    var workflowWithSchema = fixtures.mockWorkflow();
+    workflowWithSchema.steps[0].schema = {
+      subKey1: {type: "string", enum: ["subVal1"]},
+      subKey2: {type: "number", min: 1},
+      subKey3: {type: "string", required: true}
+    };
+
+    _.bind(createSubscribers, this)(true, null, workflowWithSchema);
+
+    var stepErrorPromise = mediator.promise(completeWorkflowStepErrorTopic);
+
+    mediator.publish(completeWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      submission: mockSubmission,
+      stepCode: mockWorkflow.steps[0].code
+    });
+
+    return stepErrorPromise.then(function(error) {
+      expect(error.code).to.equal(CONSTANTS.ERROR_CODES.VALIDATION_FAILED);
+      expect(error.message).to.contain("Invalid submission");
+      expect(error.violations).to.deep.equal([{
+        field: "subKey2",
+        code: "invalid_type",
+        message: "The field subKey2 must be of type number"
+      }, {
+        field: "subKey3",
+        code: "required",
+        message: "The field subKey3 is required"
+      }]);
+    });
+  });
+
 });
@@ -11,7 +11,11 @@ var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
 describe("Workflow Create Mediator Topic", function() {
 
   var mockWorkflowToCreate = {
-    name: "This is a mock Work Order"
+    name: "This is a mock Work Order",
+    steps: [{
+      code: "mockstep1code",
+      name: "Mock Step 1"
+    }]
   };
 
   var expectedCreatedWorkflow =  _.extend({_localuid: "createdWorkflowLocalId"}, mockWorkflowToCreate);
@@ -76,6 +80,31 @@ describe("Workflow Create Mediator Topic", function() {
     });
   });
 
+  it('should publish the violations if the workflow is not valid', function() {
+    var errorPromise = mediator.promise(errorCreateTopic);
+
+    mediator.publish(createTopic, {
+      workflowToCreate: {
+        name: "This is a mock Work Order",
+        steps: [{code: "mockstep1code", name: "Mock Step 1"}, {code: "mockstep1code"}]
+      },
+      topicUid: topicUid
+    });
+
+    return errorPromise.then(function(error) {
+      expect(error.message).to.have.string("Invalid Data");
+      expect(error.violations).to.deep.equal([{
+        path: "steps[1].code",
+        code: "duplicate",
+        message: "The step code mockstep1code is used by more than one step"
+      }, {
+        path: "steps[1].name",
+        code: "required",
+        message: "A step must have a name"
+      }]);
+    });
+  });
+
   it('should handle an error from the sync create topic', function() {
     var expectedError = new Error("Error performing sync operation");
     this.subscribers[syncCreateTopic] = mediator.subscribe(syncCreateTopic, function(parameters) {
@@ -0,0 +1,90 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+require('sinon-as-promised');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+var fixtures = require('../../fixtures/index');
+
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+
+var donePrefix = "done:";
+
+var currentWorkflowStepTopic = "wfm:workflows:step:current";
+var currentWorkflowStepDoneTopic = donePrefix + currentWorkflowStepTopic;
+
+var updateResultTopic = "wfm:results:update";
+
+var listResultsTopic = "wfm:results:list";
+var listResultsDoneTopic = donePrefix + listResultsTopic;
+
+var readWorkorderTopic = "wfm:workorders:read";
+var readWorkorderDoneTopic = donePrefix + readWorkorderTopic;
+
+
+var readWorkflowTopic = "wfm:sync:workflows:read";
+var readWorkflowDoneTopic = donePrefix + readWorkflowTopic;
+
+var workflowStepSubscribers = new MediatorTopicUtility(mediator);
+workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+
+describe("Getting The Current Workflow Step For A Single Workorder", function() {
+
+  var mockWorkflow = fixtures.mockWorkflow();
+
+  var mockWorkorder = fixtures.mockWorkorder();
+
+  var mockResult = fixtures.mockResult();
+  mockResult.nextStepIndex = 1;
+
+  var workflowClient = new WorkflowClient(mediator);
+
+  beforeEach(function() {
+    this.subscribers = {};
+    workflowStepSubscribers.on(CONSTANTS.STEP_TOPICS.CURRENT, require('./../../../lib/client/mediator-subscribers/current')(workflowStepSubscribers, workflowClient));
+
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, [mockResult]);
+    });
+
+    this.subscribers[updateResultTopic] = mediator.subscribe(updateResultTopic, function() {
+      throw new Error("Expected the update result topic not to be called");
+    });
+
+    this.subscribers[readWorkorderTopic] = mediator.subscribe(readWorkorderTopic, function() {
+      mediator.publish(readWorkorderDoneTopic + ":" + mockWorkorder.id, mockWorkorder);
+    });
+
+    this.subscribers[readWorkflowTopic] = mediator.subscribe(readWorkflowTopic, function() {
+      mediator.publish(readWorkflowDoneTopic + ":" + mockWorkflow.id, mockWorkflow);
+    });
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowStepSubscribers.unsubscribeAll();
+  });
+
+  it("should return the step the user is currently on without changing the result", function() {
+    var currentDonePromise = mediator.promise(currentWorkflowStepDoneTopic);
+
+    mediator.publish(currentWorkflowStepTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return currentDonePromise.then(function(stepSummary) {
+      expect(stepSummary.workflow).to.deep.equal(mockWorkflow);
+      expect(stepSummary.workorder).to.deep.equal(mockWorkorder);
+      expect(stepSummary.nextStepIndex).to.equal(1);
+      expect(stepSummary.step).to.deep.equal(mockWorkflow.steps[1]);
+      expect(stepSummary.result).to.deep.equal(mockResult);
+    });
+  });
+
+});
@@ -0,0 +1,199 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+require('sinon-as-promised');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+var fixtures = require('../../fixtures/index');
+
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+
+var donePrefix = "done:";
+var errorPrefix = "error:";
+
+var readProfileTopic = "wfm:users:read_profile";
+var readProfileDoneTopic = donePrefix + "wfm:users:read_profile";
+
+var updateResultTopic = "wfm:results:update";
+var updateResultDoneTopic = donePrefix + updateResultTopic;
+
+var gotoWorkflowStepTopic = "wfm:workflows:step:goto";
+var gotoWorkflowStepDoneTopic = donePrefix + gotoWorkflowStepTopic;
+var gotoWorkflowStepErrorTopic = errorPrefix + gotoWorkflowStepTopic;
+
+var listResultsTopic = "wfm:results:list";
+var listResultsDoneTopic = donePrefix + listResultsTopic;
+
+var readWorkorderTopic = "wfm:workorders:read";
+var readWorkorderDoneTopic = donePrefix + readWorkorderTopic;
+
+
+var readWorkflowTopic = "wfm:sync:workflows:read";
+var readWorkflowDoneTopic = donePrefix + readWorkflowTopic;
+
+var workflowStepSubscribers = new MediatorTopicUtility(mediator);
+workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+
+describe("Going To A Workflow Step For A Single Workorder", function() {
+
+  var mockWorkflow = {
+    id: "mockworkflowid",
+    steps: [{
+      code: "identification",
+      name: "Identification"
+    }, {
+      code: "hazard",
+      name: "Hazard Report",
+      condition: {step: "identification", field: "hazard", equals: true}
+    }, {
+      code: "risk",
+      name: "Risk Assessment",
+      condition: {step: "hazard", field: "severity", equals: "high"}
+    }, {
+      code: "signoff",
+      name: "Signoff"
+    }, {
+      code: "feedback",
+      name: "Feedback"
+    }]
+  };
+
+  var mockWorkorder = fixtures.mockWorkorder();
+
+  var mockUser = fixtures.mockUser();
+
+  function getMockResult() {
+    return {
+      id: "mockresultid",
+      workorderId: mockWorkorder.id,
+      nextStepIndex: 4,
+      stepResults: {
+        identification: {status: "complete", submission: {hazard: true}},
+        hazard: {status: "complete", submission: {severity: "high"}},
+        risk: {status: "complete", submission: {}},
+        signoff: {status: "complete", submission: {}}
+      }
+    };
+  }
+
+  var workflowClient = new WorkflowClient(mediator);
+
+  function createSubscribers(mockResult) {
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, mockResult ? [mockResult] : []);
+    });
+
+    this.subscribers[readProfileTopic] = mediator.subscribe(readProfileTopic, function() {
+      mediator.publish(readProfileDoneTopic, mockUser);
+    });
+
+    this.subscribers[updateResultTopic] = mediator.subscribe(updateResultTopic, function(parameters) {
+      mediator.publish(updateResultDoneTopic + ":" + parameters.topicUid, parameters.resultToUpdate);
+    });
+
+    this.subscribers[readWorkorderTopic] = mediator.subscribe(readWorkorderTopic, function() {
+      mediator.publish(readWorkorderDoneTopic + ":" + mockWorkorder.id, mockWorkorder);
+    });
+
+    this.subscribers[readWorkflowTopic] = mediator.subscribe(readWorkflowTopic, function() {
+      mediator.publish(readWorkflowDoneTopic + ":" + mockWorkflow.id, mockWorkflow);
+    });
+  }
+
+  beforeEach(function() {
+    this.subscribers = {};
+    workflowStepSubscribers.on(CONSTANTS.STEP_TOPICS.GOTO, require('./../../../lib/client/mediator-subscribers/goto')(workflowStepSubscribers, workflowClient));
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowStepSubscribers.unsubscribeAll();
+  });
+
+  it("should move to a step that was already completed without changing it", function() {
+    _.bind(createSubscribers, this)(getMockResult());
+
+    var gotoDonePromise = mediator.promise(gotoWorkflowStepDoneTopic);
+
+    mediator.publish(gotoWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      stepCode: "hazard"
+    });
+
+    return gotoDonePromise.then(function(stepSummary) {
+      expect(stepSummary.nextStepIndex).to.equal(1);
+      expect(stepSummary.step).to.deep.equal(mockWorkflow.steps[1]);
+      expect(stepSummary.result.stepResults.hazard.status).to.equal(CONSTANTS.STATUS.COMPLETE);
+      expect(_.last(stepSummary.result.history).action).to.equal(CONSTANTS.HISTORY_ACTIONS.GOTO);
+    });
+  });
+
+  it("should reopen a step and the steps that depend on it", function() {
+    _.bind(createSubscribers, this)(getMockResult());
+
+    var gotoDonePromise = mediator.promise(gotoWorkflowStepDoneTopic);
+
+    mediator.publish(gotoWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      stepCode: "hazard",
+      reopen: true
+    });
+
+    return gotoDonePromise.then(function(stepSummary) {
+      var stepResults = stepSummary.result.stepResults;
+
+      expect(stepSummary.nextStepIndex).to.equal(1);
+      expect(stepSummary.result.status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+      expect(stepResults.identification.status).to.equal(CONSTANTS.STATUS.COMPLETE);
+      expect(stepResults.hazard.status).to.equal(CONSTANTS.STATUS.PENDING);
+      expect(stepResults.risk.status).to.equal(CONSTANTS.STATUS.PENDING);
+      expect(stepResults.signoff.status).to.equal(CONSTANTS.STATUS.COMPLETE);
+      expect(_.map(stepSummary.result.history, 'stepCode')).to.deep.equal(["hazard", "risk"]);
+
+      //The reopened step is now the next incomplete step.
+      expect(workflowClient.stepReview(mockWorkflow.steps, stepSummary.result).nextStepIndex).to.equal(1);
+    });
+  });
+
+  it("should not move to a step that has not been reached", function() {
+    var mockResult = getMockResult();
+    mockResult.stepResults = {};
+    mockResult.nextStepIndex = 0;
+
+    _.bind(createSubscribers, this)(mockResult);
+
+    var gotoErrorPromise = mediator.promise(gotoWorkflowStepErrorTopic);
+
+    mediator.publish(gotoWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      stepCode: "signoff"
+    });
+
+    return gotoErrorPromise.then(function(error) {
+      expect(error.message).to.contain("has not been reached");
+    });
+  });
+
+  it("should publish an error for an unknown step", function() {
+    _.bind(createSubscribers, this)(getMockResult());
+
+    var gotoErrorPromise = mediator.promise(gotoWorkflowStepErrorTopic);
+
+    mediator.publish(gotoWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      stepCode: "unknown"
+    });
+
+    return gotoErrorPromise.then(function(error) {
+      expect(error.code).to.equal(CONSTANTS.ERROR_CODES.INVALID_STEP);
+      expect(error.message).to.contain("Invalid step");
+    });
+  });
+
+});
@@ -0,0 +1,101 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+var fixtures = require('../../fixtures/index');
+
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+
+var donePrefix = "done:";
+
+var workflowHistoryTopic = "wfm:workflows:step:history";
+var workflowHistoryDoneTopic = donePrefix + workflowHistoryTopic;
+
+var listResultsTopic = "wfm:results:list";
+var listResultsDoneTopic = donePrefix + listResultsTopic;
+
+var workflowStepSubscribers = new MediatorTopicUtility(mediator);
+workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+
+describe("Getting The Workflow History For A Single Workorder", function() {
+
+  var mockWorkorder = fixtures.mockWorkorder();
+
+  var mockResult = fixtures.mockResult();
+  mockResult.history = [{
+    action: CONSTANTS.HISTORY_ACTIONS.COMPLETE,
+    stepCode: "mockstep1code",
+    userId: "mockuserid",
+    timestamp: 1490000000000,
+    previousSubmission: null,
+    submission: {
+      somesubmissionkey: "somesubmission1value"
+    }
+  }, {
+    action: CONSTANTS.HISTORY_ACTIONS.RECOMPLETE,
+    stepCode: "mockstep1code",
+    userId: "mockuserid",
+    timestamp: 1490000060000,
+    previousSubmission: {
+      somesubmissionkey: "somesubmission1value"
+    },
+    submission: {
+      somesubmissionkey: "somesubmission2value"
+    }
+  }];
+
+  var workflowClient = new WorkflowClient(mediator);
+
+  function createSubscribers(includeResult) {
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, includeResult ? [mockResult] : []);
+    });
+  }
+
+  beforeEach(function() {
+    this.subscribers = {};
+    workflowStepSubscribers.on(CONSTANTS.STEP_TOPICS.HISTORY, require('./../../../lib/client/mediator-subscribers/history')(workflowStepSubscribers, workflowClient));
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowStepSubscribers.unsubscribeAll();
+  });
+
+  it("should return the audit trail of the workorder result", function() {
+    _.bind(createSubscribers, this)(true);
+
+    var historyDonePromise = mediator.promise(workflowHistoryDoneTopic);
+
+    mediator.publish(workflowHistoryTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return historyDonePromise.then(function(workorderHistory) {
+      expect(workorderHistory.workorderId).to.equal(mockWorkorder.id);
+      expect(workorderHistory.history).to.deep.equal(mockResult.history);
+    });
+  });
+
+  it("should return an empty history if the workflow has not begun", function() {
+    _.bind(createSubscribers, this)(false);
+
+    var historyDonePromise = mediator.promise(workflowHistoryDoneTopic);
+
+    mediator.publish(workflowHistoryTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return historyDonePromise.then(function(workorderHistory) {
+      expect(workorderHistory.history).to.deep.equal([]);
+    });
+  });
+
+});
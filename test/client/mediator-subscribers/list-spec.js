@@ -56,6 +56,65 @@ describe("Workflow List Mediator Topic", function() {
     });
   });
 
+  it('should pass the list options to the sync topics and list a page of workflows', function() {
+    var listOptions = {filter: {name: "Inspection"}, sort: "-version", page: 1, pageSize: 2};
+
+    this.subscribers[syncListTopic] = mediator.subscribe(syncListTopic, function(parameters) {
+      expect(parameters).to.deep.equal(listOptions);
+
+      mediator.publish(doneSyncListTopic, [
+        {id: "workflow1", name: "Inspection", version: 1},
+        {id: "workflow2", name: "Audit", version: 1},
+        {id: "workflow3", name: "Inspection", version: 2},
+        {id: "workflow4", name: "Inspection", version: 3}
+      ]);
+    });
+
+    var donePromise = mediator.promise(doneListTopic + ":listuid");
+
+    mediator.publish(listTopic, _.extend({topicUid: "listuid"}, listOptions));
+
+    return donePromise.then(function(workflowPage) {
+      expect(_.map(workflowPage.items, 'id')).to.deep.equal(["workflow4", "workflow3"]);
+      expect(workflowPage.total).to.equal(3);
+      expect(workflowPage.page).to.equal(1);
+      expect(workflowPage.pageSize).to.equal(2);
+    });
+  });
+
+  it('should return the total of the workflows listed with a sort but no page', function() {
+    this.subscribers[syncListTopic] = mediator.subscribe(syncListTopic, function() {
+      mediator.publish(doneSyncListTopic, [
+        {id: "workflow1", version: 1},
+        {id: "workflow2", version: 2}
+      ]);
+    });
+
+    var donePromise = mediator.promise(doneListTopic + ":listuid");
+
+    mediator.publish(listTopic, {topicUid: "listuid", sort: "-version"});
+
+    return donePromise.then(function(workflowList) {
+      expect(workflowList).to.deep.equal({items: [{id: "workflow2", version: 2}, {id: "workflow1", version: 1}], total: 2});
+    });
+  });
+
+  it('should use a page listed by the sync topics as it is', function() {
+    var workflowPage = {items: workflows, total: 10, page: 1, pageSize: 2};
+
+    this.subscribers[syncListTopic] = mediator.subscribe(syncListTopic, function() {
+      mediator.publish(doneSyncListTopic, workflowPage);
+    });
+
+    var donePromise = mediator.promise(doneListTopic + ":listuid");
+
+    mediator.publish(listTopic, {topicUid: "listuid", page: 1, pageSize: 2});
+
+    return donePromise.then(function(listedPage) {
+      expect(listedPage).to.deep.equal(workflowPage);
+    });
+  });
+
   it('should handle an error from the sync create topic', function() {
     var expectedError = new Error("Error performing sync operation");
     this.subscribers[syncListTopic] = mediator.subscribe(syncListTopic, function() {
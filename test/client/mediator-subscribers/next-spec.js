@@ -0,0 +1,130 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+require('sinon-as-promised');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+var fixtures = require('../../fixtures/index');
+
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+
+var donePrefix = "done:";
+var errorPrefix = "error:";
+
+var updateResultTopic = "wfm:results:update";
+var updateResultDoneTopic = donePrefix + updateResultTopic;
+
+var nextWorkflowStepTopic = "wfm:workflows:step:next";
+var nextWorkflowStepDoneTopic = donePrefix + nextWorkflowStepTopic;
+var nextWorkflowStepErrorTopic = errorPrefix + nextWorkflowStepTopic;
+
+var listResultsTopic = "wfm:results:list";
+var listResultsDoneTopic = donePrefix + listResultsTopic;
+
+var readWorkorderTopic = "wfm:workorders:read";
+var readWorkorderDoneTopic = donePrefix + readWorkorderTopic;
+
+
+var readWorkflowTopic = "wfm:sync:workflows:read";
+var readWorkflowDoneTopic = donePrefix + readWorkflowTopic;
+
+var workflowStepSubscribers = new MediatorTopicUtility(mediator);
+workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+
+describe("Moving To The Next Workflow Step For A Single Workorder", function() {
+
+  var mockWorkflow = fixtures.mockWorkflow();
+
+  var mockWorkorder = fixtures.mockWorkorder();
+
+  var workflowClient = new WorkflowClient(mediator);
+
+  function createSubscribers(mockResult) {
+    //Subscribing to the list results topic
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, mockResult ? [mockResult] : []);
+    });
+
+    this.subscribers[updateResultTopic] = mediator.subscribe(updateResultTopic, function(parameters) {
+      mediator.publish(updateResultDoneTopic + ":" + parameters.topicUid, parameters.resultToUpdate);
+    });
+
+    //Subscribing to the readWorkorder Topic
+    this.subscribers[readWorkorderTopic] = mediator.subscribe(readWorkorderTopic, function() {
+      mediator.publish(readWorkorderDoneTopic + ":" + mockWorkorder.id, mockWorkorder);
+    });
+
+    this.subscribers[readWorkflowTopic] = mediator.subscribe(readWorkflowTopic, function() {
+      mediator.publish(readWorkflowDoneTopic + ":" + mockWorkflow.id, mockWorkflow);
+    });
+  }
+
+  beforeEach(function() {
+    this.subscribers = {};
+    workflowStepSubscribers.on(CONSTANTS.STEP_TOPICS.NEXT, require('./../../../lib/client/mediator-subscribers/next')(workflowStepSubscribers, workflowClient));
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowStepSubscribers.unsubscribeAll();
+  });
+
+  it('should publish an error if no result exists', function() {
+    _.bind(createSubscribers, this)(null);
+
+    var stepErrorPromise = mediator.promise(nextWorkflowStepErrorTopic);
+
+    mediator.publish(nextWorkflowStepTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return stepErrorPromise.then(function(error) {
+      expect(error.message).to.contain("No result exists");
+    });
+  });
+
+  it("should move forward past a step that was already completed", function() {
+    var mockResult = fixtures.mockResult();
+    mockResult.nextStepIndex = 0;
+
+    _.bind(createSubscribers, this)(mockResult);
+
+    var stepNextPromise = mediator.promise(nextWorkflowStepDoneTopic);
+
+    mediator.publish(nextWorkflowStepTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return stepNextPromise.then(function(stepSummary) {
+      expect(stepSummary.nextStepIndex).to.equal(1);
+      expect(stepSummary.result.nextStepIndex).to.equal(1);
+      expect(stepSummary.step).to.deep.equal(mockWorkflow.steps[1]);
+    });
+  });
+
+  it("should not move forward past an incomplete step", function() {
+    var mockResult = fixtures.mockResult();
+    mockResult.stepResults = {};
+    mockResult.nextStepIndex = 0;
+
+    _.bind(createSubscribers, this)(mockResult);
+
+    var stepErrorPromise = mediator.promise(nextWorkflowStepErrorTopic);
+
+    mediator.publish(nextWorkflowStepTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return stepErrorPromise.then(function(error) {
+      expect(error.message).to.contain("has not been completed");
+    });
+  });
+
+});
@@ -65,6 +65,7 @@ describe("Workflow Read Mediator Topic", function() {
     mediator.publish(readTopic);
 
     return errorPromise.then(function(error) {
+      expect(error.code).to.equal(CONSTANTS.ERROR_CODES.VALIDATION_FAILED);
       expect(error.message).to.have.string("Expected An ID");
     });
   });
@@ -0,0 +1,170 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+require('sinon-as-promised');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+var fixtures = require('../../fixtures/index');
+
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+
+var donePrefix = "done:";
+var errorPrefix = "error:";
+
+var readProfileTopic = "wfm:users:read_profile";
+var readProfileDoneTopic = donePrefix + "wfm:users:read_profile";
+
+var updateResultTopic = "wfm:results:update";
+var updateResultDoneTopic = donePrefix + updateResultTopic;
+
+var saveWorkflowStepTopic = "wfm:workflows:step:save";
+var saveWorkflowStepDoneTopic = donePrefix + saveWorkflowStepTopic;
+var saveWorkflowStepErrorTopic = errorPrefix + saveWorkflowStepTopic;
+
+var listResultsTopic = "wfm:results:list";
+var listResultsDoneTopic = donePrefix + listResultsTopic;
+
+var readWorkorderTopic = "wfm:workorders:read";
+var readWorkorderDoneTopic = donePrefix + readWorkorderTopic;
+
+
+var readWorkflowTopic = "wfm:sync:workflows:read";
+var readWorkflowDoneTopic = donePrefix + readWorkflowTopic;
+
+var workflowStepSubscribers = new MediatorTopicUtility(mediator);
+workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+
+describe("Saving A Draft Of A Workflow Step For A Single Workorder", function() {
+
+  var mockWorkflow = {
+    id: "mockworkflowid",
+    steps: [{
+      code: "identification",
+      name: "Identification",
+      schema: {
+        hazard: {type: "boolean", required: true}
+      }
+    }, {
+      code: "signoff",
+      name: "Signoff"
+    }]
+  };
+
+  var mockWorkorder = fixtures.mockWorkorder();
+
+  var mockUser = fixtures.mockUser();
+
+  function getMockResult() {
+    return {
+      id: "mockresultid",
+      workorderId: mockWorkorder.id,
+      nextStepIndex: 0,
+      stepResults: {}
+    };
+  }
+
+  var workflowClient = new WorkflowClient(mediator);
+
+  function createSubscribers(mockResult) {
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, mockResult ? [mockResult] : []);
+    });
+
+    this.subscribers[readProfileTopic] = mediator.subscribe(readProfileTopic, function() {
+      mediator.publish(readProfileDoneTopic, mockUser);
+    });
+
+    this.subscribers[updateResultTopic] = mediator.subscribe(updateResultTopic, function(parameters) {
+      mediator.publish(updateResultDoneTopic + ":" + parameters.topicUid, parameters.resultToUpdate);
+    });
+
+    this.subscribers[readWorkorderTopic] = mediator.subscribe(readWorkorderTopic, function() {
+      mediator.publish(readWorkorderDoneTopic + ":" + mockWorkorder.id, mockWorkorder);
+    });
+
+    this.subscribers[readWorkflowTopic] = mediator.subscribe(readWorkflowTopic, function() {
+      mediator.publish(readWorkflowDoneTopic + ":" + mockWorkflow.id, mockWorkflow);
+    });
+  }
+
+  beforeEach(function() {
+    this.subscribers = {};
+    workflowStepSubscribers.on(CONSTANTS.STEP_TOPICS.SAVE, require('./../../../lib/client/mediator-subscribers/save')(workflowStepSubscribers, workflowClient));
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowStepSubscribers.unsubscribeAll();
+  });
+
+  it("should save a partial submission without moving to the next step", function() {
+    _.bind(createSubscribers, this)(getMockResult());
+
+    var saveDonePromise = mediator.promise(saveWorkflowStepDoneTopic);
+
+    //The submission is not finished, so it is not validated against the step schema.
+    mediator.publish(saveWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      stepCode: "identification",
+      submission: {notes: "Half way through"}
+    });
+
+    return saveDonePromise.then(function(stepSummary) {
+      var stepResult = stepSummary.result.stepResults.identification;
+
+      expect(stepSummary.nextStepIndex).to.equal(0);
+      expect(stepSummary.step).to.deep.equal(mockWorkflow.steps[0]);
+      expect(stepResult.status).to.equal(CONSTANTS.STATUS.PENDING);
+      expect(stepResult.draft).to.equal(true);
+      expect(stepResult.submission).to.deep.equal({notes: "Half way through"});
+      expect(stepResult.submitter).to.equal(mockUser.id);
+
+      //A draft does not complete the step.
+      expect(workflowClient.stepReview(mockWorkflow.steps, stepSummary.result).nextStepIndex).to.equal(0);
+      expect(workflowClient.getDraft(mockWorkflow.steps[0], stepSummary.result)).to.deep.equal({notes: "Half way through"});
+    });
+  });
+
+  it("should not save a draft over a completed step", function() {
+    var mockResult = getMockResult();
+    mockResult.nextStepIndex = 1;
+    mockResult.stepResults.identification = {status: "complete", submission: {hazard: true}};
+
+    _.bind(createSubscribers, this)(mockResult);
+
+    var saveErrorPromise = mediator.promise(saveWorkflowStepErrorTopic);
+
+    mediator.publish(saveWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      stepCode: "identification",
+      submission: {hazard: false}
+    });
+
+    return saveErrorPromise.then(function(error) {
+      expect(error.message).to.contain("is already complete");
+    });
+  });
+
+  it("should publish an error if no result exists", function() {
+    _.bind(createSubscribers, this)();
+
+    var saveErrorPromise = mediator.promise(saveWorkflowStepErrorTopic);
+
+    mediator.publish(saveWorkflowStepTopic, {
+      workorderId: mockWorkorder.id,
+      stepCode: "identification",
+      submission: {}
+    });
+
+    return saveErrorPromise.then(function(error) {
+      expect(error.message).to.contain("No result exists");
+    });
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var errors = require('../../../lib/errors');
+var fixtures = require('../../fixtures/index');
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+
+describe("Workflow Stats Mediator Topic", function() {
+
+  var mockWorkflow = fixtures.mockWorkflow();
+
+  var mockWorkorders = [
+    {id: "workorder1", workflowId: "mockworkflowid", assignee: "mockuserid"},
+    {id: "workorder2", workflowId: "mockworkflowid", assignee: "mockuserid"},
+    {id: "otherworkorder", workflowId: "otherworkflowid", assignee: "mockuserid"}
+  ];
+
+  var mockResults = [{
+    workorderId: "workorder1",
+    stepResults: {
+      mockstep1code: {status: "complete", timestamp: 1000},
+      mockstep2code: {status: "complete", timestamp: 3000}
+    }
+  }, {
+    workorderId: "otherworkorder",
+    stepResults: {
+      mockstep1code: {status: "complete", timestamp: 1000}
+    }
+  }];
+
+  var statsTopic = "wfm:workflows:stats";
+  var doneStatsTopic = "done:wfm:workflows:stats:statsuid";
+  var errorStatsTopic = "error:wfm:workflows:stats:statsuid";
+
+  var syncReadTopic = "wfm:sync:workflows:read";
+  var doneSyncReadTopic = "done:wfm:sync:workflows:read";
+
+  var listWorkordersTopic = "wfm:workorders:list";
+  var doneListWorkordersTopic = "done:wfm:workorders:list";
+
+  var listResultsTopic = "wfm:results:list";
+  var doneListResultsTopic = "done:wfm:results:list";
+
+  var workflowSubscribers = new MediatorTopicUtility(mediator);
+  workflowSubscribers.prefix(CONSTANTS.TOPIC_PREFIX).entity(CONSTANTS.WORKFLOW_ENTITY_NAME);
+
+  beforeEach(function() {
+    var self = this;
+    this.subscribers = {};
+    this.workflowClient = WorkflowClient(mediator);
+    workflowSubscribers.on(CONSTANTS.TOPICS.STATS, require('./../../../lib/client/mediator-subscribers/stats')(workflowSubscribers, this.workflowClient));
+
+    this.subscribers[syncReadTopic] = mediator.subscribe(syncReadTopic, function(parameters) {
+      mediator.publish(doneSyncReadTopic + ":" + parameters.id, parameters.id === mockWorkflow.id ? mockWorkflow : null);
+    });
+
+    this.subscribers[listWorkordersTopic] = mediator.subscribe(listWorkordersTopic, function() {
+      mediator.publish(doneListWorkordersTopic, mockWorkorders);
+    });
+
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      self.resultsFilter = parameters.filter;
+
+      //Publishing every result, as a results module that does not support filtering would.
+      mediator.publish(doneListResultsTopic + ":" + parameters.topicUid, mockResults);
+    });
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowSubscribers.unsubscribeAll();
+    this.workflowClient.tearDown();
+  });
+
+  it('should publish the statistics of the workorders of a workflow', function() {
+    var self = this;
+    var donePromise = mediator.promise(doneStatsTopic);
+
+    mediator.publish(statsTopic, {workflowId: mockWorkflow.id, topicUid: "statsuid"});
+
+    return donePromise.then(function(workflowStats) {
+      expect(self.resultsFilter).to.deep.equal({workorderIds: ["workorder1", "workorder2"]});
+      expect(workflowStats.workflowId).to.equal(mockWorkflow.id);
+      expect(workflowStats.total).to.equal(2);
+      expect(workflowStats.statusCounts).to.deep.equal({new: 1, unassigned: 0, in_progress: 0, complete: 1});
+      expect(workflowStats.steps[1]).to.deep.equal({code: "mockstep2code", name: "Mock Step 2", completed: 1, current: 0, medianDuration: 2000});
+    });
+  });
+
+  it('should publish an error for a workflow that does not exist', function() {
+    var errorPromise = mediator.promise(errorStatsTopic);
+
+    mediator.publish(statsTopic, {workflowId: "unknownworkflowid", topicUid: "statsuid"});
+
+    return errorPromise.then(function(error) {
+      expect(error).to.be.an.instanceof(errors.NotFoundError);
+      expect(error.code).to.equal(errors.ERROR_CODES.WORKFLOW_NOT_FOUND);
+    });
+  });
+
+  it('should publish an error if there is no workflow ID', function() {
+    var errorPromise = mediator.promise("error:wfm:workflows:stats");
+
+    mediator.publish(statsTopic);
+
+    return errorPromise.then(function(error) {
+      expect(error.code).to.equal(errors.ERROR_CODES.VALIDATION_FAILED);
+      expect(error.message).to.have.string("Expected A Workflow ID");
+    });
+  });
+});
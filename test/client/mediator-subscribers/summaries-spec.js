@@ -0,0 +1,174 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var errors = require('../../../lib/errors');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+var fixtures = require('../../fixtures/index');
+
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+
+var workflowSummariesTopic = "wfm:workflows:step:summaries";
+var workflowSummariesDoneTopic = "done:wfm:workflows:step:summaries:summariesuid";
+var workflowSummariesErrorTopic = "error:wfm:workflows:step:summaries";
+
+var listResultsTopic = "wfm:results:list";
+var listWorkordersTopic = "wfm:workorders:list";
+var readWorkflowTopic = "wfm:sync:workflows:read";
+
+
+describe("Getting The Workflow Summaries Of Many Workorders", function() {
+
+  var mockWorkflow = fixtures.mockWorkflow();
+
+  var otherWorkflow = _.extend(fixtures.mockWorkflow(), {id: "otherworkflowid"});
+
+  var mockWorkorders = [
+    {id: "workorder1", workflowId: "mockworkflowid", assignee: "mockuserid"},
+    {id: "workorder2", workflowId: "mockworkflowid", assignee: "mockuserid"},
+    {id: "workorder3", workflowId: "otherworkflowid", assignee: "mockuserid"},
+    {id: "workorder4", workflowId: "deletedworkflowid", assignee: "mockuserid"}
+  ];
+
+  var mockResults = [{
+    workorderId: "workorder1",
+    stepResults: {
+      mockstep1code: {status: "complete"}
+    }
+  }, {
+    workorderId: "workorder3",
+    stepResults: {
+      mockstep1code: {status: "complete"},
+      mockstep2code: {status: "complete"}
+    }
+  }];
+
+  var workflowStepSubscribers = new MediatorTopicUtility(mediator);
+  workflowStepSubscribers.prefix(CONSTANTS.WORKFLOW_PREFIX).entity(CONSTANTS.STEPS_ENTITY_NAME);
+
+  beforeEach(function() {
+    var self = this;
+    this.subscribers = {};
+    this.requests = {workorders: 0, results: 0, workflows: []};
+    this.workflowClient = new WorkflowClient(mediator);
+
+    workflowStepSubscribers.on(CONSTANTS.STEP_TOPICS.SUMMARIES, require('../../../lib/client/mediator-subscribers/summaries')(workflowStepSubscribers, this.workflowClient));
+
+    //The mock workorders module ignores the filter and returns every workorder.
+    this.subscribers[listWorkordersTopic] = mediator.subscribe(listWorkordersTopic, function(parameters) {
+      self.requests.workorders += 1;
+      self.requests.workorderFilter = parameters.filter;
+      mediator.publish("done:" + listWorkordersTopic + ":" + parameters.topicUid, mockWorkorders);
+    });
+
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      self.requests.results += 1;
+      mediator.publish("done:" + listResultsTopic + ":" + parameters.topicUid, mockResults);
+    });
+
+    this.subscribers[readWorkflowTopic] = mediator.subscribe(readWorkflowTopic, function(parameters) {
+      self.requests.workflows.push(parameters.id);
+      mediator.publish("done:" + readWorkflowTopic + ":" + parameters.id, _.find([mockWorkflow, otherWorkflow], {id: parameters.id}) || null);
+    });
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowStepSubscribers.unsubscribeAll();
+    this.workflowClient.tearDown();
+  });
+
+  it('should summarise every workorder with one read of the workorders, the results and each workflow', function() {
+    var self = this;
+    var donePromise = mediator.promise(workflowSummariesDoneTopic);
+
+    mediator.publish(workflowSummariesTopic, {
+      workorderIds: ["workorder1", "workorder2", "workorder3"],
+      topicUid: "summariesuid"
+    });
+
+    return donePromise.then(function(summaries) {
+      expect(summaries).to.deep.equal([{
+        workorderId: "workorder1",
+        status: CONSTANTS.RESULT_STATUS.IN_PROGRESS,
+        statusLabel: "In Progress",
+        nextStepIndex: 1,
+        step: mockWorkflow.steps[1]
+      }, {
+        workorderId: "workorder2",
+        status: CONSTANTS.RESULT_STATUS.IN_PROGRESS,
+        statusLabel: "In Progress",
+        nextStepIndex: 0,
+        step: mockWorkflow.steps[0]
+      }, {
+        workorderId: "workorder3",
+        status: CONSTANTS.RESULT_STATUS.COMPLETE,
+        statusLabel: "Complete",
+        nextStepIndex: 2,
+        step: null
+      }]);
+
+      expect(self.requests.workorders).to.equal(1);
+      expect(self.requests.workorderFilter).to.deep.equal({workorderIds: ["workorder1", "workorder2", "workorder3"]});
+      expect(self.requests.results).to.equal(1);
+      expect(self.requests.workflows).to.deep.equal(["mockworkflowid", "otherworkflowid"]);
+    });
+  });
+
+  it('should add an error to the summary of a workorder or workflow that does not exist', function() {
+    var donePromise = mediator.promise(workflowSummariesDoneTopic);
+
+    mediator.publish(workflowSummariesTopic, {
+      workorderIds: ["workorder1", "unknownworkorderid", "workorder4"],
+      topicUid: "summariesuid"
+    });
+
+    return donePromise.then(function(summaries) {
+      expect(summaries[0].status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+      expect(summaries[1].workorderId).to.equal("unknownworkorderid");
+      expect(summaries[1].error.code).to.equal(errors.ERROR_CODES.WORKORDER_NOT_FOUND);
+      expect(summaries[2].error).to.be.an.instanceof(errors.NotFoundError);
+      expect(summaries[2].error.code).to.equal(errors.ERROR_CODES.WORKFLOW_NOT_FOUND);
+    });
+  });
+
+  it('should add the error reading a workflow to the summaries of its workorders only', function() {
+    var readError = new Error("Workflow storage failure");
+
+    mediator.remove(readWorkflowTopic, this.subscribers[readWorkflowTopic].id);
+    this.subscribers[readWorkflowTopic] = mediator.subscribe(readWorkflowTopic, function(parameters) {
+      if (parameters.id === "otherworkflowid") {
+        return mediator.publish("error:" + readWorkflowTopic + ":" + parameters.id, readError);
+      }
+
+      mediator.publish("done:" + readWorkflowTopic + ":" + parameters.id, mockWorkflow);
+    });
+
+    var donePromise = mediator.promise(workflowSummariesDoneTopic);
+
+    mediator.publish(workflowSummariesTopic, {
+      workorderIds: ["workorder1", "workorder3"],
+      topicUid: "summariesuid"
+    });
+
+    return donePromise.then(function(summaries) {
+      expect(summaries[0].status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+      expect(summaries[1]).to.deep.equal({workorderId: "workorder3", error: readError});
+    });
+  });
+
+  it('should publish an error if there is no list of workorder IDs', function() {
+    var errorPromise = mediator.promise(workflowSummariesErrorTopic);
+
+    mediator.publish(workflowSummariesTopic, {workorderId: "workorder1"});
+
+    return errorPromise.then(function(error) {
+      expect(error.code).to.equal(errors.ERROR_CODES.VALIDATION_FAILED);
+    });
+  });
+});
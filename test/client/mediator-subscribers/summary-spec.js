@@ -41,7 +41,7 @@ describe("Getting A Workflow Summary For A Single Workorder", function() {
   var mockResult = fixtures.mockResult();
 
   var newResult = {
-    status: "New",
+    status: "new",
     nextStepIndex: 0,
     workorderId: mockWorkorder.id,
     stepResults: {}
@@ -61,9 +61,9 @@ describe("Getting A Workflow Summary For A Single Workorder", function() {
 
   function createSubscribers(includeResult) {
     //Subscribing to the list results topic
-    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function() {
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
 
-      mediator.publish(listResultsDoneTopic, getMockResults(includeResult));
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, getMockResults(includeResult));
     });
 
     //Subscribing to the readWorkorder Topic
@@ -126,4 +126,36 @@ describe("Getting A Workflow Summary For A Single Workorder", function() {
     });
   });
 
+  it("should use the version of the workflow the result was begun with", function() {
+    var pinnedResult = _.extend({workflowVersion: 1}, fixtures.mockResult());
+    var updatedWorkflow = _.extend({}, mockWorkflow, {
+      version: 2,
+      steps: mockWorkflow.steps.concat([{code: "mockstep3code", name: "Mock Step 3"}]),
+      versions: [_.extend({version: 1}, mockWorkflow)]
+    });
+
+    this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+      mediator.publish(listResultsDoneTopic + ":" + parameters.topicUid, [pinnedResult]);
+    });
+
+    this.subscribers[readWorkorderTopic] = mediator.subscribe(readWorkorderTopic, function() {
+      mediator.publish(readWorkorderDoneTopic + ":" + mockWorkorder.id, mockWorkorder);
+    });
+
+    this.subscribers[readWorkflowTopic] = mediator.subscribe(readWorkflowTopic, function() {
+      mediator.publish(readWorkflowDoneTopic + ":" + mockWorkflow.id, updatedWorkflow);
+    });
+
+    var summaryDonePromise = mediator.promise(workflowSummaryDoneTopic);
+
+    mediator.publish(workflowSummaryTopic, {
+      workorderId: mockWorkorder.id
+    });
+
+    return summaryDonePromise.then(function(stepSummary) {
+      expect(stepSummary.workflow).to.deep.equal(updatedWorkflow.versions[0]);
+      expect(stepSummary.status).to.equal("complete");
+    });
+  });
+
 });
@@ -12,9 +12,29 @@ describe("Workflow Update Mediator Topic", function() {
 
   var mockWorkflowToUpdate = {
     id: "workflowidtoupdate",
-    name: "This is a mock Work Order"
+    name: "This is a mock Work Order",
+    steps: [{
+      code: "mockstep1code",
+      name: "Mock Step 1"
+    }]
   };
 
+  var mockStoredWorkflow = {
+    id: "workflowidtoupdate",
+    name: "This is the stored Work Order",
+    version: 2,
+    versions: [{
+      id: "workflowidtoupdate",
+      name: "This is the first version of the Work Order",
+      version: 1
+    }]
+  };
+
+  var expectedWorkflowVersion = _.extend({
+    version: 3,
+    versions: [mockStoredWorkflow.versions[0], _.omit(mockStoredWorkflow, 'versions')]
+  }, mockWorkflowToUpdate);
+
   var expectedUpdatedWorkflow =  _.defaults({name: "Updated Workflow"}, mockWorkflowToUpdate);
 
   var topicUid = 'testtopicuid1';
@@ -27,6 +47,9 @@ describe("Workflow Update Mediator Topic", function() {
   var doneSyncUpdateTopic = "done:wfm:sync:workflows:update";
   var errorSyncUpdateTopic = "error:wfm:sync:workflows:update";
 
+  var syncReadTopic = "wfm:sync:workflows:read";
+  var doneSyncReadTopic = "done:wfm:sync:workflows:read";
+
   var workflowSubscribers = new MediatorTopicUtility(mediator);
   workflowSubscribers.prefix(CONSTANTS.TOPIC_PREFIX).entity(CONSTANTS.WORKFLOW_ENTITY_NAME);
 
@@ -34,6 +57,11 @@ describe("Workflow Update Mediator Topic", function() {
 
   beforeEach(function() {
     this.subscribers = {};
+    this.subscribers[syncReadTopic] = mediator.subscribe(syncReadTopic, function(parameters) {
+      expect(parameters.id).to.equal(mockWorkflowToUpdate.id);
+
+      mediator.publish(doneSyncReadTopic + ":" + parameters.topicUid, mockStoredWorkflow);
+    });
     workflowSubscribers.on(CONSTANTS.TOPICS.UPDATE, require('./../../../lib/client/mediator-subscribers/update')(workflowSubscribers, workflowClient));
   });
 
@@ -45,9 +73,9 @@ describe("Workflow Update Mediator Topic", function() {
     workflowSubscribers.unsubscribeAll();
   });
 
-  it('should use the sync topics to update a workflow', function() {
+  it('should use the sync topics to update a workflow as a new version', function() {
     this.subscribers[syncUpdateTopic] = mediator.subscribe(syncUpdateTopic, function(parameters) {
-      expect(parameters.itemToUpdate).to.deep.equal(mockWorkflowToUpdate);
+      expect(parameters.itemToUpdate).to.deep.equal(expectedWorkflowVersion);
       expect(parameters.topicUid).to.be.a('string');
 
       mediator.publish(doneSyncUpdateTopic + ":" + parameters.topicUid, expectedUpdatedWorkflow);
@@ -65,6 +93,31 @@ describe("Workflow Update Mediator Topic", function() {
     });
   });
 
+  it('should publish an error for a workflow that does not exist', function() {
+    var unknownWorkflow = _.defaults({id: "unknownworkflowid"}, mockWorkflowToUpdate);
+
+    mediator.remove(syncReadTopic, this.subscribers[syncReadTopic].id);
+    this.subscribers[syncReadTopic] = mediator.subscribe(syncReadTopic, function(parameters) {
+      mediator.publish(doneSyncReadTopic + ":" + parameters.topicUid, null);
+    });
+
+    this.subscribers[syncUpdateTopic] = mediator.subscribe(syncUpdateTopic, function() {
+      throw new Error("Expected the sync update topic not to be called");
+    });
+
+    var errorPromise = mediator.promise(errorUpdateTopic);
+
+    mediator.publish(updateTopic, {
+      workflowToUpdate: unknownWorkflow,
+      topicUid: topicUid
+    });
+
+    return errorPromise.then(function(error) {
+      expect(error.code).to.equal(CONSTANTS.ERROR_CODES.WORKFLOW_NOT_FOUND);
+      expect(error.message).to.have.string("unknownworkflowid");
+    });
+  });
+
   it('should publish an error if there is no object to update', function() {
     var errorPromise = mediator.promise(errorUpdateTopic);
 
@@ -81,7 +134,7 @@ describe("Workflow Update Mediator Topic", function() {
     var expectedError = new Error("Error performing sync operation");
 
     this.subscribers[syncUpdateTopic] = mediator.subscribe(syncUpdateTopic, function(parameters) {
-      expect(parameters.itemToUpdate).to.deep.equal(mockWorkflowToUpdate);
+      expect(parameters.itemToUpdate).to.deep.equal(expectedWorkflowVersion);
       expect(parameters.topicUid).to.be.a('string');
 
       mediator.publish(errorSyncUpdateTopic + ":" + parameters.topicUid, expectedError);
@@ -0,0 +1,95 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+var _ = require('lodash');
+var CONSTANTS = require('../../../lib/constants');
+var expect = chai.expect;
+
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+var WorkflowClient = require('../../../lib/client/workflow-client/index');
+
+describe("Workflow Versions Mediator Topic", function() {
+
+  var mockWorkflow = {
+    id: "workflowid",
+    name: "This is the current version",
+    version: 2,
+    versions: [{
+      id: "workflowid",
+      name: "This is the first version"
+    }]
+  };
+
+  var versionsTopic = "wfm:workflows:versions";
+  var doneVersionsTopic = "done:wfm:workflows:versions:workflowid";
+  var errorVersionsTopic = "error:wfm:workflows:versions";
+
+  var syncReadTopic = "wfm:sync:workflows:read";
+  var doneSyncReadTopic = "done:wfm:sync:workflows:read:workflowid";
+
+  var workflowSubscribers = new MediatorTopicUtility(mediator);
+  workflowSubscribers.prefix(CONSTANTS.TOPIC_PREFIX).entity(CONSTANTS.WORKFLOW_ENTITY_NAME);
+
+  var workflowClient = WorkflowClient(mediator);
+
+  beforeEach(function() {
+    this.subscribers = {};
+    workflowSubscribers.on(CONSTANTS.TOPICS.VERSIONS, require('./../../../lib/client/mediator-subscribers/versions')(workflowSubscribers, workflowClient));
+  });
+
+  afterEach(function() {
+    _.each(this.subscribers, function(subscriber, topic) {
+      mediator.remove(topic, subscriber.id);
+    });
+
+    workflowSubscribers.unsubscribeAll();
+  });
+
+  it('should list all the versions of a workflow', function() {
+    this.subscribers[syncReadTopic] = mediator.subscribe(syncReadTopic, function(parameters) {
+      expect(parameters.id).to.equal(mockWorkflow.id);
+
+      mediator.publish(doneSyncReadTopic, mockWorkflow);
+    });
+
+    var donePromise = mediator.promise(doneVersionsTopic);
+
+    mediator.publish(versionsTopic, {id: mockWorkflow.id, topicUid: mockWorkflow.id});
+
+    return donePromise.then(function(workflowVersions) {
+      expect(workflowVersions).to.deep.equal([{
+        id: "workflowid",
+        name: "This is the first version",
+        version: 1
+      }, {
+        id: "workflowid",
+        name: "This is the current version",
+        version: 2
+      }]);
+    });
+  });
+
+  it('should publish an error for a workflow that does not exist', function() {
+    this.subscribers[syncReadTopic] = mediator.subscribe(syncReadTopic, function(parameters) {
+      mediator.publish("done:wfm:sync:workflows:read:" + parameters.topicUid, null);
+    });
+
+    var errorPromise = mediator.promise(errorVersionsTopic + ":unknownworkflowid");
+
+    mediator.publish(versionsTopic, {id: "unknownworkflowid", topicUid: "unknownworkflowid"});
+
+    return errorPromise.then(function(error) {
+      expect(error.code).to.equal(CONSTANTS.ERROR_CODES.WORKFLOW_NOT_FOUND);
+      expect(error.message).to.have.string("unknownworkflowid");
+    });
+  });
+
+  it('should publish an error if there is no ID', function() {
+    var errorPromise = mediator.promise(errorVersionsTopic);
+
+    mediator.publish(versionsTopic);
+
+    return errorPromise.then(function(error) {
+      expect(error.message).to.have.string("Expected An ID");
+    });
+  });
+});
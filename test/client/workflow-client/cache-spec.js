@@ -0,0 +1,55 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var EntityCache = require('./../../../lib/client/workflow-client/cache');
+
+describe("Workflow Client Entity Cache", function() {
+
+  it("should count hits and misses", function() {
+    var cache = new EntityCache();
+
+    expect(cache.get("workflowid")).to.equal(undefined);
+
+    cache.set("workflowid", {id: "workflowid"});
+
+    expect(cache.get("workflowid")).to.deep.equal({id: "workflowid"});
+    expect(cache.getStats()).to.deep.equal({hits: 1, misses: 1, size: 1});
+  });
+
+  it("should not share entries with callers", function() {
+    var cache = new EntityCache();
+    var workflow = {id: "workflowid", steps: []};
+
+    cache.set("workflowid", workflow);
+    workflow.steps.push({code: "step1"});
+    cache.get("workflowid").steps.push({code: "step2"});
+
+    expect(cache.get("workflowid").steps).to.deep.equal([]);
+  });
+
+  it("should evict the least recently used entry when it is full", function() {
+    var cache = new EntityCache({maxEntries: 2});
+
+    cache.set("first", 1).set("second", 2);
+    cache.get("first");
+    cache.set("third", 3);
+
+    expect(cache.get("second")).to.equal(undefined);
+    expect(cache.get("first")).to.equal(1);
+    expect(cache.get("third")).to.equal(3);
+  });
+
+  it("should expire entries after the ttl", function() {
+    var clock = sinon.useFakeTimers();
+    var cache = new EntityCache({ttl: 1000});
+
+    cache.set("workflowid", {id: "workflowid"});
+    clock.tick(1001);
+
+    expect(cache.get("workflowid")).to.equal(undefined);
+    expect(cache.getStats().size).to.equal(0);
+
+    clock.restore();
+  });
+
+});
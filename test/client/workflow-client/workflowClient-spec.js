@@ -1,9 +1,14 @@
 var mediator = require("fh-wfm-mediator/lib/mediator");
 var chai = require('chai');
 var expect = chai.expect;
+var sinon = require('sinon');
 require('sinon-as-promised');
 var _ = require('lodash');
+var q = require('q');
 var WorkflowClient = require('./../../../lib/client/workflow-client/workflowClient');
+var workflowModule = require('./../../../lib/client');
+var ConflictError = require('./../../../lib/errors').ConflictError;
+var TimeoutError = require('./../../../lib/errors').TimeoutError;
 
 describe("Workflow Mediator Client", function() {
 
@@ -141,4 +146,549 @@ describe("Workflow Mediator Client", function() {
 
   });
 
+  describe("Conditional Steps", function() {
+
+    var branchingSteps = [{
+      code: "identification",
+      name: "Identification"
+    }, {
+      code: "hazard",
+      name: "Hazard Report",
+      condition: {step: "identification", field: "hazard", equals: true}
+    }, {
+      code: "signoff",
+      name: "Signoff"
+    }];
+
+    function getResult(hazard) {
+      return _.extend({
+        stepResults: {
+          identification: {
+            status: "complete",
+            submission: {
+              hazard: hazard
+            }
+          }
+        }
+      }, mockResult);
+    }
+
+    it("should skip a step whose condition is not met", function() {
+      var stepReview = workflowClient.stepReview(branchingSteps, getResult(false));
+
+      expect(stepReview).to.deep.equal({
+        nextStepIndex: 2,
+        complete: false
+      });
+    });
+
+    it("should include a step whose condition is met", function() {
+      var stepReview = workflowClient.stepReview(branchingSteps, getResult(true));
+
+      expect(stepReview).to.deep.equal({
+        nextStepIndex: 1,
+        complete: false
+      });
+    });
+
+    it("should not let a skipped step block completion", function() {
+      var result = getResult(false);
+      result.stepResults.signoff = {
+        status: "complete",
+        submission: {}
+      };
+
+      var stepReview = workflowClient.stepReview(branchingSteps, result);
+
+      expect(stepReview).to.deep.equal({
+        nextStepIndex: 3,
+        complete: true
+      });
+
+      expect(workflowClient.checkStatus({assignee: "mockuserid"}, {steps: branchingSteps}, result)).to.equal("complete");
+    });
+
+    it("should step back over a skipped step", function() {
+      expect(workflowClient.previousActiveStepIndex(branchingSteps, getResult(false), 2)).to.equal(0);
+      expect(workflowClient.previousActiveStepIndex(branchingSteps, getResult(true), 2)).to.equal(1);
+      expect(workflowClient.previousActiveStepIndex(branchingSteps, getResult(true), 0)).to.equal(-1);
+    });
+
+  });
+
+
+  describe("Result Revisions", function() {
+
+    var listResultsTopic = "wfm:results:list";
+    var updateResultTopic = "wfm:results:update";
+
+    beforeEach(function() {
+      this.subscribers = {};
+    });
+
+    afterEach(function() {
+      _.each(this.subscribers, function(subscriber, topic) {
+        mediator.remove(topic, subscriber.id);
+      });
+    });
+
+    it("should increment the revision of an updated result", function() {
+      this.subscribers[updateResultTopic] = mediator.subscribe(updateResultTopic, function(parameters) {
+        expect(parameters.resultToUpdate.revision).to.equal(2);
+        expect(parameters.expectedRevision).to.equal(1);
+        mediator.publish("done:" + updateResultTopic + ":" + parameters.topicUid, parameters.resultToUpdate);
+      });
+
+      var resultToUpdate = _.extend({revision: 1}, mockResult);
+
+      return workflowClient.updateResult(resultToUpdate).then(function(updatedResult) {
+        expect(updatedResult.revision).to.equal(2);
+        expect(resultToUpdate.revision).to.equal(2);
+      });
+    });
+
+    it("should not read the stored result before an update", function() {
+      this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function() {
+        throw new Error("Expected the list results topic not to be called");
+      });
+
+      this.subscribers[updateResultTopic] = mediator.subscribe(updateResultTopic, function(parameters) {
+        mediator.publish("done:" + updateResultTopic + ":" + parameters.topicUid, parameters.resultToUpdate);
+      });
+
+      return workflowClient.updateResult(_.extend({revision: 3}, mockResult));
+    });
+
+    it("should reject an update that the results module rejected as a conflict", function() {
+      this.subscribers[updateResultTopic] = mediator.subscribe(updateResultTopic, function(parameters) {
+        //The stored result is at revision 2, the update is based on revision 1.
+        mediator.publish("error:" + updateResultTopic + ":" + parameters.topicUid, {
+          code: "CONFLICT",
+          message: "Expected revision " + parameters.expectedRevision + ", the stored result is at revision 2"
+        });
+      });
+
+      return workflowClient.updateResult(_.extend({revision: 1}, mockResult)).then(function() {
+        throw new Error("Expected the update to be rejected");
+      }, function(error) {
+        expect(error).to.be.an.instanceof(ConflictError);
+        expect(error.code).to.equal("CONFLICT");
+        expect(error.message).to.contain("Expected revision 1");
+      });
+    });
+
+    it("should re-apply the changes to the latest result after a conflict", function() {
+      var client = new WorkflowClient(mediator);
+      var applyChanges = sinon.spy(function(workorder, workflow, result) {
+        result.nextStepIndex = 1;
+      });
+
+      sinon.stub(client, 'getWorkorderSummary', function() {
+        return q.when([{}, mockWorkflow, _.clone(mockResult)]);
+      });
+
+      var updateResult = sinon.stub(client, 'updateResult');
+      updateResult.onFirstCall().returns(q.reject(new ConflictError("Stale result")));
+      updateResult.onSecondCall().returns(q.when(mockResult));
+
+      return client.mergeResult(mockResult.workorderId, applyChanges).then(function(workorderSummary) {
+        expect(applyChanges.callCount).to.equal(2);
+        expect(client.getWorkorderSummary.callCount).to.equal(2);
+        expect(workorderSummary[2].nextStepIndex).to.equal(1);
+      });
+    });
+
+    it("should stop retrying after the configured number of conflicts", function() {
+      var client = new WorkflowClient(mediator, {resultConflictRetries: 1});
+
+      sinon.stub(client, 'getWorkorderSummary', function() {
+        return q.when([{}, mockWorkflow, _.clone(mockResult)]);
+      });
+
+      sinon.stub(client, 'updateResult', function() {
+        return q.reject(new ConflictError("Stale result"));
+      });
+
+      return client.mergeResult(mockResult.workorderId, _.noop).then(function() {
+        throw new Error("Expected the merge to be rejected");
+      }, function(error) {
+        expect(error).to.be.an.instanceof(ConflictError);
+        expect(client.updateResult.callCount).to.equal(2);
+      });
+    });
+
+  });
+
+  describe("Result Lookup", function() {
+
+    var listResultsTopic = "wfm:results:list";
+
+    var allResults = [
+      {id: "result1", workorderId: "workorder1"},
+      {id: "result2", workorderId: "workorder2"},
+      {id: "result3", workorderId: "workorder3"}
+    ];
+
+    beforeEach(function() {
+      this.subscribers = {};
+    });
+
+    afterEach(function() {
+      _.each(this.subscribers, function(subscriber, topic) {
+        mediator.remove(topic, subscriber.id);
+      });
+    });
+
+    it("should pass the workorder filter to the results module", function() {
+      this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+        expect(parameters.filter).to.deep.equal({workorderId: "workorder2"});
+
+        mediator.publish("done:" + listResultsTopic + ":" + parameters.topicUid, [allResults[1]]);
+      });
+
+      return workflowClient.getResultByWorkorderId("workorder2").then(function(result) {
+        expect(result).to.deep.equal(allResults[1]);
+      });
+    });
+
+    it("should filter the results if the results module does not support filtering", function() {
+      this.subscribers[listResultsTopic] = mediator.subscribe(listResultsTopic, function(parameters) {
+        mediator.publish("done:" + listResultsTopic + ":" + parameters.topicUid, allResults);
+      });
+
+      return q.all([
+        workflowClient.getResultByWorkorderId("workorder2"),
+        workflowClient.getResultByWorkorderId("unknownworkorder"),
+        workflowClient.getResultsByWorkorderIds(["workorder1", "workorder3"])
+      ]).spread(function(result, unknownResult, resultsByWorkorder) {
+        expect(result).to.deep.equal(allResults[1]);
+        expect(unknownResult).to.equal(null);
+        expect(resultsByWorkorder).to.deep.equal({
+          workorder1: allResults[0],
+          workorder3: allResults[2]
+        });
+      });
+    });
+
+  });
+
+  describe("Topic Requests", function() {
+
+    var readWorkflowTopic = "wfm:sync:workflows:read";
+    var doneReadWorkflowTopic = "done:wfm:sync:workflows:read:" + mockWorkflow.id;
+    var errorReadWorkflowTopic = "error:wfm:sync:workflows:read:" + mockWorkflow.id;
+
+    beforeEach(function() {
+      this.mediator = new mediator.Mediator();
+    });
+
+    it("should remove the subscriptions once the topic is done", function() {
+      var client = new WorkflowClient(this.mediator);
+      var testMediator = this.mediator;
+
+      sinon.spy(testMediator, 'remove');
+
+      testMediator.subscribe(readWorkflowTopic, function() {
+        testMediator.publish(doneReadWorkflowTopic, mockWorkflow);
+      });
+
+      return client.read(mockWorkflow.id).then(function(workflow) {
+        expect(workflow).to.deep.equal(mockWorkflow);
+        expect(testMediator.remove.calledWith(doneReadWorkflowTopic)).to.equal(true);
+        expect(testMediator.remove.calledWith(errorReadWorkflowTopic)).to.equal(true);
+      });
+    });
+
+    it("should use the timeout configured for the operation", function() {
+      var client = new WorkflowClient(this.mediator, {
+        topicRetries: 0,
+        topicTimeouts: {
+          "workflows:read": 10
+        }
+      });
+
+      expect(client.getTopicTimeout(client.workflowSyncSubscribers, "list")).to.equal(1000);
+
+      return client.read(mockWorkflow.id).then(function() {
+        throw new Error("Expected the read to time out");
+      }, function(error) {
+        expect(error).to.be.an.instanceof(TimeoutError);
+      });
+    });
+
+    it("should retry a read that timed out", function() {
+      var client = new WorkflowClient(this.mediator, {topicTimeout: 10, topicRetryDelay: 1});
+      var testMediator = this.mediator;
+
+      //The first request is never answered.
+      var readWorkflow = sinon.spy(function() {
+        if (readWorkflow.callCount > 1) {
+          testMediator.publish(doneReadWorkflowTopic, mockWorkflow);
+        }
+      });
+
+      testMediator.subscribe(readWorkflowTopic, readWorkflow);
+
+      return client.read(mockWorkflow.id).then(function(workflow) {
+        expect(workflow).to.deep.equal(mockWorkflow);
+        expect(readWorkflow.callCount).to.equal(2);
+      });
+    });
+
+    it("should stop retrying after the configured number of retries", function() {
+      var client = new WorkflowClient(this.mediator, {topicTimeout: 10, topicRetries: 1, topicRetryDelay: 1});
+      var readWorkflow = sinon.spy();
+
+      this.mediator.subscribe(readWorkflowTopic, readWorkflow);
+
+      return client.read(mockWorkflow.id).then(function() {
+        throw new Error("Expected the read to time out");
+      }, function(error) {
+        expect(error).to.be.an.instanceof(TimeoutError);
+        expect(readWorkflow.callCount).to.equal(2);
+      });
+    });
+
+    it("should not retry an error published to the error topic", function() {
+      var client = new WorkflowClient(this.mediator, {topicTimeout: 10, topicRetryDelay: 1});
+      var testMediator = this.mediator;
+      var readWorkflow = sinon.spy(function() {
+        testMediator.publish(errorReadWorkflowTopic, new Error("Workflow not found"));
+      });
+
+      testMediator.subscribe(readWorkflowTopic, readWorkflow);
+
+      return client.read(mockWorkflow.id).then(function() {
+        throw new Error("Expected the read to fail");
+      }, function(error) {
+        expect(error.message).to.equal("Workflow not found");
+        expect(readWorkflow.callCount).to.equal(1);
+      });
+    });
+
+  });
+
+  describe("Cache", function() {
+
+    var readWorkflowTopic = "wfm:sync:workflows:read";
+    var listResultsTopic = "wfm:results:list";
+
+    beforeEach(function() {
+      //A separate mediator, so that the cache subscriptions do not outlive the test.
+      this.mediator = new mediator.Mediator();
+      this.client = new WorkflowClient(this.mediator, {cache: true});
+
+      var testMediator = this.mediator;
+
+      this.readWorkflow = sinon.spy(function(parameters) {
+        testMediator.publish("done:" + readWorkflowTopic + ":" + parameters.topicUid, mockWorkflow);
+      });
+
+      this.listResults = sinon.spy(function(parameters) {
+        testMediator.publish("done:" + listResultsTopic + ":" + parameters.topicUid, [_.extend({revision: 1}, mockResult)]);
+      });
+
+      this.mediator.subscribe(readWorkflowTopic, this.readWorkflow);
+      this.mediator.subscribe(listResultsTopic, this.listResults);
+    });
+
+    it("should not cache anything if the cache is not enabled", function() {
+      expect(workflowClient.getCacheStats()).to.equal(null);
+    });
+
+    it("should read a cached workflow only once", function() {
+      var self = this;
+
+      return this.client.read(mockWorkflow.id).then(function() {
+        return self.client.read(mockWorkflow.id);
+      }).then(function(workflow) {
+        expect(workflow).to.deep.equal(mockWorkflow);
+        expect(self.readWorkflow.callCount).to.equal(1);
+        expect(self.client.getCacheStats().workflows).to.deep.equal({hits: 1, misses: 1, size: 1});
+      });
+    });
+
+    it("should invalidate a workflow when it is updated", function() {
+      var self = this;
+
+      return this.client.read(mockWorkflow.id).then(function() {
+        //Another module is waiting for the update of the workflow.
+        self.mediator.promise("done:wfm:sync:workflows:update:" + mockWorkflow.id);
+        self.mediator.publish("done:wfm:sync:workflows:update:" + mockWorkflow.id, mockWorkflow);
+
+        return self.client.read(mockWorkflow.id);
+      }).then(function() {
+        expect(self.readWorkflow.callCount).to.equal(2);
+      });
+    });
+
+    it("should refresh a result when it is updated", function() {
+      var self = this;
+
+      return this.client.getResultByWorkorderId(mockResult.workorderId).then(function() {
+        self.mediator.promise("done:wfm:results:update:sometopicuid");
+        self.mediator.publish("done:wfm:results:update:sometopicuid", _.extend({revision: 2}, mockResult));
+
+        return self.client.getResultByWorkorderId(mockResult.workorderId);
+      }).then(function(result) {
+        expect(result.revision).to.equal(2);
+        expect(self.listResults.callCount).to.equal(1);
+        expect(self.client.getCacheStats().results).to.deep.equal({hits: 1, misses: 1, size: 1});
+      });
+    });
+
+    it("should complete a step on the stored result rather than the cached result", function() {
+      var testMediator = new mediator.Mediator();
+      var instance = workflowModule(testMediator, {cache: true});
+      var storedResult = _.extend({revision: 1, stepResults: {}}, mockResult);
+
+      testMediator.subscribe("wfm:workorders:read", function(parameters) {
+        testMediator.publish("done:wfm:workorders:read:" + parameters.topicUid, {id: mockResult.workorderId, workflowId: mockWorkflow.id});
+      });
+      testMediator.subscribe("wfm:users:read_profile", function() {
+        testMediator.publish("done:wfm:users:read_profile", {id: "mockuserid"});
+      });
+      testMediator.subscribe(readWorkflowTopic, function(parameters) {
+        testMediator.publish("done:" + readWorkflowTopic + ":" + parameters.topicUid, mockWorkflow);
+      });
+      testMediator.subscribe(listResultsTopic, function(parameters) {
+        testMediator.publish("done:" + listResultsTopic + ":" + parameters.topicUid, [_.cloneDeep(storedResult)]);
+      });
+      testMediator.subscribe("wfm:results:update", function(parameters) {
+        storedResult = parameters.resultToUpdate;
+        testMediator.publish("done:wfm:results:update:" + parameters.topicUid, parameters.resultToUpdate);
+      });
+
+      return instance.workflowClient.getResultByWorkorderId(mockResult.workorderId).then(function() {
+        //Another device completes the first step. The cached result does not have it.
+        storedResult = _.extend({}, storedResult, {
+          revision: 2,
+          stepResults: {mockstep1code: {status: "complete", submission: {notes: "Other device"}}}
+        });
+
+        var donePromise = testMediator.promise("done:wfm:workflows:step:complete:completetopicuid");
+
+        testMediator.publish("wfm:workflows:step:complete", {
+          workorderId: mockResult.workorderId,
+          stepCode: "mockstep2code",
+          submission: {notes: "This device"},
+          topicUid: "completetopicuid"
+        });
+
+        return donePromise;
+      }).then(function() {
+        expect(storedResult.revision).to.equal(3);
+        expect(_.keys(storedResult.stepResults)).to.deep.equal(["mockstep1code", "mockstep2code"]);
+
+        instance.tearDown();
+      });
+    });
+
+    it("should add a new version of a workflow to the stored versions rather than the cached ones", function() {
+      var self = this;
+      var storedWorkflow = _.extend({}, mockWorkflow, {version: 2, versions: [_.extend({version: 1}, mockWorkflow)]});
+
+      this.mediator.subscribe("wfm:sync:workflows:update", function(parameters) {
+        self.mediator.publish("done:wfm:sync:workflows:update:" + parameters.topicUid, parameters.itemToUpdate);
+      });
+
+      return this.client.read(mockWorkflow.id).then(function() {
+        //The workflow is updated on another device. The cached workflow is still the first version.
+        self.mediator.remove(readWorkflowTopic, self.readWorkflow);
+        self.mediator.subscribe(readWorkflowTopic, function(parameters) {
+          self.mediator.publish("done:" + readWorkflowTopic + ":" + parameters.topicUid, storedWorkflow);
+        });
+
+        return self.client.createVersion(_.extend({}, mockWorkflow, {name: "Third Version"}));
+      }).then(function(updatedWorkflow) {
+        expect(updatedWorkflow.version).to.equal(3);
+        expect(_.map(updatedWorkflow.versions, 'version')).to.deep.equal([1, 2]);
+      });
+    });
+
+    it("should read the stored result again after an update is rejected as a conflict", function() {
+      var self = this;
+      var testMediator = this.mediator;
+
+      //The cached result is out of date, the results module is at revision 1.
+      this.client.cacheResult(_.extend({revision: 0}, mockResult));
+
+      this.mediator.subscribe("wfm:results:update", function(parameters) {
+        testMediator.publish("error:wfm:results:update:" + parameters.topicUid, {code: "CONFLICT", message: "The stored result is at revision 1"});
+      });
+
+      return this.client.updateResult(_.extend({revision: 0}, mockResult)).then(function() {
+        throw new Error("Expected the update to be rejected");
+      }, function(error) {
+        expect(error).to.be.an.instanceof(ConflictError);
+
+        return self.client.getResultByWorkorderId(mockResult.workorderId);
+      }).then(function(result) {
+        expect(result.revision).to.equal(1);
+      });
+    });
+
+  });
+
+  describe("Step Types", function() {
+
+    var typedSteps = [{
+      code: "approval",
+      name: "Approval",
+      type: "approval"
+    }, {
+      code: "signoff",
+      name: "Signoff"
+    }];
+
+    it("should use the step type to decide if a step is complete", function() {
+      var result = _.extend({
+        stepResults: {
+          approval: {
+            status: "complete",
+            submission: {
+              approved: false
+            }
+          }
+        }
+      }, mockResult);
+
+      expect(workflowClient.stepReview(typedSteps, result).nextStepIndex).to.equal(0);
+
+      result.stepResults.approval.submission.approved = true;
+
+      expect(workflowClient.stepReview(typedSteps, result).nextStepIndex).to.equal(1);
+    });
+
+    it("should validate a submission using the step type", function() {
+      expect(workflowClient.validateSubmission(typedSteps[0], {})).to.have.length(1);
+      expect(workflowClient.validateSubmission(typedSteps[1], {})).to.deep.equal([]);
+    });
+
+    it("should build the summary data of each step with a result", function() {
+      var result = _.extend({
+        stepResults: {
+          approval: {
+            status: "complete",
+            submitter: "mockuserid",
+            submission: {
+              approved: true,
+              comment: "All good"
+            }
+          }
+        }
+      }, mockResult);
+
+      expect(workflowClient.summariseSteps({steps: typedSteps}, result)).to.deep.equal({
+        approval: {
+          status: "complete",
+          approved: true,
+          comment: "All good",
+          approver: "mockuserid"
+        }
+      });
+    });
+
+  });
+
 });
\ No newline at end of file
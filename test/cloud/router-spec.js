@@ -0,0 +1,253 @@
+var express = require('express');
+var request = require('supertest');
+var chai = require('chai');
+var expect = chai.expect;
+var _ = require('lodash');
+var Mediator = require('fh-wfm-mediator/lib/mediator.js').Mediator;
+var config = require('../../lib/config');
+var errors = require('../../lib/errors');
+var WorkflowEngine = require('../../lib/engine');
+var workflowRouter = require('../../lib/cloud/router');
+
+/**
+ * Set of unit tests for the workflow REST endpoints
+ */
+describe('Workflow REST Router', function() {
+
+  var mockWorkflow = {
+    id: 'workflowid',
+    name: 'Mock Workflow',
+    steps: [{code: 'identification', name: 'Identification'}]
+  };
+
+  beforeEach(function() {
+    var mediator = this.mediator = new Mediator();
+    var workflows = this.workflows = {workflowid: _.cloneDeep(mockWorkflow)};
+
+    this.app = express();
+
+    //Mock of the authentication of the app.
+    this.app.use(function(req, res, next) {
+      req.user = {id: 'userid'};
+      next();
+    });
+
+    this.app.use(config.apiPath, workflowRouter(mediator, _.defaults({requestTimeout: 100}, config)));
+
+    //Mock of the cloud topic subscribers.
+    function respond(topicName, handler) {
+      mediator.subscribe('wfm:cloud:workflows:' + topicName, function(data, topicUid) {
+        var uid = topicName === 'list' ? data.topicUid : topicUid;
+        mediator.publish('done:wfm:cloud:workflows:' + topicName + ':' + uid, handler(data));
+      });
+    }
+
+    respond('list', function() {
+      return _.values(workflows);
+    });
+    respond('read', function(id) {
+      return workflows[id];
+    });
+    respond('create', function(workflow) {
+      return _.extend({id: 'createdid'}, workflow);
+    });
+    respond('update', function(workflow) {
+      workflows[workflow.id] = workflow;
+      return workflow;
+    });
+    respond('delete', function(id) {
+      var workflow = workflows[id];
+      delete workflows[id];
+      return workflow;
+    });
+  });
+
+  it('should list workflows', function() {
+    return request(this.app).get(config.apiPath).expect(200).then(function(res) {
+      expect(res.body).to.deep.equal([mockWorkflow]);
+    });
+  });
+
+  it('should pass the sort and page options of the query to the list topic', function() {
+    var self = this;
+
+    this.mediator.subscribe('wfm:cloud:workflows:list', function(listOptions) {
+      self.listOptions = listOptions;
+    });
+
+    return request(this.app).get(config.apiPath + '?name=Inspection&sort=-name&page=2&pageSize=10').expect(200).then(function() {
+      expect(_.omit(self.listOptions, 'topicUid')).to.deep.equal({
+        filter: {name: 'Inspection'},
+        sort: '-name',
+        page: '2',
+        pageSize: '10'
+      });
+    });
+  });
+
+  it('should read a workflow', function() {
+    return request(this.app).get(config.apiPath + '/workflowid').expect(200).then(function(res) {
+      expect(res.body).to.deep.equal(mockWorkflow);
+    });
+  });
+
+  it('should respond with a 404 for an unknown workflow', function() {
+    var app = this.app;
+
+    return request(app).get(config.apiPath + '/unknown').expect(404).then(function(res) {
+      expect(res.body.code).to.equal(errors.ERROR_CODES.WORKFLOW_NOT_FOUND);
+
+      return request(app).put(config.apiPath + '/unknown').send(_.omit(mockWorkflow, 'id')).expect(404);
+    }).then(function() {
+      return request(app).delete(config.apiPath + '/unknown').expect(404);
+    });
+  });
+
+  it('should create a workflow', function() {
+    return request(this.app).post(config.apiPath).send(_.omit(mockWorkflow, 'id')).expect(201).then(function(res) {
+      expect(res.body.id).to.equal('createdid');
+      expect(res.body.name).to.equal(mockWorkflow.name);
+    });
+  });
+
+  it('should respond with a 400 for an invalid workflow', function() {
+    var app = this.app;
+
+    return request(app).post(config.apiPath).send({name: 'No Steps'}).expect(400).then(function(res) {
+      expect(res.body.code).to.equal(errors.ERROR_CODES.VALIDATION_FAILED);
+      expect(res.body.violations[0].path).to.equal('steps');
+
+      return request(app).put(config.apiPath + '/workflowid').send({steps: []}).expect(400);
+    });
+  });
+
+  it('should accept the custom step types of the engine', function() {
+    var app = express();
+    var routerConfig = _.defaults({requestTimeout: 100}, config);
+    var engine = new WorkflowEngine({stepTypes: {photo: {}}});
+    var photoWorkflow = {name: 'Photo Workflow', steps: [{code: 'photo', name: 'Photo', type: 'photo'}]};
+
+    app.use(config.apiPath, workflowRouter(this.mediator, routerConfig, engine));
+
+    return request(this.app).post(config.apiPath).send(photoWorkflow).expect(400).then(function() {
+      return request(app).post(config.apiPath).send(photoWorkflow).expect(201);
+    }).then(function() {
+      return request(app).put(config.apiPath + '/workflowid').send(photoWorkflow).expect(200);
+    });
+  });
+
+  it('should update a workflow as a new version', function() {
+    var self = this;
+    var updatedWorkflow = _.extend({}, mockWorkflow, {name: 'Updated Workflow'});
+
+    return request(this.app).put(config.apiPath + '/workflowid').send(updatedWorkflow).expect(200).then(function(res) {
+      expect(res.body).to.deep.equal(_.extend({version: 2, versions: [_.extend({version: 1}, mockWorkflow)]}, updatedWorkflow));
+      expect(self.workflows.workflowid.name).to.equal('Updated Workflow');
+    });
+  });
+
+  it('should keep the version history of a workflow when it is updated', function() {
+    var self = this;
+    var firstVersion = _.extend({version: 1}, mockWorkflow, {name: 'First Version'});
+
+    this.workflows.workflowid = _.extend({}, mockWorkflow, {version: 2, versions: [firstVersion]});
+
+    //The version history in the body is ignored.
+    var updatedWorkflow = _.extend({}, mockWorkflow, {name: 'Third Version', version: 7, versions: []});
+
+    return request(this.app).put(config.apiPath + '/workflowid').send(updatedWorkflow).expect(200).then(function() {
+      var storedWorkflow = self.workflows.workflowid;
+
+      expect(storedWorkflow.name).to.equal('Third Version');
+      expect(storedWorkflow.version).to.equal(3);
+      expect(storedWorkflow.versions).to.deep.equal([firstVersion, _.extend({}, mockWorkflow, {version: 2})]);
+    });
+  });
+
+  it('should delete a workflow', function() {
+    var self = this;
+
+    return request(this.app).delete(config.apiPath + '/workflowid').expect(200).then(function(res) {
+      expect(res.body).to.deep.equal(mockWorkflow);
+      expect(self.workflows).to.deep.equal({});
+    });
+  });
+
+  it('should respond with a 504 if the cloud topic times out', function() {
+    var app = express();
+    app.use(config.apiPath, workflowRouter(new Mediator(), _.defaults({requestTimeout: 10}, config)));
+
+    return request(app).get(config.apiPath).expect(504);
+  });
+
+  describe('Steps', function() {
+
+    beforeEach(function() {
+      var mediator = this.mediator;
+      var requests = this.stepRequests = [];
+
+      //Mock of the cloud step topic subscribers.
+      _.each(['begin', 'complete', 'previous', 'summary'], function(topicName) {
+        mediator.subscribe('wfm:cloud:workflows:step:' + topicName, function(parameters, topicUid) {
+          requests.push(parameters);
+
+          if (parameters.workorderId === 'unknown') {
+            return mediator.publish('error:wfm:cloud:workflows:step:' + topicName + ':' + topicUid, new errors.NotFoundError("Workorder unknown does not exist", errors.ERROR_CODES.WORKORDER_NOT_FOUND));
+          }
+
+          if (parameters.workorderId === 'notstarted') {
+            return mediator.publish('error:wfm:cloud:workflows:step:' + topicName + ':' + topicUid, new errors.ResultNotStartedError("No result exists for workorder notstarted"));
+          }
+
+          if (parameters.stepCode === 'invalid') {
+            return mediator.publish('error:wfm:cloud:workflows:step:' + topicName + ':' + topicUid, new errors.ValidationError("Invalid submission", [{field: 'hazard'}]));
+          }
+
+          mediator.publish('done:wfm:cloud:workflows:step:' + topicName + ':' + topicUid, {nextStepIndex: 1, topicName: topicName});
+        });
+      });
+    });
+
+    it('should progress the steps of a workorder as the authenticated user', function() {
+      var self = this;
+      var app = this.app;
+
+      //A user ID in the body is ignored.
+      return request(app).post(config.apiPath + '/step/workorderid/complete').send({stepCode: 'identification', submission: {hazard: true}, userId: 'otheruserid'}).expect(200).then(function(res) {
+        expect(res.body).to.deep.equal({nextStepIndex: 1, topicName: 'complete'});
+        expect(self.stepRequests[0]).to.deep.equal({workorderId: 'workorderid', stepCode: 'identification', submission: {hazard: true}, userId: 'userid'});
+
+        return request(app).post(config.apiPath + '/step/workorderid/begin').expect(200);
+      }).then(function() {
+        return request(app).post(config.apiPath + '/step/workorderid/previous').expect(200);
+      }).then(function() {
+        return request(app).get(config.apiPath + '/step/workorderid/summary').expect(200);
+      }).then(function(res) {
+        expect(res.body.topicName).to.equal('summary');
+      });
+    });
+
+    it('should respond with a 404 for an unknown workorder', function() {
+      return request(this.app).get(config.apiPath + '/step/unknown/summary').expect(404).then(function(res) {
+        expect(res.body).to.deep.equal({
+          name: 'NotFoundError',
+          code: errors.ERROR_CODES.WORKORDER_NOT_FOUND,
+          message: 'Workorder unknown does not exist'
+        });
+      });
+    });
+
+    it('should respond with a 409 for a workorder that has not begun', function() {
+      return request(this.app).post(config.apiPath + '/step/notstarted/previous').expect(409).then(function(res) {
+        expect(res.body.code).to.equal(errors.ERROR_CODES.RESULT_NOT_STARTED);
+      });
+    });
+
+    it('should respond with a 400 for an invalid submission', function() {
+      return request(this.app).post(config.apiPath + '/step/workorderid/complete').send({stepCode: 'invalid'}).expect(400).then(function(res) {
+        expect(res.body.violations).to.deep.equal([{field: 'hazard'}]);
+      });
+    });
+  });
+
+});
@@ -1,5 +1,6 @@
 var express = require('express');
 var chai = require('chai');
+var _ = require('lodash');
 var expect = chai.expect;
 var app = express();
 var mockMbaasApi = {};
@@ -26,6 +27,25 @@ var DONE = 'done:';
  */
 describe('Workflow Sync', function() {
   var workflowServer = require('./../../lib/cloud/index.js');
+  var cloud;
+  var storageSubscriptions = [];
+
+  /**
+   * Subscribing a mock of the storage module to a cloud data topic. It is removed after the test.
+   */
+  function subscribeStorage(topic, handler) {
+    storageSubscriptions.push({topic: topic, subscription: mediator.subscribe(topic, handler)});
+  }
+
+  afterEach(function() {
+    cloud.tearDown();
+
+    _.each(storageSubscriptions, function(storageSubscription) {
+      mediator.remove(storageSubscription.topic, storageSubscription.subscription.id);
+    });
+
+    storageSubscriptions = [];
+  });
 
   //Create
   it('should publish to done create cloud topic when the request to create a workflow has been completed', function() {
@@ -33,10 +53,10 @@ describe('Workflow Sync', function() {
     var expectedWorkflowVal = "test-workflow-create";
     var topicId = "testId";
 
-    workflowServer(mediator, app, mockMbaasApi);
+    cloud = workflowServer(mediator, app, mockMbaasApi);
 
     //Mock of the data topic subscriber in the storage module
-    mediator.subscribe(CLOUD_DATA_TOPICS.create, function(createdWorkflow) {
+    subscribeStorage(CLOUD_DATA_TOPICS.create, function(createdWorkflow) {
       //Publish to done create data topic to fake workflow creation by storage module
       mediator.publish(DONE + CLOUD_DATA_TOPICS.create + ':' + createdWorkflow.id, createdWorkflow);
     });
@@ -60,10 +80,10 @@ describe('Workflow Sync', function() {
       {id: 'test-workflow-2', value:'test-workflow'},
       {id: 'test-workflow-3', value:'test-workflow'}];
 
-    workflowServer(mediator, app, mockMbaasApi);
+    cloud = workflowServer(mediator, app, mockMbaasApi);
 
     //Mock of the data topic subscriber in the storage module
-    mediator.subscribe(CLOUD_DATA_TOPICS.list, function(filter) {
+    subscribeStorage(CLOUD_DATA_TOPICS.list, function(filter) {
       //Publish to done list data topic to fake getting the list of workflows by storage module
       mediator.publish(DONE + CLOUD_DATA_TOPICS.list + ":" + filter.topicUid, mockWorkflowArray);
     });
@@ -81,15 +101,15 @@ describe('Workflow Sync', function() {
     var mockWorkflowUpdated = {id:'testID', value: 'workflow-updated'};
     var expectedWorkflowUpdated = {id:'testID', value: 'workflow-updated'};
 
-    workflowServer(mediator, app, mockMbaasApi);
+    cloud = workflowServer(mediator, app, mockMbaasApi);
 
     //Mock of the data topic subscriber in the storage module
-    mediator.subscribe(CLOUD_DATA_TOPICS.update, function(workflowToUpdate) {
+    subscribeStorage(CLOUD_DATA_TOPICS.update, function(workflowToUpdate) {
       //Publish to done update data topic to fake getting the update of workflows by storage module
       mediator.publish(DONE + CLOUD_DATA_TOPICS.update + ':' + workflowToUpdate.id, workflowToUpdate);
     });
 
-    mediator.request(CLOUD_TOPICS.update, mockWorkflowUpdated, {uid: mockWorkflowUpdated.id}).then(function(updatedWorkflow) {
+    return mediator.request(CLOUD_TOPICS.update, mockWorkflowUpdated, {uid: mockWorkflowUpdated.id}).then(function(updatedWorkflow) {
       expect(updatedWorkflow, 'Updated workflow received should not be null or undefined').to.exist;
       expect(updatedWorkflow, 'Updated workflow received should be an object').to.be.an('object');
       expect(updatedWorkflow, 'Updated workflow received should have the same value as the updated workflow sent by the mock storage module').to.deep.equal(expectedWorkflowUpdated);
@@ -102,10 +122,10 @@ describe('Workflow Sync', function() {
     var expectedWorkflowRead = {id:'testID', value: 'workflow-read'};
     var uid = "testID";
 
-    workflowServer(mediator, app, mockMbaasApi);
+    cloud = workflowServer(mediator, app, mockMbaasApi);
 
     //Mock of the data topic subscriber in the storage module
-    mediator.subscribe(CLOUD_DATA_TOPICS.read, function(uid) {
+    subscribeStorage(CLOUD_DATA_TOPICS.read, function(uid) {
       //Publish to done read data topic to fake the reading of workflows by storage module
       mediator.publish(DONE + CLOUD_DATA_TOPICS.read + ':' + uid, mockWorkflowRead);
     });
@@ -123,10 +143,10 @@ describe('Workflow Sync', function() {
     var expectedWorkflowDeleted = {id:'testID', value: 'workflow-deleted'};
     var uid = "testID";
 
-    workflowServer(mediator, app, mockMbaasApi);
+    cloud = workflowServer(mediator, app, mockMbaasApi);
 
     //Mock of the data topic subscriber in the storage module
-    mediator.subscribe(CLOUD_DATA_TOPICS.delete, function(uid) {
+    subscribeStorage(CLOUD_DATA_TOPICS.delete, function(uid) {
       //Publish to done delete data topic to fake the deleteing of workflows by storage module
       mediator.publish(DONE + CLOUD_DATA_TOPICS.delete + ':' + uid, mockWorkflowDelete);
     });
@@ -138,4 +158,117 @@ describe('Workflow Sync', function() {
     });
   });
 
+  it('should use the topic prefixes and entity name passed in the config', function() {
+    var mockChecklist = {id: 'testID', value: 'checklist-read'};
+
+    //A second workflow domain on the same mediator.
+    cloud = workflowServer(mediator, app, mockMbaasApi, {
+      cloudTopicPrefix: 'tenant:cloud',
+      cloudDataTopicPrefix: 'tenant:cloud:data',
+      datasetId: 'checklists'
+    });
+
+    subscribeStorage('tenant:cloud:data:checklists:read', function(uid) {
+      mediator.publish(DONE + 'tenant:cloud:data:checklists:read:' + uid, mockChecklist);
+    });
+
+    return mediator.request('tenant:cloud:checklists:read', 'testID').then(function(readChecklist) {
+      expect(readChecklist).to.deep.equal(mockChecklist);
+    });
+  });
+
+  it('should answer the cloud topics with the bundled store', function() {
+    cloud = workflowServer(mediator, app, mockMbaasApi, {store: true});
+
+    return mediator.request('wfm:cloud:workflows:create', [{value: 'stored-workflow'}, 'storedTopicId'], {uid: 'storedTopicId'}).then(function(createdWorkflow) {
+      return mediator.request('wfm:cloud:workflows:read', createdWorkflow.id);
+    }).then(function(readWorkflow) {
+      expect(readWorkflow.value).to.equal('stored-workflow');
+    });
+  });
+
+  it('should remove its subscriptions when it is torn down', function() {
+    cloud = workflowServer(mediator, app, mockMbaasApi, {store: true});
+    cloud.tearDown();
+
+    _.each(['wfm:cloud:workflows:read', 'wfm:cloud:workflows:step:begin', 'wfm:cloud:data:workflows:read'], function(topic) {
+      expect(mediator.getChannel(topic)._subscribers, topic).to.deep.equal([]);
+    });
+  });
+
+  it('should sort and page the workflows listed by a storage module that returns every workflow', function() {
+    cloud = workflowServer(mediator, app, mockMbaasApi);
+
+    subscribeStorage('wfm:cloud:data:workflows:list', function(filter, listOptions) {
+      expect(filter).to.deep.equal({name: 'Inspection', topicUid: 'pagedTopicId'});
+      expect(listOptions).to.deep.equal({sort: '-id', page: 2, pageSize: 2});
+
+      mediator.publish(DONE + 'wfm:cloud:data:workflows:list:' + filter.topicUid, [{id: 'workflow1', name: 'Inspection'}, {id: 'workflow2', name: 'Inspection'}, {id: 'workflow3', name: 'Inspection'}]);
+    });
+
+    return mediator.request('wfm:cloud:workflows:list', {
+      filter: {name: 'Inspection'},
+      sort: '-id',
+      page: 2,
+      pageSize: 2,
+      topicUid: 'pagedTopicId'
+    }, {uid: 'pagedTopicId'}).then(function(workflowPage) {
+      expect(workflowPage).to.deep.equal({items: [{id: 'workflow1', name: 'Inspection'}], total: 3, page: 2, pageSize: 2});
+    });
+  });
+
+  it('should filter the workflows listed by a storage module that returns every workflow and return the total', function() {
+    cloud = workflowServer(mediator, app, mockMbaasApi);
+
+    subscribeStorage('wfm:cloud:data:workflows:list', function(filter) {
+      mediator.publish(DONE + 'wfm:cloud:data:workflows:list:' + filter.topicUid, [{id: 'workflow1', name: 'Inspection'}, {id: 'workflow2', name: 'Audit'}]);
+    });
+
+    return mediator.request('wfm:cloud:workflows:list', {
+      filter: {name: 'Inspection'},
+      topicUid: 'filteredTopicId'
+    }, {uid: 'filteredTopicId'}).then(function(workflowList) {
+      expect(workflowList).to.deep.equal({items: [{id: 'workflow1', name: 'Inspection'}], total: 1});
+    });
+  });
+
+  describe('storage errors', function() {
+    var ERROR = 'error:';
+    var storageError = new Error('Storage failure');
+
+    beforeEach(function() {
+      cloud = workflowServer(mediator, app, mockMbaasApi, {datasetId: 'workflows'});
+
+      _.each(['create', 'update', 'read', 'delete'], function(topicName) {
+        subscribeStorage('wfm:cloud:data:workflows:' + topicName, function(data) {
+          mediator.publish(ERROR + 'wfm:cloud:data:workflows:' + topicName + ':' + (data.id || data), storageError);
+        });
+      });
+    });
+
+    function expectStorageError(topicName, parameters, topicUid) {
+      return mediator.request('wfm:cloud:workflows:' + topicName, parameters, {uid: topicUid}).then(function() {
+        throw new Error('Expected the ' + topicName + ' request to fail');
+      }, function(error) {
+        expect(error).to.equal(storageError);
+      });
+    }
+
+    it('should publish to the error create cloud topic of the caller', function() {
+      return expectStorageError('create', [{value: 'test-workflow-create'}, 'createTopicId'], 'createTopicId');
+    });
+
+    it('should publish to the error update cloud topic of the caller', function() {
+      return expectStorageError('update', [{id: 'testID', value: 'workflow-updated'}, 'updateTopicId'], 'updateTopicId');
+    });
+
+    it('should publish to the error read cloud topic of the caller', function() {
+      return expectStorageError('read', 'testID', 'testID');
+    });
+
+    it('should publish to the error delete cloud topic of the caller', function() {
+      return expectStorageError('delete', ['testID', 'deleteTopicId'], 'deleteTopicId');
+    });
+  });
+
 });
@@ -0,0 +1,236 @@
+var chai = require('chai');
+var expect = chai.expect;
+var _ = require('lodash');
+var q = require('q');
+var mediator = require('fh-wfm-mediator/lib/mediator.js');
+var CONSTANTS = require('../../lib/constants');
+var errors = require('../../lib/errors');
+var config = require('../../lib/config');
+var fixtures = require('../fixtures');
+var workflowSteps = require('../../lib/cloud/steps');
+
+/**
+ * Set of unit tests for the cloud workflow step topics
+ */
+describe('Workflow Cloud Steps', function() {
+
+  //Different prefixes to the other cloud tests, as the cloud topics are subscribed to on the same mediator.
+  var stepsConfig = _.defaults({
+    cloudTopicPrefix: 'wfm:cloudsteps',
+    cloudDataTopicPrefix: 'wfm:cloudsteps:data',
+    resultConflictRetries: 0
+  }, config);
+
+  var STEP_TOPIC_PREFIX = 'wfm:cloudsteps:workflows:step:';
+  var DATA_TOPIC_PREFIX = 'wfm:cloudsteps:data:';
+
+  function requestStep(topicName, parameters) {
+    var topicUid = _.uniqueId('steprequest');
+
+    return mediator.request(STEP_TOPIC_PREFIX + topicName, [parameters, topicUid], {uid: topicUid, timeout: 1000});
+  }
+
+  beforeEach(function() {
+    var self = this;
+
+    this.workorders = {mockworkorderid: fixtures.mockWorkorder()};
+    this.workflows = {mockworkflowid: fixtures.mockWorkflow()};
+    this.results = {};
+    this.subscriptions = [];
+
+    this.workflowSteps = workflowSteps(mediator, stepsConfig);
+
+    //Mock of the data topic subscribers in the storage modules
+    function respond(topicName, handler) {
+      var topic = DATA_TOPIC_PREFIX + topicName;
+
+      self.subscriptions.push({
+        topic: topic,
+        subscription: mediator.subscribe(topic, function() {
+          var response = handler.apply(null, arguments);
+
+          if (response[2]) {
+            mediator.publish('error:' + topic + ':' + response[0], response[2]);
+          } else {
+            mediator.publish('done:' + topic + ':' + response[0], response[1]);
+          }
+        })
+      });
+    }
+
+    respond('workorders:read', function(id) {
+      return [id, self.workorders[id]];
+    });
+    respond('workflows:read', function(id) {
+      return [id, self.workflows[id]];
+    });
+    respond('results:list', function(filter) {
+      return [filter.topicUid, _.values(self.results)];
+    });
+    respond('results:create', function(result) {
+      self.results[result.id] = _.cloneDeep(result);
+      return [result.id, result];
+    });
+    respond('results:update', function(result, updateOptions) {
+      var storedRevision = self.results[result.id].revision || 0;
+
+      //Storage modules check the expected revision when they write the result.
+      if (updateOptions.expectedRevision !== storedRevision) {
+        return [result.id, null, {code: errors.ERROR_CODES.CONFLICT, message: 'The stored result is at revision ' + storedRevision}];
+      }
+
+      self.results[result.id] = _.cloneDeep(result);
+      return [result.id, result];
+    });
+  });
+
+  afterEach(function() {
+    this.workflowSteps.tearDown();
+
+    _.each(this.subscriptions, function(subscription) {
+      mediator.remove(subscription.topic, subscription.subscription.id);
+    });
+  });
+
+  it('should begin a workflow by creating its result', function() {
+    var self = this;
+
+    return requestStep(CONSTANTS.STEP_TOPICS.BEGIN, {workorderId: 'mockworkorderid'}).then(function(stepProgress) {
+      var storedResult = _.values(self.results)[0];
+
+      expect(stepProgress.nextStepIndex).to.equal(0);
+      expect(stepProgress.step.code).to.equal('mockstep1code');
+      expect(stepProgress.result.id).to.equal(storedResult.id);
+      expect(storedResult.workorderId).to.equal('mockworkorderid');
+      expect(storedResult.revision).to.equal(0);
+    });
+  });
+
+  it('should complete a step and store the result', function() {
+    var self = this;
+    var stepCompletedPromise = mediator.promise('wfm:cloudsteps:workflows:events:step_completed');
+    var stepRevertedPromise = mediator.promise('wfm:cloudsteps:workflows:events:step_reverted');
+
+    return requestStep(CONSTANTS.STEP_TOPICS.BEGIN, {workorderId: 'mockworkorderid'}).then(function() {
+      return requestStep(CONSTANTS.STEP_TOPICS.COMPLETE, {
+        workorderId: 'mockworkorderid',
+        stepCode: 'mockstep1code',
+        submission: {notes: 'Done on the portal'},
+        userId: 'portaluserid'
+      });
+    }).then(function(stepProgress) {
+      var storedResult = _.values(self.results)[0];
+
+      expect(stepProgress.nextStepIndex).to.equal(1);
+      expect(stepProgress.step.code).to.equal('mockstep2code');
+      expect(storedResult.revision).to.equal(1);
+      expect(storedResult.stepResults.mockstep1code.submission).to.deep.equal({notes: 'Done on the portal'});
+      expect(storedResult.stepResults.mockstep1code.submitter).to.equal('portaluserid');
+
+      return requestStep(CONSTANTS.STEP_TOPICS.PREVIOUS, {workorderId: 'mockworkorderid', userId: 'portaluserid'});
+    }).then(function(stepProgress) {
+      expect(stepProgress.nextStepIndex).to.equal(0);
+      expect(_.values(self.results)[0].revision).to.equal(2);
+
+      return requestStep(CONSTANTS.STEP_TOPICS.SUMMARY, {workorderId: 'mockworkorderid'});
+    }).then(function(summary) {
+      expect(summary.status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+      expect(summary.nextStepIndex).to.equal(1);
+      expect(_.keys(summary.stepSummaries)).to.deep.equal(['mockstep1code']);
+
+      return q.all([stepCompletedPromise, stepRevertedPromise]);
+    }).then(function(events) {
+      expect(_.pick(events[0], ['workorderId', 'workflowId', 'stepCode', 'userId'])).to.deep.equal({
+        workorderId: 'mockworkorderid',
+        workflowId: 'mockworkflowid',
+        stepCode: 'mockstep1code',
+        userId: 'portaluserid'
+      });
+      expect(events[1].stepCode).to.equal('mockstep1code');
+    });
+  });
+
+  it('should not broadcast a step completed event for a submission that does not complete the step', function() {
+    var self = this;
+    var stepCompletedEvents = [];
+    var eventTopic = 'wfm:cloudsteps:workflows:events:step_completed';
+    var eventSubscription = mediator.subscribe(eventTopic, function(event) {
+      stepCompletedEvents.push(event);
+    });
+
+    this.workflows.mockworkflowid.steps[0].type = CONSTANTS.STEP_TYPES.APPROVAL;
+
+    return requestStep(CONSTANTS.STEP_TOPICS.BEGIN, {workorderId: 'mockworkorderid'}).then(function() {
+      return requestStep(CONSTANTS.STEP_TOPICS.COMPLETE, {
+        workorderId: 'mockworkorderid',
+        stepCode: 'mockstep1code',
+        submission: {approved: false, comment: 'Not finished'},
+        userId: 'portaluserid'
+      });
+    }).then(function(stepProgress) {
+      mediator.remove(eventTopic, eventSubscription.id);
+
+      expect(stepProgress.nextStepIndex).to.equal(0);
+      expect(_.values(self.results)[0].stepResults.mockstep1code.status).to.equal(CONSTANTS.STATUS.PENDING);
+      expect(stepCompletedEvents).to.deep.equal([]);
+    });
+  });
+
+  it('should convert the display label stored as the status of an older result', function() {
+    this.results.legacyresultid = {
+      id: 'legacyresultid',
+      workorderId: 'mockworkorderid',
+      status: CONSTANTS.STATUS.PENDING_DISPLAY,
+      nextStepIndex: 0,
+      stepResults: {}
+    };
+
+    return requestStep(CONSTANTS.STEP_TOPICS.SUMMARY, {workorderId: 'mockworkorderid', locale: 'en-GB'}).then(function(summary) {
+      expect(summary.result.status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+      expect(summary.statusLabel).to.equal(CONSTANTS.STATUS.PENDING_DISPLAY);
+    });
+  });
+
+  it('should publish a conflict if the result was changed by someone else', function() {
+    var self = this;
+
+    return requestStep(CONSTANTS.STEP_TOPICS.BEGIN, {workorderId: 'mockworkorderid'}).then(function() {
+      //Another system updates the stored result between every read and write.
+      var listSubscription = _.find(self.subscriptions, {topic: DATA_TOPIC_PREFIX + 'results:list'});
+      mediator.remove(listSubscription.topic, listSubscription.subscription.id);
+
+      listSubscription.subscription = mediator.subscribe(listSubscription.topic, function(filter) {
+        var results = _.cloneDeep(_.values(self.results));
+        _.values(self.results)[0].revision += 1;
+        mediator.publish('done:' + listSubscription.topic + ':' + filter.topicUid, results);
+      });
+
+      return requestStep(CONSTANTS.STEP_TOPICS.COMPLETE, {workorderId: 'mockworkorderid', stepCode: 'mockstep1code'});
+    }).then(function() {
+      throw new Error('The step should not be completed');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(errors.ConflictError);
+      expect(err.code).to.equal(errors.ERROR_CODES.CONFLICT);
+      expect(_.values(self.results)[0].stepResults).to.deep.equal({});
+    });
+  });
+
+  it('should publish an error for a step of a workflow that has not begun', function() {
+    return requestStep(CONSTANTS.STEP_TOPICS.COMPLETE, {workorderId: 'mockworkorderid', stepCode: 'mockstep1code'}).then(function() {
+      throw new Error('The step should not be completed');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(errors.ResultNotStartedError);
+      expect(err.code).to.equal(errors.ERROR_CODES.RESULT_NOT_STARTED);
+    });
+  });
+
+  it('should publish an error for an unknown workorder', function() {
+    return requestStep(CONSTANTS.STEP_TOPICS.SUMMARY, {workorderId: 'unknownworkorderid'}).then(function() {
+      throw new Error('The workorder should not be summarised');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(errors.NotFoundError);
+      expect(err.code).to.equal(errors.ERROR_CODES.WORKORDER_NOT_FOUND);
+      expect(err.message).to.contain('unknownworkorderid');
+    });
+  });
+});
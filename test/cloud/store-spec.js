@@ -0,0 +1,152 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Mediator = require('fh-wfm-mediator/lib/mediator.js').Mediator;
+var WorkflowStore = require('../../lib/cloud/store');
+
+var DONE = 'done:';
+var ERROR = 'error:';
+
+/**
+ * Set of unit tests for the bundled workflow store
+ */
+describe('Workflow Store', function() {
+
+  var mockWorkflow = {id: 'workflowid', name: 'Inspection', steps: []};
+  var otherWorkflow = {id: 'otherworkflowid', name: 'Signoff', steps: []};
+
+  function requestDataTopic(mediator, topicName, data, topicUid) {
+    var donePromise = mediator.promise(DONE + 'wfm:cloud:data:workflows:' + topicName + ':' + topicUid);
+
+    mediator.publish('wfm:cloud:data:workflows:' + topicName, data);
+
+    return donePromise;
+  }
+
+  beforeEach(function() {
+    this.mediator = new Mediator();
+  });
+
+  it('should create, read, update and delete workflows in memory', function() {
+    var mediator = this.mediator;
+    var store = new WorkflowStore(mediator);
+
+    return requestDataTopic(mediator, 'create', mockWorkflow, mockWorkflow.id).then(function(createdWorkflow) {
+      expect(createdWorkflow).to.deep.equal(mockWorkflow);
+
+      return requestDataTopic(mediator, 'update', {id: 'workflowid', name: 'Updated', steps: []}, mockWorkflow.id);
+    }).then(function() {
+      return requestDataTopic(mediator, 'read', mockWorkflow.id, mockWorkflow.id);
+    }).then(function(readWorkflow) {
+      expect(readWorkflow.name).to.equal('Updated');
+
+      return requestDataTopic(mediator, 'delete', mockWorkflow.id, mockWorkflow.id);
+    }).then(function(deletedWorkflow) {
+      expect(deletedWorkflow.name).to.equal('Updated');
+
+      return requestDataTopic(mediator, 'read', mockWorkflow.id, mockWorkflow.id);
+    }).then(function(readWorkflow) {
+      expect(readWorkflow).to.equal(null);
+
+      store.tearDown();
+    });
+  });
+
+  it('should filter the list of workflows', function() {
+    var mediator = this.mediator;
+    var store = new WorkflowStore(mediator);
+
+    return store.save(mockWorkflow).then(function() {
+      return store.save(otherWorkflow);
+    }).then(function() {
+      return requestDataTopic(mediator, 'list', {name: 'Signoff', topicUid: 'listuid'}, 'listuid');
+    }).then(function(workflows) {
+      expect(workflows).to.deep.equal({items: [otherWorkflow], total: 1});
+
+      return requestDataTopic(mediator, 'list', {topicUid: 'listuid'}, 'listuid');
+    }).then(function(workflows) {
+      expect(workflows).to.have.length(2);
+
+      store.tearDown();
+    });
+  });
+
+  it('should sort and page the list of workflows', function() {
+    var mediator = this.mediator;
+    var store = new WorkflowStore(mediator);
+
+    return store.save(mockWorkflow).then(function() {
+      return store.save(otherWorkflow);
+    }).then(function() {
+      var donePromise = mediator.promise(DONE + 'wfm:cloud:data:workflows:list:listuid');
+
+      mediator.publish('wfm:cloud:data:workflows:list', {topicUid: 'listuid'}, {sort: '-name', page: 1, pageSize: 1});
+
+      return donePromise;
+    }).then(function(workflowPage) {
+      expect(workflowPage).to.deep.equal({items: [otherWorkflow], total: 2, page: 1, pageSize: 1});
+
+      store.tearDown();
+    });
+  });
+
+  it('should publish an error when updating an unknown workflow', function() {
+    var mediator = this.mediator;
+    var store = new WorkflowStore(mediator);
+    var errorPromise = mediator.promise(ERROR + 'wfm:cloud:data:workflows:update:unknown');
+
+    mediator.publish('wfm:cloud:data:workflows:update', {id: 'unknown'});
+
+    return errorPromise.then(function(error) {
+      expect(error.message).to.contain('does not exist');
+
+      store.tearDown();
+    });
+  });
+
+  it('should keep the workflows in a file across restarts', function() {
+    var file = path.join(os.tmpdir(), 'wfm-workflow-store-' + Date.now() + '.json');
+    var mediator = this.mediator;
+    var store = new WorkflowStore(mediator, {file: file});
+
+    return requestDataTopic(mediator, 'create', mockWorkflow, mockWorkflow.id).then(function() {
+      store.tearDown();
+
+      //A new store, as after a restart.
+      var restartedStore = new WorkflowStore(new Mediator(), {file: file});
+
+      expect(restartedStore.read(mockWorkflow.id)).to.deep.equal(mockWorkflow);
+
+      fs.unlinkSync(file);
+    });
+  });
+
+  it('should not keep a change that failed to save, and save the changes after it', function() {
+    //The file can't be written while there is a directory in its place.
+    var file = path.join(os.tmpdir(), 'wfm-workflow-store-' + Date.now() + '.json');
+    var store = new WorkflowStore(this.mediator, {file: file});
+
+    fs.mkdirSync(file);
+
+    return store.save(mockWorkflow).then(function() {
+      throw new Error('Expected the save to fail');
+    }, function(err) {
+      expect(err).to.be.an.instanceof(Error);
+      expect(store.read(mockWorkflow.id)).to.equal(null);
+
+      fs.rmdirSync(file);
+
+      return store.save(otherWorkflow);
+    }).then(function() {
+      expect(store.read(otherWorkflow.id)).to.deep.equal(otherWorkflow);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal([otherWorkflow]);
+      expect(fs.existsSync(file + '.tmp')).to.equal(false);
+
+      store.tearDown();
+      fs.unlinkSync(file);
+    });
+  });
+
+});
@@ -0,0 +1,230 @@
+var chai = require('chai');
+var expect = chai.expect;
+var CONSTANTS = require('./../lib/constants');
+var errors = require('./../lib/errors');
+var WorkflowEngine = require('./../lib/engine');
+var fixtures = require('./fixtures');
+
+describe("Workflow Engine", function() {
+
+  var engine = new WorkflowEngine();
+
+  var mockWorkorder = fixtures.mockWorkorder();
+
+  var mockWorkflow = fixtures.mockWorkflow();
+  mockWorkflow.steps[1].schema = {
+    hazard: {type: "boolean", required: true}
+  };
+
+  it("should begin a new result at the first step", function() {
+    var result = engine.newResult(mockWorkorder.id, mockWorkorder.assignee, mockWorkflow);
+
+    engine.beginResult(mockWorkorder, mockWorkflow, result);
+
+    var stepProgress = engine.getStepProgress(mockWorkorder, mockWorkflow, result);
+
+    expect(result.workflowVersion).to.equal(1);
+    expect(result.status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+    expect(stepProgress.nextStepIndex).to.equal(0);
+    expect(stepProgress.step).to.deep.equal(mockWorkflow.steps[0]);
+    expect(stepProgress.draft).to.equal(null);
+  });
+
+  it("should complete a step and move to the next step", function() {
+    var result = engine.newResult(mockWorkorder.id, mockWorkorder.assignee, mockWorkflow);
+
+    var stepResult = engine.completeStep(mockWorkorder, mockWorkflow, result, {
+      stepCode: "mockstep1code",
+      submission: {notes: "Some notes"},
+      userId: "mockuserid"
+    });
+
+    expect(stepResult.status).to.equal(CONSTANTS.STATUS.COMPLETE);
+    expect(stepResult.submitter).to.equal("mockuserid");
+    expect(result.stepResults.mockstep1code).to.equal(stepResult);
+    expect(result.nextStepIndex).to.equal(1);
+    expect(result.history[0].action).to.equal(CONSTANTS.HISTORY_ACTIONS.COMPLETE);
+
+    engine.completeStep(mockWorkorder, mockWorkflow, result, {
+      stepCode: "mockstep2code",
+      submission: {hazard: false},
+      userId: "mockuserid"
+    });
+
+    expect(result.status).to.equal(CONSTANTS.RESULT_STATUS.COMPLETE);
+    expect(result.nextStepIndex).to.equal(2);
+  });
+
+  it("should only record a re-completion of a step that was submitted before", function() {
+    var result = engine.newResult(mockWorkorder.id, mockWorkorder.assignee, mockWorkflow);
+
+    //A draft saved for the step is not an earlier submission.
+    result.stepResults = {
+      mockstep1code: {submission: {notes: "Draft notes"}, status: CONSTANTS.STATUS.PENDING, draft: true, submitter: "mockuserid"}
+    };
+
+    engine.completeStep(mockWorkorder, mockWorkflow, result, {stepCode: "mockstep1code", submission: {notes: "Some notes"}, userId: "mockuserid"});
+
+    expect(result.history[0].action).to.equal(CONSTANTS.HISTORY_ACTIONS.COMPLETE);
+    expect(result.history[0].previousSubmission).to.equal(null);
+
+    engine.completeStep(mockWorkorder, mockWorkflow, result, {stepCode: "mockstep1code", submission: {notes: "Other notes"}, userId: "mockuserid"});
+
+    expect(result.history[1].action).to.equal(CONSTANTS.HISTORY_ACTIONS.RECOMPLETE);
+    expect(result.history[1].previousSubmission).to.deep.equal({notes: "Some notes"});
+  });
+
+  it("should only offer a step result saved as a draft as the draft", function() {
+    var approvalWorkflow = {
+      id: "approvalworkflowid",
+      version: 1,
+      steps: [{code: "approvalcode", name: "Approval", type: CONSTANTS.STEP_TYPES.APPROVAL}]
+    };
+    var result = engine.newResult(mockWorkorder.id, mockWorkorder.assignee, approvalWorkflow);
+
+    //A rejected approval is pending, but it is not a draft.
+    var stepResult = engine.completeStep(mockWorkorder, approvalWorkflow, result, {stepCode: "approvalcode", submission: {approved: false}, userId: "mockuserid"});
+
+    expect(stepResult.status).to.equal(CONSTANTS.STATUS.PENDING);
+    expect(engine.getDraft(approvalWorkflow.steps[0], result)).to.equal(null);
+
+    engine.completeStep(mockWorkorder, approvalWorkflow, result, {stepCode: "approvalcode", submission: {approved: true}, userId: "mockuserid"});
+
+    expect(result.history[1].action).to.equal(CONSTANTS.HISTORY_ACTIONS.RECOMPLETE);
+
+    //A step reopened with the goto topic is pending, but it is not a draft either.
+    result.stepResults.approvalcode.status = CONSTANTS.STATUS.PENDING;
+
+    expect(engine.getDraft(approvalWorkflow.steps[0], result)).to.equal(null);
+
+    result.stepResults.approvalcode = {submission: {comment: "Nearly there"}, status: CONSTANTS.STATUS.PENDING, draft: true};
+
+    expect(engine.getDraft(approvalWorkflow.steps[0], result)).to.deep.equal({comment: "Nearly there"});
+  });
+
+  it("should reject a step that can't be completed", function() {
+    var result = engine.newResult(mockWorkorder.id, mockWorkorder.assignee, mockWorkflow);
+
+    expect(function() {
+      engine.completeStep(mockWorkorder, mockWorkflow, null, {stepCode: "mockstep1code"});
+    }).to.throw(errors.ResultNotStartedError, "No result exists");
+
+    expect(function() {
+      engine.completeStep(mockWorkorder, mockWorkflow, result, {stepCode: "unknownstepcode"});
+    }).to.throw(errors.InvalidStepError, "Invalid step");
+
+    var validationError = null;
+
+    try {
+      engine.completeStep(mockWorkorder, mockWorkflow, result, {stepCode: "mockstep2code", submission: {}});
+    } catch (err) {
+      validationError = err;
+    }
+
+    expect(validationError).to.be.an.instanceof(errors.ValidationError);
+    expect(validationError.violations[0].field).to.equal("hazard");
+
+    expect(result.stepResults).to.deep.equal({});
+  });
+
+  it("should move back to the previous step", function() {
+    var result = engine.newResult(mockWorkorder.id, mockWorkorder.assignee, mockWorkflow);
+
+    engine.completeStep(mockWorkorder, mockWorkflow, result, {stepCode: "mockstep1code", userId: "mockuserid"});
+    engine.previousStep(mockWorkorder, mockWorkflow, result, {userId: "mockuserid"});
+
+    expect(result.nextStepIndex).to.equal(0);
+    expect(result.history[1].action).to.equal(CONSTANTS.HISTORY_ACTIONS.PREVIOUS);
+    expect(engine.getStepProgress(mockWorkorder, mockWorkflow, result).step).to.deep.equal(mockWorkflow.steps[0]);
+
+    engine.previousStep(mockWorkorder, mockWorkflow, result, {userId: "mockuserid"});
+
+    expect(result.nextStepIndex).to.equal(-1);
+    expect(engine.getStepProgress(mockWorkorder, mockWorkflow, result).step).to.equal(null);
+  });
+
+  it("should summarise a workflow that has not begun", function() {
+    var summary = engine.summarise(mockWorkorder, mockWorkflow, null);
+
+    expect(summary.status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+    expect(summary.statusLabel).to.equal("In Progress");
+    expect(summary.nextStepIndex).to.equal(0);
+    expect(summary.stepSummaries).to.deep.equal({});
+  });
+
+  describe("Workflow Statistics", function() {
+
+    var workorders = [
+      {id: "workorder1", workflowId: "mockworkflowid", assignee: "mockuserid"},
+      {id: "workorder2", workflowId: "mockworkflowid", assignee: "mockuserid"},
+      {id: "workorder3", workflowId: "mockworkflowid", assignee: "mockuserid"},
+      {id: "workorder4", workflowId: "mockworkflowid"}
+    ];
+
+    var results = [{
+      workorderId: "workorder1",
+      stepResults: {
+        mockstep1code: {status: "complete", timestamp: 1000},
+        mockstep2code: {status: "complete", timestamp: 4000, submission: {hazard: true}}
+      }
+    }, {
+      workorderId: "workorder2",
+      stepResults: {
+        mockstep1code: {status: "complete", timestamp: 2000},
+        mockstep2code: {status: "pending", timestamp: 2500}
+      }
+    }, {
+      workorderId: "workorder3",
+      stepResults: {
+        mockstep1code: {status: "complete", timestamp: 10000},
+        mockstep2code: {status: "complete", timestamp: 11000, submission: {hazard: false}}
+      }
+    }];
+
+    it("should count the workorders in each status and the completions of each step", function() {
+      var stats = engine.buildWorkflowStats(mockWorkflow, workorders, results);
+
+      expect(stats.total).to.equal(4);
+      expect(stats.statusCounts).to.deep.equal({new: 0, unassigned: 1, in_progress: 1, complete: 2});
+      expect(stats.steps).to.deep.equal([
+        {code: "mockstep1code", name: "Mock Step 1", completed: 3, current: 0, medianDuration: null},
+        {code: "mockstep2code", name: "Mock Step 2", completed: 2, current: 1, medianDuration: 2000}
+      ]);
+      expect(stats.medianStepDuration).to.equal(2000);
+    });
+
+    it("should only include the step completions in the date range", function() {
+      var stats = engine.buildWorkflowStats(mockWorkflow, workorders, results, {from: 3000, to: new Date(10500).toISOString()});
+
+      expect(stats.from).to.equal(3000);
+      expect(stats.to).to.equal(10500);
+      expect(stats.total).to.equal(2);
+      expect(stats.statusCounts.complete).to.equal(2);
+      expect(stats.steps[0].completed).to.equal(1);
+      expect(stats.steps[1].completed).to.equal(1);
+      expect(stats.steps[1].medianDuration).to.equal(3000);
+    });
+
+    it("should read a string of digits as a timestamp", function() {
+      var stats = engine.buildWorkflowStats(mockWorkflow, workorders, results, {from: "3000", to: "10500"});
+
+      expect(stats.from).to.equal(3000);
+      expect(stats.to).to.equal(10500);
+      expect(stats.total).to.equal(2);
+    });
+
+    it("should reject an invalid date", function() {
+      expect(function() {
+        engine.buildWorkflowStats(mockWorkflow, workorders, results, {from: "not a date"});
+      }).to.throw(errors.ValidationError);
+    });
+  });
+
+  it("should label the status in the locale of the summary", function() {
+    var frenchEngine = new WorkflowEngine({statusLabels: {fr: {in_progress: "En cours"}}});
+
+    expect(frenchEngine.summarise(mockWorkorder, mockWorkflow, null, "fr-CA").statusLabel).to.equal("En cours");
+    expect(frenchEngine.summarise(mockWorkorder, mockWorkflow, null).statusLabel).to.equal("In Progress");
+  });
+
+});
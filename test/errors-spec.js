@@ -0,0 +1,42 @@
+var chai = require('chai');
+var expect = chai.expect;
+var _ = require('lodash');
+var errors = require('./../lib/errors');
+
+describe("Workflow Errors", function() {
+
+  it("should give every error a code", function() {
+    expect(new errors.NotFoundError("Workflow missing").code).to.equal(errors.ERROR_CODES.WORKFLOW_NOT_FOUND);
+    expect(new errors.NotFoundError("Workorder missing", errors.ERROR_CODES.WORKORDER_NOT_FOUND).code).to.equal(errors.ERROR_CODES.WORKORDER_NOT_FOUND);
+    expect(new errors.ResultNotStartedError("Not started").code).to.equal(errors.ERROR_CODES.RESULT_NOT_STARTED);
+    expect(new errors.InvalidStepError("Invalid step").code).to.equal(errors.ERROR_CODES.INVALID_STEP);
+    expect(new errors.ValidationError("Invalid").code).to.equal(errors.ERROR_CODES.VALIDATION_FAILED);
+    expect(new errors.TimeoutError("Timeout").code).to.equal(errors.ERROR_CODES.TIMEOUT);
+    expect(new errors.ConflictError("Conflict").code).to.equal(errors.ERROR_CODES.CONFLICT);
+  });
+
+  it("should be errors of the workflow module", function() {
+    var error = new errors.InvalidStepError("Invalid step");
+
+    expect(error).to.be.an.instanceof(Error);
+    expect(error).to.be.an.instanceof(errors.WorkflowError);
+    expect(error).to.be.an.instanceof(errors.InvalidStepError);
+    expect(error.name).to.equal("InvalidStepError");
+    expect(error.stack).to.be.a("string");
+  });
+
+  it("should serialise the name, code, message and details", function() {
+    var violations = [{field: "hazard", code: "required", message: "The field hazard is required"}];
+    var error = new errors.ValidationError("Invalid submission", violations);
+
+    expect(JSON.parse(JSON.stringify(error))).to.deep.equal({
+      name: "ValidationError",
+      code: errors.ERROR_CODES.VALIDATION_FAILED,
+      message: "Invalid submission",
+      violations: violations
+    });
+
+    //Copies of the error keep the code too, e.g. when it is cloned by a sync or storage module.
+    expect(_.clone(error).code).to.equal(errors.ERROR_CODES.VALIDATION_FAILED);
+  });
+});
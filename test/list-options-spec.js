@@ -0,0 +1,56 @@
+var chai = require('chai');
+var expect = chai.expect;
+var _ = require('lodash');
+var listOptions = require('./../lib/list-options');
+
+describe("Workflow List Options", function() {
+
+  var workflows = [
+    {id: "workflow1", name: "Inspection", version: 2},
+    {id: "workflow2", name: "Audit", version: 1},
+    {id: "workflow3", name: "Inspection", version: 1},
+    {id: "workflow4", name: "Signoff", version: 3}
+  ];
+
+  it("should return every entity if there are no options", function() {
+    expect(listOptions.applyListOptions(workflows)).to.deep.equal(workflows);
+    expect(listOptions.applyListOptions(workflows, {filter: {}})).to.deep.equal(workflows);
+    expect(listOptions.isPaged({})).to.equal(false);
+  });
+
+  it("should filter the entities and return the total", function() {
+    var list = listOptions.applyListOptions(workflows, {filter: {name: "Inspection"}});
+
+    expect(_.map(list.items, 'id')).to.deep.equal(["workflow1", "workflow3"]);
+    expect(list.total).to.equal(2);
+    expect(list).to.not.have.property("page");
+  });
+
+  it("should sort the entities by one or more fields", function() {
+    expect(_.map(listOptions.applyListOptions(workflows, {sort: "-version"}).items, 'id')).to.deep.equal(["workflow4", "workflow1", "workflow2", "workflow3"]);
+    expect(_.map(listOptions.applyListOptions(workflows, {sort: "name,-version"}).items, 'id')).to.deep.equal(["workflow2", "workflow1", "workflow3", "workflow4"]);
+    expect(_.map(listOptions.applyListOptions(workflows, {sort: ["name", "version"]}).items, 'id')).to.deep.equal(["workflow2", "workflow3", "workflow1", "workflow4"]);
+  });
+
+  it("should return a page of entities with the total", function() {
+    expect(listOptions.applyListOptions(workflows, {sort: "id", page: 2, pageSize: 3})).to.deep.equal({
+      items: [workflows[3]],
+      total: 4,
+      page: 2,
+      pageSize: 3
+    });
+  });
+
+  it("should read the page options from strings and default invalid values", function() {
+    var page = listOptions.applyListOptions(workflows, {page: "2", pageSize: "2"});
+
+    expect(_.map(page.items, 'id')).to.deep.equal(["workflow3", "workflow4"]);
+    expect(page.page).to.equal(2);
+
+    page = listOptions.applyListOptions(workflows, {page: "first", pageSize: -1});
+
+    expect(page.page).to.equal(1);
+    expect(page.pageSize).to.equal(20);
+    expect(page.items).to.have.length(4);
+  });
+});
@@ -0,0 +1,70 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+require('sinon-as-promised');
+var CONSTANTS = require('../lib/constants');
+var errors = require('../lib/errors');
+var resultStorage = require('../lib/engine/resultStorage');
+
+describe("Workflow Result Storage", function() {
+
+  describe("updateResult", function() {
+
+    it("should store the result at the next revision", function() {
+      var result = {workorderId: "workorderid", revision: 2};
+      var writeResult = sinon.stub().resolves({workorderId: "workorderid", revision: 3});
+
+      return resultStorage.updateResult(result, writeResult).then(function(storedResult) {
+        sinon.assert.calledWith(writeResult, {workorderId: "workorderid", revision: 3}, 2);
+        expect(storedResult.revision).to.equal(3);
+        expect(result.revision).to.equal(3);
+      });
+    });
+
+    it("should reject a conflicting update with a ConflictError", function() {
+      var result = {workorderId: "workorderid", revision: 2};
+      var writeResult = sinon.stub().rejects({code: CONSTANTS.ERROR_CODES.CONFLICT});
+
+      return resultStorage.updateResult(result, writeResult).then(function() {
+        throw new Error("Expected a ConflictError");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(errors.ConflictError);
+        expect(result.revision).to.equal(2);
+      });
+    });
+  });
+
+  describe("mergeResult", function() {
+
+    it("should re-apply the changes to the latest result after a conflict", function() {
+      var readWorkorderSummary = sinon.stub();
+      readWorkorderSummary.onFirstCall().resolves([{}, {}, {revision: 1}]);
+      readWorkorderSummary.onSecondCall().resolves([{}, {}, {revision: 2}]);
+
+      var updateResult = sinon.stub();
+      updateResult.onFirstCall().rejects(new errors.ConflictError("Conflict"));
+      updateResult.onSecondCall().resolves();
+
+      var applyChanges = sinon.spy(function(workorder, workflow, result) {
+        result.changed = true;
+      });
+
+      return resultStorage.mergeResult({readWorkorderSummary: readWorkorderSummary, updateResult: updateResult}, "workorderid", applyChanges).then(function(workorderSummary) {
+        sinon.assert.calledTwice(applyChanges);
+        expect(workorderSummary[2]).to.deep.equal({revision: 2, changed: true});
+      });
+    });
+
+    it("should give up once the retries are used up", function() {
+      var readWorkorderSummary = sinon.stub().resolves([{}, {}, {revision: 1}]);
+      var updateResult = sinon.stub().rejects(new errors.ConflictError("Conflict"));
+
+      return resultStorage.mergeResult({readWorkorderSummary: readWorkorderSummary, updateResult: updateResult}, "workorderid", sinon.spy(), 1).then(function() {
+        throw new Error("Expected a ConflictError");
+      }, function(err) {
+        expect(err).to.be.an.instanceof(errors.ConflictError);
+        sinon.assert.calledTwice(updateResult);
+      });
+    });
+  });
+});
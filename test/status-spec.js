@@ -0,0 +1,55 @@
+var chai = require('chai');
+var expect = chai.expect;
+var CONSTANTS = require('./../lib/constants');
+var resultStatus = require('./../lib/status');
+
+describe("Workflow Result Status", function() {
+
+  it("should convert the display labels stored in older results to status codes", function() {
+    expect(resultStatus.toStatusCode("In Progress")).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+    expect(resultStatus.toStatusCode("complete")).to.equal(CONSTANTS.RESULT_STATUS.COMPLETE);
+    expect(resultStatus.toStatusCode(" New ")).to.equal(CONSTANTS.RESULT_STATUS.NEW);
+    expect(resultStatus.toStatusCode("Archived")).to.equal("Archived");
+  });
+
+  it("should migrate only the results that contain a display label", function() {
+    var results = [
+      {id: "result1", status: CONSTANTS.STATUS.COMPLETE_DISPLAY},
+      {id: "result2", status: CONSTANTS.RESULT_STATUS.IN_PROGRESS},
+      {id: "result3", status: CONSTANTS.STATUS.UNASSIGNED_DISPLAY},
+      {id: "result4"}
+    ];
+
+    var migratedResults = resultStatus.migrateResults(results);
+
+    expect(migratedResults).to.deep.equal([
+      {id: "result1", status: CONSTANTS.RESULT_STATUS.COMPLETE},
+      {id: "result3", status: CONSTANTS.RESULT_STATUS.UNASSIGNED}
+    ]);
+    expect(results[1].status).to.equal(CONSTANTS.RESULT_STATUS.IN_PROGRESS);
+  });
+
+  it("should resolve the label of a locale, falling back to its language and the default locale", function() {
+    var labelResolver = new resultStatus.StatusLabelResolver({
+      fr: {new: "Nouveau", in_progress: "En cours"},
+      "fr-CA": {in_progress: "En progression"}
+    });
+
+    expect(labelResolver.getLabel(CONSTANTS.RESULT_STATUS.IN_PROGRESS)).to.equal("In Progress");
+    expect(labelResolver.getLabel(CONSTANTS.RESULT_STATUS.IN_PROGRESS, "fr-CA")).to.equal("En progression");
+    expect(labelResolver.getLabel(CONSTANTS.RESULT_STATUS.NEW, "fr-CA")).to.equal("Nouveau");
+    expect(labelResolver.getLabel(CONSTANTS.RESULT_STATUS.COMPLETE, "fr")).to.equal("Complete");
+    expect(labelResolver.getLabel("In Progress", "fr")).to.equal("En cours");
+    expect(labelResolver.getLabel("archived", "fr")).to.equal("archived");
+  });
+
+  it("should use the default locale of the resolver", function() {
+    var labelResolver = new resultStatus.StatusLabelResolver({}, "de");
+
+    labelResolver.register("de", {complete: "Abgeschlossen"});
+
+    expect(labelResolver.getLabel(CONSTANTS.RESULT_STATUS.COMPLETE)).to.equal("Abgeschlossen");
+    expect(labelResolver.getLabel(CONSTANTS.RESULT_STATUS.COMPLETE, "en")).to.equal("Complete");
+    expect(labelResolver.getLabel(CONSTANTS.RESULT_STATUS.NEW)).to.equal("New");
+  });
+});
@@ -0,0 +1,58 @@
+var chai = require('chai');
+var expect = chai.expect;
+var stepConditions = require('../lib/engine/stepConditions');
+
+describe("Workflow Step Conditions", function() {
+
+  var stepResults = {
+    identification: {
+      status: "complete",
+      submission: {
+        hazard: true,
+        site: {
+          severity: "high"
+        }
+      }
+    },
+    draft: {
+      status: "pending",
+      submission: {
+        hazard: true
+      }
+    }
+  };
+
+  it("should treat a missing condition as met", function() {
+    expect(stepConditions.evaluate(undefined, stepResults)).to.equal(true);
+  });
+
+  it("should compare submission values", function() {
+    expect(stepConditions.evaluate({step: "identification", field: "hazard", equals: true}, stepResults)).to.equal(true);
+    expect(stepConditions.evaluate({step: "identification", field: "hazard", notEquals: true}, stepResults)).to.equal(false);
+    expect(stepConditions.evaluate({step: "identification", field: "site.severity", in: ["high", "critical"]}, stepResults)).to.equal(true);
+    expect(stepConditions.evaluate({step: "identification", field: "notes", exists: true}, stepResults)).to.equal(false);
+  });
+
+  it("should ignore submissions of steps that are not complete", function() {
+    expect(stepConditions.evaluate({step: "draft", field: "hazard", equals: true}, stepResults)).to.equal(false);
+    expect(stepConditions.evaluate({step: "unknown", field: "hazard", equals: true}, stepResults)).to.equal(false);
+  });
+
+  it("should combine conditions", function() {
+    var hazard = {step: "identification", field: "hazard", equals: true};
+    var lowSeverity = {step: "identification", field: "site.severity", equals: "low"};
+
+    expect(stepConditions.evaluate({all: [hazard, lowSeverity]}, stepResults)).to.equal(false);
+    expect(stepConditions.evaluate({any: [hazard, lowSeverity]}, stepResults)).to.equal(true);
+    expect(stepConditions.evaluate({not: lowSeverity}, stepResults)).to.equal(true);
+  });
+
+  it("should list the steps referenced by a condition", function() {
+    var condition = {
+      all: [{step: "identification", field: "hazard", equals: true}, {not: {step: "inspection", field: "passed", equals: true}}]
+    };
+
+    expect(stepConditions.getReferencedSteps(condition)).to.deep.equal(["identification", "inspection"]);
+  });
+
+});
@@ -0,0 +1,82 @@
+var chai = require('chai');
+var expect = chai.expect;
+var StepTypeRegistry = require('./../lib/step-types');
+
+describe("Workflow Step Types", function() {
+
+  var stepTypes = new StepTypeRegistry();
+
+  it("should register the built in step types", function() {
+    expect(stepTypes.list()).to.deep.equal(["static", "form", "signature", "approval", "checklist"]);
+  });
+
+  it("should treat a step with no type as a static step", function() {
+    var stepType = stepTypes.getStepType({code: "mockstep1code"});
+
+    expect(stepType.name).to.equal("static");
+    expect(stepType.validate(undefined)).to.deep.equal([]);
+    expect(stepType.isComplete({status: "complete"})).to.equal(true);
+    expect(stepType.isComplete({status: "pending"})).to.equal(false);
+  });
+
+  it("should not return a step type that is not registered", function() {
+    expect(stepTypes.getStepType({type: "unknown"})).to.equal(undefined);
+  });
+
+  it("should register custom step types with static behaviour by default", function() {
+    var customStepTypes = new StepTypeRegistry({
+      photo: {
+        validate: function(submission) {
+          return submission && submission.photoUrl ? [] : [{field: "photoUrl", code: "required", message: "A photo is required"}];
+        }
+      }
+    });
+
+    var stepType = customStepTypes.getStepType({type: "photo"});
+
+    expect(customStepTypes.has("photo")).to.equal(true);
+    expect(stepType.validate({})).to.have.length(1);
+    expect(stepType.validate({photoUrl: "http://photo"})).to.deep.equal([]);
+    expect(stepType.isComplete({status: "complete"})).to.equal(true);
+  });
+
+  it("should only complete an approval step when it is approved", function() {
+    var approval = stepTypes.getStepType({type: "approval"});
+
+    expect(approval.validate({comment: "No decision"})).to.have.length(1);
+    expect(approval.isComplete({status: "complete", submission: {approved: false}})).to.equal(false);
+    expect(approval.isComplete({status: "complete", submission: {approved: true}})).to.equal(true);
+  });
+
+  it("should only complete a checklist step when all the required items are checked", function() {
+    var step = {
+      code: "safety",
+      type: "checklist",
+      items: [{id: "gloves", label: "Gloves worn"}, {id: "mask", label: "Mask worn", required: false}]
+    };
+    var checklist = stepTypes.getStepType(step);
+
+    expect(checklist.validateStep({code: "safety", type: "checklist"})).to.have.length(1);
+    expect(checklist.validate({checked: ["gloves", "helmet"]}, step)).to.have.length(1);
+    expect(checklist.isComplete({status: "complete", submission: {checked: ["mask"]}}, step)).to.equal(false);
+    expect(checklist.isComplete({status: "complete", submission: {checked: ["gloves"]}}, step)).to.equal(true);
+    expect(checklist.summary({status: "complete", submission: {checked: ["gloves"]}}, step).checkedCount).to.equal(1);
+  });
+
+  it("should summarise drafts with a partial or missing submission", function() {
+    var step = {code: "safety", type: "checklist", formId: "mockformid", items: [{id: "gloves", label: "Gloves worn"}]};
+
+    expect(stepTypes.getStepType({type: "checklist"}).summary({status: "pending", submission: {}}, step).checkedCount).to.equal(0);
+    expect(stepTypes.getStepType({type: "form"}).summary({status: "pending", submission: null}, step).submissionId).to.equal(undefined);
+    expect(stepTypes.getStepType({type: "approval"}).summary({status: "pending"}, step).approved).to.equal(undefined);
+    expect(stepTypes.getStepType({type: "signature"}).summary({status: "pending", submission: null}, step).signature).to.equal(undefined);
+  });
+
+  it("should require a signature for a signature step", function() {
+    var signature = stepTypes.getStepType({type: "signature"});
+
+    expect(signature.validate({name: "Joe Bloggs"})).to.have.length(1);
+    expect(signature.validate({name: "Joe Bloggs", signature: "data:image/png;base64,abc"})).to.deep.equal([]);
+  });
+
+});
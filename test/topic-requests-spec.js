@@ -0,0 +1,37 @@
+var mediator = require("fh-wfm-mediator/lib/mediator");
+var chai = require('chai');
+var expect = chai.expect;
+var errors = require('../lib/errors');
+var topicRequests = require('../lib/topic-requests');
+var MediatorTopicUtility = require('fh-wfm-mediator/lib/topics');
+
+describe("Topic Requests", function() {
+
+  var topics;
+
+  beforeEach(function() {
+    topics = new MediatorTopicUtility(mediator);
+    topics.prefix("wfm").entity("requests");
+  });
+
+  it("should resolve with the data published to the done topic and unsubscribe", function() {
+    var promise = topicRequests.waitForResponse(topics, "read", "topicuid", 500);
+
+    mediator.publish("done:wfm:requests:read:topicuid", {id: "requestid"});
+
+    return promise.then(function(data) {
+      expect(data).to.deep.equal({id: "requestid"});
+      expect(mediator.getChannel("done:wfm:requests:read:topicuid")._subscribers).to.have.length(0);
+      expect(mediator.getChannel("error:wfm:requests:read:topicuid")._subscribers).to.have.length(0);
+    });
+  });
+
+  it("should reject with a TimeoutError if there is no response", function() {
+    return topicRequests.waitForResponse(topics, "read", "timeoutuid", 10).then(function() {
+      throw new Error("Expected a TimeoutError");
+    }, function(err) {
+      expect(err).to.be.an.instanceof(errors.TimeoutError);
+      expect(mediator.getChannel("done:wfm:requests:read:timeoutuid")._subscribers).to.have.length(0);
+    });
+  });
+});
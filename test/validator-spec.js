@@ -0,0 +1,178 @@
+var chai = require('chai');
+var expect = chai.expect;
+var _ = require('lodash');
+var validator = require('./../lib/validator');
+
+describe("Workflow Validator", function() {
+
+  var validWorkflow = {
+    id: "mockworkflowid",
+    name: "Mock Workflow",
+    steps: [{
+      code: "identification",
+      name: "Identification"
+    }, {
+      code: "hazard",
+      name: "Hazard Report",
+      condition: {step: "identification", field: "hazard", equals: true}
+    }]
+  };
+
+  it("should accept a valid workflow", function() {
+    expect(validator.validateWorkflow(validWorkflow)).to.deep.equal([]);
+    expect(validator.validateWorkflow(validWorkflow, {requireId: true})).to.deep.equal([]);
+  });
+
+  it("should reject a workflow that is not an object", function() {
+    var violations = validator.validateWorkflow("not a workflow");
+
+    expect(violations).to.have.length(1);
+    expect(violations[0].code).to.equal(validator.VIOLATIONS.INVALID_TYPE);
+  });
+
+  it("should reject a workflow with no steps", function() {
+    expect(validator.validateWorkflow({name: "No Steps"})[0].path).to.equal("steps");
+    expect(validator.validateWorkflow({name: "Empty Steps", steps: []})[0].path).to.equal("steps");
+  });
+
+  it("should require an ID when asked to", function() {
+    var violations = validator.validateWorkflow({steps: validWorkflow.steps}, {requireId: true});
+
+    expect(violations).to.deep.equal([{
+      path: "id",
+      code: validator.VIOLATIONS.REQUIRED,
+      message: "A workflow must have an ID"
+    }]);
+  });
+
+  it("should reject steps with missing or duplicate codes and missing names", function() {
+    var violations = validator.validateWorkflow({
+      steps: [{code: "identification", name: "Identification"}, {code: "identification"}, {name: "No Code"}, "not a step"]
+    });
+
+    expect(violations).to.deep.equal([{
+      path: "steps[1].code",
+      code: validator.VIOLATIONS.DUPLICATE,
+      message: "The step code identification is used by more than one step"
+    }, {
+      path: "steps[1].name",
+      code: validator.VIOLATIONS.REQUIRED,
+      message: "A step must have a name"
+    }, {
+      path: "steps[2].code",
+      code: validator.VIOLATIONS.REQUIRED,
+      message: "A step must have a code"
+    }, {
+      path: "steps[3]",
+      code: validator.VIOLATIONS.INVALID_TYPE,
+      message: "A step must be an object"
+    }]);
+  });
+
+  it("should reject conditions that refer to later or unknown steps", function() {
+    var violations = validator.validateWorkflow({
+      steps: [{
+        code: "hazard",
+        name: "Hazard Report",
+        condition: {step: "identification", field: "hazard", equals: true}
+      }, {
+        code: "identification",
+        name: "Identification"
+      }]
+    });
+
+    expect(violations).to.have.length(1);
+    expect(violations[0].path).to.equal("steps[0].condition");
+    expect(violations[0].code).to.equal(validator.VIOLATIONS.INVALID_CONDITION);
+  });
+
+  it("should reject steps with a type that is not registered or an invalid definition for their type", function() {
+    var violations = validator.validateWorkflow({
+      steps: [{code: "photo", name: "Photo", type: "photo"}, {code: "safety", name: "Safety Checks", type: "checklist"}]
+    });
+
+    expect(violations).to.deep.equal([{
+      path: "steps[0].type",
+      code: validator.VIOLATIONS.UNKNOWN_STEP_TYPE,
+      message: "The step type photo is not registered"
+    }, {
+      path: "steps[1].items",
+      code: validator.VIOLATIONS.REQUIRED,
+      message: "A checklist step must have a list of items"
+    }]);
+  });
+
+  it("should reject step schemas that are not well formed", function() {
+    var violations = validator.validateWorkflow({
+      steps: [{
+        code: "identification",
+        name: "Identification",
+        schema: {
+          hazard: {type: "yesno"},
+          severity: {enum: "high"},
+          people: {type: "number", min: "none"},
+          notes: "text"
+        }
+      }]
+    });
+
+    expect(_.map(violations, 'path')).to.deep.equal([
+      "steps[0].schema.hazard.type",
+      "steps[0].schema.severity.enum",
+      "steps[0].schema.people.min",
+      "steps[0].schema.notes"
+    ]);
+  });
+
+  describe("Submissions", function() {
+
+    var schema = {
+      hazard: {type: "boolean", required: true},
+      severity: {type: "string", enum: ["low", "medium", "high"]},
+      people: {type: "number", min: 0, max: 50},
+      notes: {type: "string", max: 10}
+    };
+
+    it("should accept any submission if there is no schema", function() {
+      expect(validator.validateSubmission(undefined, "anything")).to.deep.equal([]);
+    });
+
+    it("should accept a submission that matches the schema", function() {
+      expect(validator.validateSubmission(schema, {hazard: false, severity: "low", people: 3})).to.deep.equal([]);
+    });
+
+    it("should reject a submission that is not an object", function() {
+      expect(validator.validateSubmission(schema, "not a submission")[0].code).to.equal(validator.VIOLATIONS.INVALID_TYPE);
+    });
+
+    it("should list a violation for each invalid field", function() {
+      var violations = validator.validateSubmission(schema, {severity: "extreme", people: 51, notes: "This is far too long"});
+
+      expect(violations).to.deep.equal([{
+        field: "hazard",
+        code: validator.VIOLATIONS.REQUIRED,
+        message: "The field hazard is required"
+      }, {
+        field: "severity",
+        code: validator.VIOLATIONS.INVALID_VALUE,
+        message: "The field severity must be one of low, medium, high"
+      }, {
+        field: "people",
+        code: validator.VIOLATIONS.OUT_OF_RANGE,
+        message: "The field people must be at most 50"
+      }, {
+        field: "notes",
+        code: validator.VIOLATIONS.OUT_OF_RANGE,
+        message: "The field notes must be at most 10 long"
+      }]);
+    });
+
+    it("should check the type of each field", function() {
+      var violations = validator.validateSubmission(schema, {hazard: "yes", people: "3"});
+
+      expect(_.map(violations, 'code')).to.deep.equal([validator.VIOLATIONS.INVALID_TYPE, validator.VIOLATIONS.INVALID_TYPE]);
+    });
+
+  });
+
+});